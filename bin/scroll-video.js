@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * scroll-video command-line tool
+ *
+ * Renders a scrolling video from local files with {@link renderScrollVideo}, without starting the server.
+ *
+ * Usage:
+ *   scroll-video <page...> [--frame frame.png] [-d 8] [--fps 30] [-o out.mp4] [--<field> value ...]
+ *
+ * Any `POST /render` field can be given as a kebab-case flag, e.g. `--screen-fit mask` or
+ * `--timeline '[...]'`. `-o -` writes the result to stdout.
+ *
+ * Exit codes: 0 success, 1 render failure, 2 invalid arguments or input, 130 interrupted.
+ */
+
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const { version } = require('../package.json');
+const { renderScrollVideo, RenderError, OUTPUT_FORMATS, RENDER_FIELDS } = require('..');
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: scroll-video <page...> [options]
+
+Renders a scrolling phone-frame video from one or more page screenshots.
+
+Options:
+  -f, --frame <file>         Frame image with a transparent screen (default: built-in frame);
+                             repeat for --devices layouts
+  -d, --duration <seconds>   Video length (default: 8)
+      --fps <n>              Frames per second (default: 30)
+  -o, --output <file>        Output file, or - for stdout (default: <first page>.<format>)
+      --format <name>        mp4, webm, gif or webp (default: from the output extension, else mp4)
+      --background-image <file>  Canvas background image
+      --audio <file>         Background audio track for mp4/webm
+      --loop                 Repeat the timeline until the duration is filled
+  -q, --quiet                Only print errors
+  -v, --verbose              Print the render log
+  -h, --help                 Show this help
+      --version              Show the version
+
+Every other POST /render field works as a kebab-case flag, e.g. --canvas reels --screen-fit mask.
+
+Exit codes: 0 success, 1 render failure, 2 invalid arguments or input, 130 interrupted.`;
+
+const ALIASES = { f: 'frame', d: 'duration', o: 'output', q: 'quiet', v: 'verbose', h: 'help' };
+const FLAGS = ['loop', 'quiet', 'verbose', 'help', 'version']; // Options without a value
+const REPEATABLE = ['frame']; // Options collected into a list when given more than once
+// Options naming an input or output file, besides the pages
+const FILE_OPTIONS = ['frame', 'backgroundImage', 'audio', 'output'];
+const KNOWN_OPTIONS = new Set([...FLAGS, ...FILE_OPTIONS, ...RENDER_FIELDS]);
+
+/**
+ * Error for unusable command-line arguments
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses the command line into render options
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{pages: string[], options: Object}} Page paths and camelCased options
+ * @throws {UsageError} For an unknown flag, or a flag without a value
+ */
+function parseArgs(argv) {
+  const pages = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-') || arg === '-') {
+      pages.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const name = (arg.startsWith('--') ? flag : ALIASES[flag] || flag)
+      .replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase());
+    if (!name || (!arg.startsWith('--') && !ALIASES[flag]) || !KNOWN_OPTIONS.has(name)) {
+      throw new UsageError(`Unknown option ${arg.split('=')[0]}`);
+    }
+
+    let value;
+    if (FLAGS.includes(name) && inlineValue === undefined) {
+      value = true;
+    } else if (inlineValue !== undefined) {
+      value = inlineValue;
+    } else if (i + 1 < argv.length) {
+      value = argv[++i];
+    } else {
+      throw new UsageError(`Option ${arg} needs a value`);
+    }
+    options[name] = REPEATABLE.includes(name) && options[name] !== undefined ? [].concat(options[name], value) : value;
+  }
+
+  return { pages, options };
+}
+
+/**
+ * Shows render progress on stderr: a live line on terminals, stage changes otherwise
+ *
+ * @param {Object} progress - `progress` event from the render task
+ */
+function reportProgress({ stage, framesDone, totalFrames, percent }) {
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r${stage} ${framesDone}/${totalFrames} frames (${percent}%)\x1b[K`);
+  } else if (stage !== reportProgress.lastStage) {
+    process.stderr.write(`${stage}…\n`);
+  }
+  reportProgress.lastStage = stage;
+}
+
+async function main() {
+  let pages, options;
+  try {
+    ({ pages, options } = parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`scroll-video: ${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.version) {
+    console.log(version);
+    return 0;
+  }
+  if (!pages.length) {
+    console.error(`scroll-video: no page given\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { quiet, verbose, output: outputArg, ...settings } = options;
+  // The render log goes to stderr, and only with --verbose, so stdout stays free for `-o -`
+  const logger = {
+    log: verbose ? console.error : () => {},
+    warn: quiet && !verbose ? () => {} : console.warn,
+    error: console.error
+  };
+
+  const format = settings.format || 'mp4';
+  const output = outputArg === '-'
+    ? process.stdout
+    : outputArg || `${path.parse(pages[0]).name}.${(OUTPUT_FORMATS[format] || OUTPUT_FORMATS.mp4).extension}`;
+  if (output === process.stdout && process.stdout.isTTY) {
+    console.error('scroll-video: refusing to write video data to a terminal; redirect stdout or use -o <file>');
+    return EXIT_USAGE;
+  }
+
+  // A single CLI render may use every CPU
+  const render = renderScrollVideo({
+    ...settings,
+    page: pages,
+    output,
+    threads: os.availableParallelism ? os.availableParallelism() : os.cpus().length,
+    logger
+  });
+  if (!quiet) render.on('progress', reportProgress);
+
+  let interrupted = false;
+  process.once('SIGINT', () => {
+    interrupted = true;
+    process.stderr.write('\nscroll-video: cancelling…\n');
+    render.cancel();
+  });
+
+  try {
+    const result = await render;
+    if (process.stderr.isTTY && reportProgress.lastStage && !quiet) process.stderr.write('\n');
+    if (!result || interrupted) return EXIT_INTERRUPTED;
+    if (!quiet && typeof result === 'string') process.stderr.write(`Wrote ${result}\n`);
+    return 0;
+  } catch (error) {
+    // Ctrl+C also reaches FFmpeg, which then fails the render
+    if (interrupted) return EXIT_INTERRUPTED;
+    if (process.stderr.isTTY && reportProgress.lastStage) process.stderr.write('\n');
+    console.error(`scroll-video: ${error.message}`);
+    return error instanceof RenderError ? EXIT_USAGE : EXIT_FAILURE;
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -87,5 +87,34 @@ module.exports = [
       'no-void': 'error',
       'prefer-arrow-callback': 'error'
     }
+  },
+  {
+    // Web UI, loaded as a classic browser script
+    files: ['public/**/*.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: {
+        document: 'readonly',
+        localStorage: 'readonly',
+        fetch: 'readonly',
+        Headers: 'readonly',
+        FormData: 'readonly',
+        URL: 'readonly',
+        XMLHttpRequest: 'readonly',
+        AbortController: 'readonly',
+        createImageBitmap: 'readonly'
+      }
+    }
+  },
+  {
+    // Tests drive the server over HTTP with Node's built-in fetch
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: {
+        fetch: 'readonly',
+        FormData: 'readonly',
+        Blob: 'readonly'
+      }
+    }
   }
 ];
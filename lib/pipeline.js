@@ -0,0 +1,4142 @@
+/**
+ * Scroll Video Render Pipeline
+ *
+ * Detects the screen cutout of a frame image, scrolls page screenshots through it and encodes the
+ * result with FFmpeg. Shared by the HTTP server (`server.js`) and the `scroll-video` CLI, and usable
+ * directly through {@link renderScrollVideo}.
+ *
+ * Loading this module has no side effects: it registers no process handlers, creates no directories
+ * and leaves sharp's global settings alone. Thread counts, logging and the cutout cache directory
+ * are options of each render.
+ */
+
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const { spawn } = require('child_process');
+const { EventEmitter, once } = require('events');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { rimraf } = require('rimraf');
+
+const MAX_PAGES = 10; // Maximum number of pages per render
+const MAX_DEVICES = 6; // Maximum number of devices (frames) in one multi-device render
+const DEFAULT_FRAME = 'defaultFrame.png'; // Built-in frame, in the package root
+const DEFAULT_FRAME_FILE = path.join(__dirname, '..', DEFAULT_FRAME);
+const CUTOUT_CACHE_FILENAME = 'cutout-cache.json'; // Cutout cache inside a render's `cacheDir`
+const CUTOUT_CACHE_VERSION = 2; // Bump when detection results change to invalidate the cache
+const BATCH_SIZE = 4; // Number of frames to process concurrently
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000; // Maximum pixels in an uploaded image, whatever its shape
+const MAX_DECODED_BYTES = 512 * 1024 * 1024; // Maximum raw RGBA memory of the resized pages of one render
+const FFMPEG_STDERR_LIMIT = 16 * 1024; // Characters of FFmpeg output kept for error messages
+const CPU_COUNT = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+
+/**
+ * Spawns FFmpeg with the given arguments and exposes its stdin for streaming frames
+ *
+ * The arguments are expected to read from `pipe:0`. Frames written with `writeFrame`
+ * respect stdin backpressure, so callers can produce frames as fast as they like
+ * without buffering the whole video in memory.
+ *
+ * FFmpeg runs with `-benchmark`, so it reports its own CPU time when it exits; `finish` resolves
+ * with it in `cpuSeconds` (0 if FFmpeg printed none). Killed processes report nothing.
+ *
+ * @param {string[]} args - Array of FFmpeg command line arguments
+ * @returns {{writeFrame: function(Buffer): Promise<void>,
+ *   finish: function(): Promise<{stderr: string, cpuSeconds: number}>, abort: function(): Promise<void>}}
+ *   Handle to feed frames, close the input and wait for FFmpeg to exit, or kill it
+ * @throws {Error} From `writeFrame`/`finish` if FFmpeg cannot start or exits with a non-zero code;
+ *   the error carries the tail of FFmpeg's output in `stderr`
+ */
+function runFFmpeg(args) {
+  const child = spawn('ffmpeg', ['-benchmark', ...args], { windowsHide: true, stdio: ['pipe', 'ignore', 'pipe'] });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-FFMPEG_STDERR_LIMIT);
+  });
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (err) => {
+      const error = new Error(`Failed to start FFmpeg: ${err.message}`);
+      error.stderr = stderr;
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        // Printed last as `bench: utime=1.234s stime=0.056s rtime=2.345s`
+        const bench = stderr.match(/bench: utime=([\d.]+)s stime=([\d.]+)s/);
+        return resolve({ stderr, cpuSeconds: bench ? Number(bench[1]) + Number(bench[2]) : 0 });
+      }
+      const error = new Error(`FFmpeg exited with ${signal ? `signal ${signal}` : `code ${code}`}: ${stderr.trim().split('\n').pop()}`);
+      error.stderr = stderr;
+      reject(error);
+    });
+  });
+
+  // Remember failures so the next write fails fast instead of waiting for a drain that never comes
+  let failure = null;
+  done.catch((error) => {
+    failure = error;
+  });
+
+  // EPIPE and friends surface through `done` once the process exits
+  child.stdin.on('error', () => {});
+
+  return {
+    async writeFrame(buffer) {
+      if (failure) throw failure;
+      if (!child.stdin.write(buffer)) {
+        await Promise.race([once(child.stdin, 'drain'), done]);
+      }
+    },
+    finish() {
+      child.stdin.end();
+      return done;
+    },
+    async abort() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGKILL');
+      }
+      await done.catch(() => {});
+    }
+  };
+}
+
+/**
+ * Reads the first audio stream of a file with ffprobe
+ *
+ * @param {string} audioFile - Path to the uploaded audio
+ * @returns {Promise<{codec: string, duration: number|null}>} Codec name and duration in seconds
+ *   (null when the container does not report one)
+ * @throws {RenderError} If the file cannot be parsed or has no audio stream
+ * @throws {Error} If ffprobe cannot be started
+ */
+function probeAudio(audioFile) {
+  const args = ['-v', 'error', '-select_streams', 'a:0', '-show_entries', 'stream=codec_name:format=duration',
+    '-of', 'json', audioFile];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn('ffprobe', args, { windowsHide: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-FFMPEG_STDERR_LIMIT);
+    });
+
+    child.on('error', (err) => reject(new Error(`Failed to start ffprobe: ${err.message}`)));
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new RenderError('Invalid audio file. Upload an mp3, aac or wav track.', 400, {
+          details: stderr.trim().split('\n').pop().replace(audioFile, 'audio') || `ffprobe exited with code ${code}`
+        }));
+      }
+
+      let info;
+      try {
+        info = JSON.parse(stdout);
+      } catch {
+        return reject(new RenderError('Invalid audio file. Upload an mp3, aac or wav track.'));
+      }
+      const stream = (info.streams || [])[0];
+      if (!stream) {
+        return reject(new RenderError('The uploaded audio file has no audio stream'));
+      }
+      const duration = Number(info.format && info.format.duration);
+      resolve({ codec: stream.codec_name, duration: Number.isFinite(duration) && duration > 0 ? duration : null });
+    });
+  });
+}
+
+/**
+ * Finds the largest axis-aligned rectangle made only of mask pixels
+ *
+ * Classic maximal-rectangle search: each row is treated as a histogram of consecutive
+ * mask pixels above it, and the largest rectangle under each histogram is found with a
+ * monotonic stack. Runs in O(width × height).
+ *
+ * @param {Uint8Array} mask - 1 for usable pixels, 0 otherwise, row-major
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {{x: number, y: number, width: number, height: number}} Largest rectangle (zero-sized if none)
+ */
+function findLargestRectangle(mask, width, height) {
+  const heights = new Int32Array(width);
+  const stack = new Int32Array(width + 1);
+  let best = { x: 0, y: 0, width: 0, height: 0 };
+  let bestArea = 0;
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * width;
+    for (let x = 0; x < width; x++) {
+      heights[x] = mask[rowStart + x] ? heights[x] + 1 : 0;
+    }
+
+    let top = -1;
+    for (let x = 0; x <= width; x++) {
+      const h = x < width ? heights[x] : 0;
+      while (top >= 0 && heights[stack[top]] >= h) {
+        const barHeight = heights[stack[top--]];
+        const left = top >= 0 ? stack[top] + 1 : 0;
+        const area = barHeight * (x - left);
+        if (area > bestArea) {
+          bestArea = area;
+          best = { x: left, y: y - barHeight + 1, width: x - left, height: barHeight };
+        }
+      }
+      stack[++top] = x;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Finds the largest rectangle of a fixed aspect ratio made only of mask pixels
+ *
+ * Binary-searches the rectangle height; each candidate size is tested at every position
+ * with a summed-area table of unusable pixels. Among the positions that fit, the one
+ * closest to the centre of the mask is chosen.
+ *
+ * @param {Uint8Array} mask - 1 for usable pixels, 0 otherwise, row-major
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {number} aspectRatio - Required width / height
+ * @returns {{x: number, y: number, width: number, height: number}} Largest rectangle (zero-sized if none)
+ */
+function findLargestRectangleWithAspect(mask, width, height, aspectRatio) {
+  // Summed-area table of blocked pixels, padded with a zero row and column
+  const stride = width + 1;
+  const blocked = new Int32Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += mask[y * width + x] ? 0 : 1;
+      blocked[(y + 1) * stride + x + 1] = blocked[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+
+  const placeRectangle = (rectHeight) => {
+    const rectWidth = Math.round(rectHeight * aspectRatio);
+    if (rectWidth < 1 || rectWidth > width || rectHeight > height) return null;
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (let y = 0; y + rectHeight <= height; y++) {
+      for (let x = 0; x + rectWidth <= width; x++) {
+        const sum = blocked[(y + rectHeight) * stride + x + rectWidth] - blocked[y * stride + x + rectWidth] -
+          blocked[(y + rectHeight) * stride + x] + blocked[y * stride + x];
+        if (sum === 0) {
+          const distance = Math.abs(x + rectWidth / 2 - centerX) + Math.abs(y + rectHeight / 2 - centerY);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = { x, y, width: rectWidth, height: rectHeight };
+          }
+        }
+      }
+    }
+    return best;
+  };
+
+  let low = 1;
+  let high = Math.min(height, Math.floor(width / aspectRatio));
+  let best = { x: 0, y: 0, width: 0, height: 0 };
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const placed = placeRectangle(mid);
+    if (placed) {
+      best = placed;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Parses a cutout aspect ratio given as `W:H`, `W/H` or a decimal number
+ *
+ * @param {string|number} value - Aspect ratio, e.g. `9:19.5` or `0.4615`
+ * @returns {number} Width divided by height
+ * @throws {Error} If the value is not a positive ratio
+ */
+function parseAspectRatio(value) {
+  const parts = String(value).split(/[:/]/).map(Number);
+  const ratio = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+  if (parts.length > 2 || !Number.isFinite(ratio) || ratio <= 0) {
+    throw new Error(`Invalid aspect ratio "${value}". Use W:H (e.g. 9:19.5) or a decimal number`);
+  }
+  return ratio;
+}
+
+/**
+ * Parses a hex colour
+ *
+ * @param {string} value - Colour as `#rgb` or `#rrggbb` (the `#` is optional)
+ * @param {string} name - Field name for the error message
+ * @returns {{r: number, g: number, b: number}} The colour
+ * @throws {Error} If the value is not a hex colour
+ */
+function parseHexColor(value, name) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid ${name} "${value}". Use a hex colour such as #00ff00`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16)
+  };
+}
+
+/**
+ * Parses chroma-key settings for frames whose screen is a solid key colour instead of transparent
+ *
+ * @param {Object} body - Request fields
+ * @param {string} [body.keyColor] - Key colour as `#rgb` or `#rrggbb`; chroma keying is off when omitted
+ * @param {number} [body.keyTolerance=15] - Colour distance keyed out, in percent of the largest RGB distance
+ * @returns {{color: {r: number, g: number, b: number}, tolerance: number}|null} Settings, or null when off
+ * @throws {Error} If the colour or tolerance is invalid
+ */
+function parseChromaKey(body) {
+  if (!body.keyColor) return null;
+
+  const color = parseHexColor(body.keyColor, 'keyColor');
+
+  const tolerance = body.keyTolerance === undefined || body.keyTolerance === '' ? 15 : Number(body.keyTolerance);
+  if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 100) {
+    throw new Error('keyTolerance must be a percentage between 0 and 100');
+  }
+
+  return { color, tolerance };
+}
+
+/**
+ * Makes a frame's key-coloured pixels transparent
+ *
+ * Pixels within the tolerance become fully transparent, and a band as wide again beyond it fades
+ * back to opaque so the screen edge stays anti-aliased. The key colour is unmixed from those edge
+ * pixels and, for green or blue screens, its spill is suppressed. The keyed frame then behaves
+ * like a frame with a real transparent cutout for detection and compositing.
+ *
+ * @param {string} imagePath - Path to the frame image (any format sharp reads, e.g. a JPEG mockup)
+ * @param {{color: {r: number, g: number, b: number}, tolerance: number}} chromaKey - From {@link parseChromaKey}
+ * @param {string} outputPath - Where to write the keyed PNG
+ * @param {Object} [logger=console] - Receives progress messages through `log`
+ * @returns {Promise<number>} Number of fully keyed pixels
+ */
+async function applyChromaKey(imagePath, { color, tolerance }, outputPath, logger = console) {
+  const { data, info } = await sharp(imagePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const inner = (tolerance / 100) * Math.sqrt(3 * 255 * 255);
+  const outer = inner * 2 + 1;
+
+  // A key with one clearly dominant channel (green or blue screens) also gets spill suppression
+  const key = [color.r, color.g, color.b];
+  const dominant = key.indexOf(Math.max(...key));
+  const others = [0, 1, 2].filter(channel => channel !== dominant);
+  const suppressSpill = key[dominant] - Math.max(...others.map(channel => key[channel])) >= 64;
+
+  let keyedPixels = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const distance = Math.hypot(data[i] - color.r, data[i + 1] - color.g, data[i + 2] - color.b);
+    if (distance <= inner) {
+      data[i + 3] = 0;
+      keyedPixels++;
+    } else if (distance < outer) {
+      // Edge pixels are a mix of frame and key colour; remove the key colour's share to avoid a fringe
+      const alpha = (distance - inner) / (outer - inner);
+      data[i] = Math.min(255, Math.max(0, Math.round((data[i] - (1 - alpha) * color.r) / alpha)));
+      data[i + 1] = Math.min(255, Math.max(0, Math.round((data[i + 1] - (1 - alpha) * color.g) / alpha)));
+      data[i + 2] = Math.min(255, Math.max(0, Math.round((data[i + 2] - (1 - alpha) * color.b) / alpha)));
+      data[i + 3] = Math.min(data[i + 3], Math.round(255 * alpha));
+      if (suppressSpill) {
+        data[i + dominant] = Math.min(data[i + dominant], Math.max(data[i + others[0]], data[i + others[1]]));
+      }
+    }
+  }
+
+  await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toFile(outputPath);
+  logger.log(`Chroma key removed ${keyedPixels} pixels matching rgb(${color.r}, ${color.g}, ${color.b})`);
+  return keyedPixels;
+}
+
+/**
+ * Parses a manual cutout that replaces auto-detection
+ *
+ * @param {Object} body - Request fields with `screenX`, `screenY`, `screenWidth` and `screenHeight`
+ * @returns {{x: number, y: number, width: number, height: number}|null} The cutout, or null if none is given
+ * @throws {Error} If only some of the fields are given or they are not valid pixel values
+ */
+function parseManualCutout(body) {
+  const fields = ['screenX', 'screenY', 'screenWidth', 'screenHeight'];
+  const given = fields.filter(field => body[field] !== undefined && body[field] !== '');
+  if (given.length === 0) return null;
+  if (given.length < fields.length) {
+    throw new Error('screenX, screenY, screenWidth and screenHeight must be given together');
+  }
+
+  const [x, y, width, height] = fields.map(field => Number(body[field]));
+  if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width < 2 || height < 2) {
+    throw new Error('screenX and screenY must be non-negative integers, screenWidth and screenHeight integers of at least 2');
+  }
+  return { x, y, width, height };
+}
+
+/**
+ * Parses user-supplied screen corners
+ *
+ * @param {string} raw - JSON array of four `[x, y]` frame pixel positions, clockwise from the
+ *   top-left corner of the screen: top-left, top-right, bottom-right, bottom-left
+ * @returns {number[][]} The corners
+ * @throws {Error} If the value is not four points forming a convex, clockwise quadrilateral
+ */
+function parseScreenCorners(raw) {
+  let corners;
+  try {
+    corners = JSON.parse(raw);
+  } catch {
+    throw new Error('screenCorners must be a JSON array');
+  }
+
+  if (!Array.isArray(corners) || corners.length !== 4 ||
+    !corners.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+    throw new Error('screenCorners must be four [x, y] points');
+  }
+
+  // Every turn must bend the same way (clockwise in image coordinates) for a convex quad
+  const turns = corners.map((point, index) => {
+    const next = corners[(index + 1) % 4];
+    const after = corners[(index + 2) % 4];
+    return (next[0] - point[0]) * (after[1] - next[1]) - (next[1] - point[1]) * (after[0] - next[0]);
+  });
+  if (!turns.every(turn => turn > 0)) {
+    throw new Error('screenCorners must form a convex quadrilateral listed clockwise from the top-left corner');
+  }
+
+  return corners;
+}
+
+/**
+ * Analyses the alpha channel of a frame image and finds its screen cutout
+ *
+ * This function analyzes the alpha channel of a frame image to find the transparent
+ * area where the page content should be displayed. It supports rectangular, rounded
+ * corner, notched and punch-hole frames by searching for the exact largest rectangle
+ * inside the transparent mask.
+ *
+ * Algorithm:
+ * 1. Extract RGBA pixel data from the frame image
+ * 2. Find all fully transparent pixels (alpha = 0), excluding translucent areas
+ * 3. Calculate bounding box of the transparent area
+ * 4. Detect frame type by checking if corners of transparent area are transparent (for diagnostics)
+ * 5. Find the largest rectangle inside the transparent mask within the bounding box,
+ *    optionally constrained to a target aspect ratio
+ * 6. Ensure dimensions are even numbers for H.264 video compatibility
+ *
+ * @param {string} imagePath - Path to the frame image (must be PNG with alpha channel)
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Required cutout width / height; unconstrained when omitted
+ * @param {Object} [options.logger=console] - Receives progress messages through `log`
+ * @returns {Promise<{cutout: Object, boundingBox: Object|null, frameType: string|null,
+ *   transparentPixels: number, width: number, height: number, mask: Uint8Array|null}>}
+ *   The chosen cutout rectangle, the bounding box of the transparent area, the frame type,
+ *   frame dimensions and the transparency mask of the bounding box (for diagnostics)
+ * @throws {Error} If frame has no alpha channel
+ */
+async function analyzeTransparentCutout(imagePath, { aspectRatio, logger = console } = {}) {
+  try {
+    const image = sharp(imagePath);
+    const { width, height, channels } = await image.metadata();
+
+    if (channels < 4) {
+      throw new Error('Frame image must have an alpha channel (RGBA); use keyColor for frames with an opaque screen');
+    }
+
+    const { data } = await image.raw().toBuffer({ resolveWithObject: true });
+
+    /**
+     * Checks if a pixel is fully transparent
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean}
+     */
+    const isTransparent = (x, y) => {
+      const pixelIndex = (y * width + x) * channels;
+      return data[pixelIndex + 3] === 0; // Only fully transparent pixels (alpha = 0)
+    };
+
+    // First, find the bounding box of the transparent area
+    // This gives us the outer bounds of all transparent pixels
+    let minX = width, maxX = -1, minY = height, maxY = -1;
+    let transparentPixels = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (isTransparent(x, y)) {
+          minX = Math.min(minX, x);
+          maxX = Math.max(maxX, x);
+          minY = Math.min(minY, y);
+          maxY = Math.max(maxY, y);
+          transparentPixels++;
+        }
+      }
+    }
+
+    if (maxX === -1) {
+      // No transparent area found
+      return {
+        cutout: { x: 0, y: 0, width: 0, height: 0 },
+        boundingBox: null,
+        frameType: null,
+        transparentPixels: 0,
+        width,
+        height,
+        mask: null
+      };
+    }
+
+    const boundingWidth = maxX - minX + 1;
+    const boundingHeight = maxY - minY + 1;
+    const boundingBox = { x: minX, y: minY, width: boundingWidth, height: boundingHeight };
+
+    logger.log(`Fully transparent area bounding box: ${boundingWidth}x${boundingHeight} at (${minX}, ${minY})`);
+
+    // Check if this is a rectangular frame by testing if all corners of the bounding box are transparent
+    const corners = [
+      [minX, minY], [maxX, minY], [minX, maxY], [maxX, maxY]
+    ];
+    const isRectangularFrame = corners.every(([x, y]) => isTransparent(x, y));
+    const frameType = isRectangularFrame ? 'rectangular' : 'rounded';
+
+    logger.log(`Frame type: ${isRectangularFrame ? 'RECTANGULAR' : 'ROUNDED CORNERS'}`);
+
+    // Transparency mask of the bounding box
+    const mask = new Uint8Array(boundingWidth * boundingHeight);
+    for (let y = 0; y < boundingHeight; y++) {
+      for (let x = 0; x < boundingWidth; x++) {
+        mask[y * boundingWidth + x] = isTransparent(minX + x, minY + y) ? 1 : 0;
+      }
+    }
+
+    const rectangle = aspectRatio
+      ? findLargestRectangleWithAspect(mask, boundingWidth, boundingHeight, aspectRatio)
+      : findLargestRectangle(mask, boundingWidth, boundingHeight);
+
+    // Ensure dimensions are even numbers for H.264 compatibility
+    const cutout = {
+      x: minX + rectangle.x,
+      y: minY + rectangle.y,
+      width: rectangle.width - (rectangle.width % 2),
+      height: rectangle.height - (rectangle.height % 2)
+    };
+
+    logger.log(`Largest transparent rectangle${aspectRatio ? ` (aspect ${aspectRatio.toFixed(4)})` : ''}: ` +
+      `${cutout.width}x${cutout.height} at (${cutout.x}, ${cutout.y})`);
+
+    return { cutout, boundingBox, frameType, transparentPixels, width, height, mask };
+
+  } catch (error) {
+    throw new Error(`Failed to detect transparent cutout: ${error.message}`);
+  }
+}
+
+/**
+ * Detects the largest transparent rectangle in a PNG image
+ *
+ * See {@link analyzeTransparentCutout} for the algorithm.
+ *
+ * @param {string} imagePath - Path to the frame image (must be PNG with alpha channel)
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Required cutout width / height; unconstrained when omitted
+ * @param {Object} [options.logger=console] - Receives progress messages through `log`
+ * @returns {Promise<{x: number, y: number, width: number, height: number}>} The detected cutout rectangle
+ * @throws {Error} If frame has no alpha channel
+ */
+async function detectTransparentCutout(imagePath, options = {}) {
+  const { cutout } = await analyzeTransparentCutout(imagePath, options);
+  return cutout;
+}
+
+/**
+ * Renders a diagnostic image of cutout detection
+ *
+ * The frame is drawn over a grey background with fully transparent pixels tinted
+ * green, the bounding box of the transparent area outlined in yellow, the chosen
+ * cutout rectangle outlined in red and the fitted screen corners, if given, joined in cyan.
+ *
+ * @param {string} imagePath - Path to the frame image
+ * @param {Object} analysis - Result of {@link analyzeTransparentCutout}
+ * @param {number[][]} [corners] - Screen corners from {@link fitScreenQuad}
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderDetectionDebugImage(imagePath, analysis, corners) {
+  const { width, height, boundingBox, mask, cutout } = analysis;
+  const { data: pixels } = await sharp(imagePath)
+    .flatten({ background: { r: 128, g: 128, b: 128 } })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const setPixel = (x, y, [r, g, b], alpha = 1) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 3;
+    pixels[i] = Math.round(pixels[i] * (1 - alpha) + r * alpha);
+    pixels[i + 1] = Math.round(pixels[i + 1] * (1 - alpha) + g * alpha);
+    pixels[i + 2] = Math.round(pixels[i + 2] * (1 - alpha) + b * alpha);
+  };
+
+  const outline = (rect, color, thickness) => {
+    for (let t = 0; t < thickness; t++) {
+      for (let x = rect.x - t; x < rect.x + rect.width + t; x++) {
+        setPixel(x, rect.y - t, color);
+        setPixel(x, rect.y + rect.height - 1 + t, color);
+      }
+      for (let y = rect.y - t; y < rect.y + rect.height + t; y++) {
+        setPixel(rect.x - t, y, color);
+        setPixel(rect.x + rect.width - 1 + t, y, color);
+      }
+    }
+  };
+
+  if (boundingBox) {
+    for (let y = 0; y < boundingBox.height; y++) {
+      for (let x = 0; x < boundingBox.width; x++) {
+        if (mask[y * boundingBox.width + x]) {
+          setPixel(boundingBox.x + x, boundingBox.y + y, [0, 200, 83], 0.45);
+        }
+      }
+    }
+
+    const thickness = Math.max(2, Math.round(Math.min(width, height) / 300));
+    outline(boundingBox, [255, 214, 0], thickness);
+    if (cutout.width > 0 && cutout.height > 0) {
+      outline(cutout, [229, 57, 53], thickness);
+    }
+
+    (corners || []).forEach((from, index) => {
+      const to = corners[(index + 1) % corners.length];
+      const steps = Math.ceil(Math.hypot(to[0] - from[0], to[1] - from[1]));
+      for (let step = 0; step <= steps; step++) {
+        const x = Math.round(from[0] + (to[0] - from[0]) * step / steps);
+        const y = Math.round(from[1] + (to[1] - from[1]) * step / steps);
+        for (let t = 0; t < thickness; t++) {
+          setPixel(x + t, y, [0, 229, 255]);
+          setPixel(x, y + t, [0, 229, 255]);
+        }
+      }
+    });
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+/**
+ * Finds the frame's screen region
+ *
+ * Flood-fills every pixel that is not fully opaque, starting from the centre of the detected
+ * cutout, so the region follows rounded corners, notches, punch holes and tilted screens exactly.
+ * Partially transparent edge pixels are part of the region; the frame drawn on top blends them,
+ * which keeps the edges anti-aliased. Transparent areas not connected to the screen are excluded.
+ *
+ * @param {Buffer} framePixels - Raw RGBA pixels of the frame
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {{x: number, y: number, width: number, height: number}} cutout - Detected cutout to seed the fill
+ * @returns {{region: Uint8Array, box: {x: number, y: number, width: number, height: number}}}
+ *   Frame-sized membership mask (1 inside the screen) and the bounds of the region
+ */
+function findScreenRegion(framePixels, width, height, cutout) {
+  const region = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  let stackSize = 0;
+  let minX = width, maxX = -1, minY = height, maxY = -1;
+
+  const seed = Math.floor(cutout.y + cutout.height / 2) * width + Math.floor(cutout.x + cutout.width / 2);
+  region[seed] = 1;
+  stack[stackSize++] = seed;
+
+  while (stackSize > 0) {
+    const index = stack[--stackSize];
+    const x = index % width;
+    const y = (index - x) / width;
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+
+    const neighbours = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      y > 0 ? index - width : -1,
+      y < height - 1 ? index + width : -1
+    ];
+    for (const next of neighbours) {
+      if (next !== -1 && !region[next] && framePixels[next * 4 + 3] < 255) {
+        region[next] = 1;
+        stack[stackSize++] = next;
+      }
+    }
+  }
+
+  return { region, box: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } };
+}
+
+/**
+ * Builds a clip layer from a screen region, for compositing with the `dest-in` blend
+ *
+ * @param {Uint8Array} region - Frame-sized membership mask from {@link findScreenRegion}
+ * @param {number} width - Frame width in pixels
+ * @param {{x: number, y: number, width: number, height: number}} box - Bounds of the region
+ * @returns {Buffer} Raw RGBA layer of the box size: white, alpha 255 inside the screen and 0 outside
+ */
+function createScreenClip(region, width, box) {
+  const clip = Buffer.alloc(box.width * box.height * 4, 255);
+  for (let y = 0; y < box.height; y++) {
+    for (let x = 0; x < box.width; x++) {
+      if (!region[(box.y + y) * width + box.x + x]) {
+        clip[(y * box.width + x) * 4 + 3] = 0;
+      }
+    }
+  }
+  return clip;
+}
+
+/**
+ * Fits a four-corner polygon to a screen region
+ *
+ * Initial corners are the region's extreme points along the diagonals. Each side is then refined
+ * by a least-squares line through the boundary pixels of its middle section, and adjacent lines are
+ * intersected. This recovers the true corners of tilted or perspective screens even when the
+ * screen itself has rounded corners.
+ *
+ * @param {Uint8Array} region - Frame-sized membership mask from {@link findScreenRegion}
+ * @param {number} width - Frame width in pixels
+ * @param {{x: number, y: number, width: number, height: number}} box - Bounds of the region
+ * @returns {number[][]} Corners as `[x, y]` pairs: top-left, top-right, bottom-right, bottom-left
+ */
+function fitScreenQuad(region, width, box) {
+  const inRegion = (x, y) => x >= box.x && y >= box.y && x < box.x + box.width && y < box.y + box.height &&
+    region[y * width + x] === 1;
+
+  // Boundary pixel centres, and the extreme points along both diagonals
+  const boundary = [];
+  const corners = [null, null, null, null];
+  const scores = [Infinity, -Infinity, -Infinity, Infinity]; // min x+y, max x-y, max x+y, min x-y
+  for (let y = box.y; y < box.y + box.height; y++) {
+    for (let x = box.x; x < box.x + box.width; x++) {
+      if (!inRegion(x, y) ||
+        (inRegion(x - 1, y) && inRegion(x + 1, y) && inRegion(x, y - 1) && inRegion(x, y + 1))) continue;
+
+      const point = [x + 0.5, y + 0.5];
+      boundary.push(point);
+      const sum = point[0] + point[1];
+      const diff = point[0] - point[1];
+      if (sum < scores[0]) { scores[0] = sum; corners[0] = point; }
+      if (diff > scores[1]) { scores[1] = diff; corners[1] = point; }
+      if (sum > scores[2]) { scores[2] = sum; corners[2] = point; }
+      if (diff < scores[3]) { scores[3] = diff; corners[3] = point; }
+    }
+  }
+
+  // Fit a line (point and unit direction) to the middle of each side
+  const lines = corners.map((from, side) => {
+    const to = corners[(side + 1) % 4];
+    const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+    const dir = length > 0 ? [(to[0] - from[0]) / length, (to[1] - from[1]) / length] : [1, 0];
+    const tolerance = Math.max(3, length * 0.05);
+
+    const points = boundary.filter(([x, y]) => {
+      const along = (x - from[0]) * dir[0] + (y - from[1]) * dir[1];
+      const across = Math.abs((x - from[0]) * dir[1] - (y - from[1]) * dir[0]);
+      return along > length * 0.2 && along < length * 0.8 && across < tolerance;
+    });
+    if (points.length < 10) return { point: from, dir };
+
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const [x, y] of points) {
+      sxx += (x - meanX) ** 2;
+      sxy += (x - meanX) * (y - meanY);
+      syy += (y - meanY) ** 2;
+    }
+    const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    return { point: [meanX, meanY], dir: [Math.cos(angle), Math.sin(angle)] };
+  });
+
+  // Each corner is where the side ending at it meets the side starting at it
+  return corners.map((corner, index) => {
+    const a = lines[(index + 3) % 4];
+    const b = lines[index];
+    const denominator = a.dir[0] * b.dir[1] - a.dir[1] * b.dir[0];
+    if (Math.abs(denominator) < 1e-6) return corner;
+
+    const t = ((b.point[0] - a.point[0]) * b.dir[1] - (b.point[1] - a.point[1]) * b.dir[0]) / denominator;
+    return [
+      Number(Math.min(Math.max(a.point[0] + a.dir[0] * t, 0), width).toFixed(2)),
+      Number(Math.min(Math.max(a.point[1] + a.dir[1] * t, 0), region.length / width).toFixed(2))
+    ];
+  });
+}
+
+/**
+ * Reads and parses a JSON file
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {Promise<*>} Parsed contents or the fallback
+ */
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Serializes writes to the data directory so concurrent requests cannot interleave them
+let dataWriteQueue = Promise.resolve();
+
+/**
+ * Atomically writes a value as JSON, queued behind any pending data writes
+ *
+ * The file is written to a temporary sibling and renamed into place, so a crash
+ * never leaves a half-written registry behind.
+ *
+ * @param {string} file - Destination path
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+function writeJsonFile(file, value) {
+  const write = async() => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(value, null, 2));
+    await fs.rename(tmpFile, file);
+  };
+  dataWriteQueue = dataWriteQueue.then(write, write);
+  return dataWriteQueue;
+}
+
+/**
+ * Computes the SHA-256 hash of a file's contents
+ *
+ * @param {string} file - Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(file) {
+  return crypto.createHash('sha256').update(await fs.readFile(file)).digest('hex');
+}
+
+// Cutout detection results by cache file, each keyed by detection version and frame content hash;
+// loaded on first use
+const cutoutCaches = new Map();
+
+/**
+ * Detects the frame cutout, reusing results cached by frame content hash
+ *
+ * Results are persisted to `cutout-cache.json` in `cacheDir`, so each distinct frame is analysed
+ * once across restarts. Bump {@link CUTOUT_CACHE_VERSION} whenever the detection algorithm
+ * changes to invalidate old entries. A cache that cannot be read or written only costs the
+ * detection, never the render.
+ *
+ * @param {string} imagePath - Path to the frame image
+ * @param {Object} [options] - Detection options (see {@link detectTransparentCutout}); `aspectRatio` is part
+ *   of the cache key
+ * @param {string|null} [cacheDir=null] - Directory holding the cache, or null to always detect
+ * @returns {Promise<{x: number, y: number, width: number, height: number}>} The detected cutout rectangle
+ * @throws {Error} If detection fails (see {@link detectTransparentCutout})
+ */
+async function detectCutoutCached(imagePath, options = {}, cacheDir = null) {
+  const { logger = console } = options;
+  if (!cacheDir) return detectTransparentCutout(imagePath, options);
+
+  const cacheFile = path.join(cacheDir, CUTOUT_CACHE_FILENAME);
+  if (!cutoutCaches.has(cacheFile)) {
+    cutoutCaches.set(cacheFile, await readJsonFile(cacheFile, {}).catch((error) => {
+      logger.warn(`⚠️ Ignoring unreadable cutout cache ${cacheFile}: ${error.message}`);
+      return {};
+    }));
+  }
+  const cutoutCache = cutoutCaches.get(cacheFile);
+
+  const hash = await hashFile(imagePath);
+  const key = `v${CUTOUT_CACHE_VERSION}:${hash}${options.aspectRatio ? `:ar${options.aspectRatio.toFixed(6)}` : ''}`;
+  if (cutoutCache[key]) {
+    logger.log(`Using cached cutout for frame ${hash.slice(0, 12)}…`);
+    return { ...cutoutCache[key] };
+  }
+
+  const cutout = await detectTransparentCutout(imagePath, options);
+  cutoutCache[key] = cutout;
+  await writeJsonFile(cacheFile, cutoutCache).catch((error) => {
+    logger.warn(`⚠️ Could not save cutout cache ${cacheFile}: ${error.message}`);
+  });
+  return { ...cutout };
+}
+
+/**
+ * Named easing presets expressed as CSS-style cubic-bezier control points
+ * @type {Object<string, number[]>}
+ */
+const EASING_PRESETS = {
+  'linear': [0, 0, 1, 1],
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+/**
+ * Creates a CSS-compatible cubic-bezier easing function
+ *
+ * The curve runs from (0, 0) to (1, 1) with control points (x1, y1) and (x2, y2).
+ * For a given progress x the curve parameter is solved with Newton-Raphson and
+ * falls back to bisection when the slope is too flat to converge.
+ *
+ * @param {number} x1 - First control point X (0-1)
+ * @param {number} y1 - First control point Y
+ * @param {number} x2 - Second control point X (0-1)
+ * @param {number} y2 - Second control point Y
+ * @returns {function(number): number} Easing function mapping progress (0-1) to eased progress
+ */
+function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+  const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+  const sampleSlopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+  const solveX = (x) => {
+    // Newton-Raphson converges in a few iterations for most curves
+    let s = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(s) - x;
+      if (Math.abs(error) < 1e-6) return s;
+      const slope = sampleSlopeX(s);
+      if (Math.abs(slope) < 1e-6) break;
+      s -= error / slope;
+    }
+
+    // Bisection fallback for flat slopes
+    let lo = 0, hi = 1;
+    s = x;
+    while (lo < hi) {
+      const value = sampleX(s);
+      if (Math.abs(value - x) < 1e-6) return s;
+      if (x > value) lo = s; else hi = s;
+      s = (lo + hi) / 2;
+      if (hi - lo < 1e-7) break;
+    }
+    return s;
+  };
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return sampleY(solveX(progress));
+  };
+}
+
+/**
+ * Resolves an easing name or cubic-bezier() expression into its control points
+ *
+ * @param {string} [name='linear'] - Preset name (linear, ease, ease-in, ease-out, ease-in-out)
+ *   or a `cubic-bezier(x1, y1, x2, y2)` expression
+ * @returns {number[]} Control points `[x1, y1, x2, y2]`, for {@link cubicBezier}
+ * @throws {Error} If the easing is unknown or the control points are invalid
+ */
+function parseEasing(name = 'linear') {
+  const easing = String(name).trim().toLowerCase();
+
+  if (EASING_PRESETS[easing]) {
+    return [...EASING_PRESETS[easing]];
+  }
+
+  const match = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+  if (match) {
+    const points = match[1].split(',').map(Number);
+    if (points.length !== 4 || points.some(Number.isNaN)) {
+      throw new Error(`Invalid cubic-bezier easing: ${name}`);
+    }
+    if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+      throw new Error(`cubic-bezier X values must be between 0 and 1: ${name}`);
+    }
+    return points;
+  }
+
+  throw new Error(`Unknown easing "${name}". Use ${Object.keys(EASING_PRESETS).join(', ')} or cubic-bezier(x1, y1, x2, y2)`);
+}
+
+/**
+ * Parses and validates a scroll timeline definition
+ *
+ * A timeline is a JSON array of keyframes. Each keyframe describes where the page
+ * should be scrolled to and when:
+ * - `time` - Arrival time in seconds (defaults to 0 for the first keyframe)
+ * - `position` - Scroll offset in resized page pixels, or a percentage string of the maximum scroll ("50%")
+ * - `easing` - Easing used while moving towards this keyframe (default linear)
+ * - `hold` - Seconds to dwell at this position before moving to the next keyframe (default 0)
+ *
+ * Scrolling back up is expressed by a keyframe with a smaller position than the previous one.
+ *
+ * @param {string|Array} raw - Timeline JSON string (multipart field) or already parsed array
+ * @returns {Array<{time: number, position: {value: number, unit: string}, easing: Function, bezier: number[],
+ *   hold: number}>} Normalized keyframes in time order; `bezier` holds the control points of `easing`, so
+ *   keyframes serialized to JSON (as in the render cache key) still tell easings apart
+ * @throws {Error} If the timeline is malformed or keyframes overlap
+ */
+function parseTimeline(raw) {
+  let keyframes = raw;
+  if (typeof raw === 'string') {
+    try {
+      keyframes = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Timeline is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(keyframes) || keyframes.length === 0) {
+    throw new Error('Timeline must be a non-empty array of keyframes');
+  }
+
+  const normalized = keyframes.map((keyframe, index) => {
+    if (!keyframe || typeof keyframe !== 'object') {
+      throw new Error(`Keyframe ${index} must be an object`);
+    }
+
+    const time = keyframe.time === undefined && index === 0 ? 0 : Number(keyframe.time);
+    if (!Number.isFinite(time) || time < 0) {
+      throw new Error(`Keyframe ${index} needs a non-negative "time" in seconds`);
+    }
+
+    let position;
+    if (typeof keyframe.position === 'string' && keyframe.position.trim().endsWith('%')) {
+      position = { value: Number(keyframe.position.trim().slice(0, -1)), unit: '%' };
+    } else {
+      position = { value: Number(keyframe.position), unit: 'px' };
+    }
+    if (!Number.isFinite(position.value)) {
+      throw new Error(`Keyframe ${index} needs a numeric "position" in px or a percentage string`);
+    }
+
+    const hold = keyframe.hold === undefined ? 0 : Number(keyframe.hold);
+    if (!Number.isFinite(hold) || hold < 0) {
+      throw new Error(`Keyframe ${index} has an invalid "hold" duration`);
+    }
+
+    let bezier;
+    try {
+      bezier = parseEasing(keyframe.easing);
+    } catch (error) {
+      throw new Error(`Keyframe ${index}: ${error.message}`);
+    }
+
+    return { time, position, easing: cubicBezier(...bezier), bezier, hold };
+  });
+
+  for (let i = 1; i < normalized.length; i++) {
+    const previous = normalized[i - 1];
+    if (normalized[i].time < previous.time + previous.hold) {
+      throw new Error(`Keyframe ${i} starts before keyframe ${i - 1} finishes (time + hold)`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Builds a scroll position lookup from parsed keyframes for a specific page
+ *
+ * Percentage positions are resolved against `maxScroll` and all positions are clamped
+ * to the scrollable range. Before the first keyframe the page rests at the first position;
+ * after the last keyframe (and its hold) it rests at the last position, unless `loop`
+ * is set, in which case the timeline repeats from the start.
+ *
+ * @param {Array} keyframes - Keyframes returned by {@link parseTimeline}
+ * @param {number} maxScroll - Maximum scroll offset in pixels
+ * @param {Object} [options]
+ * @param {boolean} [options.loop=false] - Repeat the timeline once it ends
+ * @returns {{duration: number, positionAt: function(number): number}} Timeline length in seconds
+ *   and a function returning the scroll offset at a given time in seconds
+ */
+function createScrollTimeline(keyframes, maxScroll, { loop = false } = {}) {
+  const points = keyframes.map(keyframe => {
+    const offset = keyframe.position.unit === '%'
+      ? (keyframe.position.value / 100) * maxScroll
+      : keyframe.position.value;
+    return { ...keyframe, offset: Math.max(0, Math.min(maxScroll, offset)) };
+  });
+
+  const last = points[points.length - 1];
+  const duration = last.time + last.hold;
+
+  const positionAt = (seconds) => {
+    let t = seconds;
+    if (loop && duration > 0) {
+      t = t % duration;
+    }
+
+    if (t <= points[0].time) return points[0].offset;
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const segmentStart = from.time + from.hold;
+
+      if (t < segmentStart) return from.offset; // Dwelling at previous keyframe
+      if (t < to.time) {
+        const progress = (t - segmentStart) / (to.time - segmentStart);
+        return from.offset + (to.offset - from.offset) * to.easing(progress);
+      }
+    }
+
+    return last.offset;
+  };
+
+  return { duration, positionAt };
+}
+
+/**
+ * Scroll pacing modes: `linear` scrolls at constant speed, `auto` settles on each detected page section
+ * @type {string[]}
+ */
+const PACING_MODES = ['linear', 'auto'];
+const MAX_SECTIONS = 12; // Sections one auto-paced render pauses on
+const SECTION_UNIFORM_SPREAD = 4; // Mean channel deviation below which a line counts as one flat colour
+const SECTION_COLOR_CHANGE = 24; // Summed channel difference that makes two flat lines different bands
+const SECTION_EDGE_FRACTION = 0.9; // Share of a line that must change sharply to count as a full-width edge
+
+/**
+ * Parses the scroll pacing options
+ *
+ * @param {Object} body - Request fields
+ * @param {string} [body.pacing=linear] - One of {@link PACING_MODES}; `sections` implies `auto`
+ * @param {string} [body.sectionHold] - Seconds to pause on each section; by default up to 1.5s, shortened
+ *   so that at most 60% of the duration is spent pausing
+ * @param {string} [body.sections] - JSON array of `{page, top, bottom}` in original page pixels, replacing
+ *   detection; `page` defaults to 1 and `bottom` to the next section's top or the end of the page
+ * @param {number} pageCount - Number of uploaded pages
+ * @returns {{hold: number|null, sections: Array<{page: number, top: number, bottom: number|null}>|null}|null}
+ *   Auto pacing settings, with zero-based `page` indexes, or null for linear pacing
+ * @throws {Error} If a value is invalid
+ */
+function parsePacingOptions(body, pageCount) {
+  const mode = body.pacing || (body.sections ? 'auto' : 'linear');
+  if (!PACING_MODES.includes(mode)) {
+    throw new Error(`Invalid pacing "${body.pacing}". Use one of: ${PACING_MODES.join(', ')}`);
+  }
+  if (mode === 'linear') {
+    if (body.sections || body.sectionHold) {
+      throw new Error('sections and sectionHold need pacing=auto');
+    }
+    return null;
+  }
+
+  let hold = null;
+  if (body.sectionHold !== undefined && body.sectionHold !== '') {
+    hold = Number(body.sectionHold);
+    if (!Number.isFinite(hold) || hold < 0) {
+      throw new Error('sectionHold must be a non-negative number of seconds');
+    }
+  }
+
+  let sections = null;
+  if (body.sections) {
+    let list;
+    try {
+      list = JSON.parse(body.sections);
+    } catch {
+      throw new Error('sections must be a JSON array');
+    }
+    if (!Array.isArray(list) || !list.length || list.length > MAX_SECTIONS) {
+      throw new Error(`sections must be a JSON array of 1 to ${MAX_SECTIONS} sections`);
+    }
+    sections = list.map((item, index) => {
+      const { page = 1, top, bottom = null } = item || {};
+      if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+        throw new Error(`Section ${index + 1}: page must be between 1 and ${pageCount}`);
+      }
+      if (!Number.isInteger(top) || top < 0 || (bottom !== null && (!Number.isInteger(bottom) || bottom <= top))) {
+        throw new Error(`Section ${index + 1}: top must be a pixel offset, and bottom one below it`);
+      }
+      return { page: page - 1, top, bottom };
+    }).sort((a, b) => a.page - b.page || a.top - b.top);
+  }
+
+  return { hold, sections };
+}
+
+/**
+ * Sums the per-channel difference of two RGB colours
+ *
+ * @param {number[]} a - First colour
+ * @param {number[]} b - Second colour
+ * @returns {number} Distance from 0 (same colour) to 765
+ */
+function colorDistance(a, b) {
+  return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]);
+}
+
+/**
+ * Creates a function that summarizes one line across a decoded page: a row, or a column for horizontal scrolls
+ *
+ * @param {{pixels: Buffer, width: number, height: number}} page - Decoded page from {@link decodePage}
+ * @param {boolean} horizontal - Whether lines are columns
+ * @returns {function(number, number=): {mean: number[], flat: boolean, changed: number}} Takes a line and
+ *   optionally a neighbouring one, and returns the line's mean colour, whether it is one flat colour, and the
+ *   share of its pixels that differ sharply from the neighbour
+ */
+function createLineSampler({ pixels, width, height }, horizontal) {
+  const breadth = horizontal ? height : width;
+  const step = Math.max(1, Math.floor(breadth / 256)); // Sample at most ~256 pixels per line
+  const indexOf = horizontal
+    ? (line, across) => (across * width + line) * 4
+    : (line, across) => (line * width + across) * 4;
+
+  return (line, neighbour = null) => {
+    const mean = [0, 0, 0];
+    let samples = 0;
+    for (let across = 0; across < breadth; across += step) {
+      const i = indexOf(line, across);
+      mean[0] += pixels[i];
+      mean[1] += pixels[i + 1];
+      mean[2] += pixels[i + 2];
+      samples++;
+    }
+    for (let c = 0; c < 3; c++) mean[c] /= samples;
+
+    let spread = 0;
+    let changed = 0;
+    for (let across = 0; across < breadth; across += step) {
+      const i = indexOf(line, across);
+      spread += Math.abs(pixels[i] - mean[0]) + Math.abs(pixels[i + 1] - mean[1]) + Math.abs(pixels[i + 2] - mean[2]);
+      if (neighbour !== null) {
+        const other = indexOf(neighbour, across);
+        const difference = Math.abs(pixels[i] - pixels[other]) + Math.abs(pixels[i + 1] - pixels[other + 1]) +
+          Math.abs(pixels[i + 2] - pixels[other + 2]);
+        if (difference > 60) changed++;
+      }
+    }
+    return { mean, flat: spread / (samples * 3) < SECTION_UNIFORM_SPREAD, changed: changed / samples };
+  };
+}
+
+/**
+ * Finds likely section boundaries in a decoded page
+ *
+ * Lines across the page (rows, or columns for horizontal scrolls) are reduced to their mean colour and
+ * spread. Boundaries are placed in the middle of whitespace gaps (runs of flat lines of one colour),
+ * where one flat background band meets another, and at full-width hard edges such as the top of a banner.
+ *
+ * @param {{pixels: Buffer, width: number, height: number}} page - Decoded page from {@link decodePage}
+ * @param {boolean} horizontal - Whether the page scrolls sideways
+ * @param {number} viewport - Window size along the scroll, in pixels
+ * @returns {Array<{offset: number, score: number}>} Candidate boundaries along the scroll; higher scores
+ *   are more certain
+ */
+function findSectionBoundaries(page, horizontal, viewport) {
+  const length = horizontal ? page.width : page.height;
+  const measure = createLineSampler(page, horizontal);
+  const minGap = Math.max(16, Math.round(viewport * 0.03));
+
+  const candidates = [];
+  let run = null; // Current run of flat lines of one colour: {start, color}
+
+  for (let line = 0; line <= length; line++) {
+    const current = line < length ? measure(line, line > 0 ? line - 1 : null) : null;
+
+    const continuesRun = current && current.flat && run && colorDistance(current.mean, run.color) < 6;
+    if (run && !continuesRun) {
+      if (line - run.start >= minGap) {
+        candidates.push({ offset: Math.floor((run.start + line) / 2), score: line - run.start });
+      }
+      // One flat band meeting another of a different colour is a section change, however short the bands
+      if (current && current.flat && colorDistance(current.mean, run.color) >= SECTION_COLOR_CHANGE) {
+        candidates.push({ offset: line, score: viewport });
+      }
+      run = null;
+    }
+    if (current && current.flat && !run) {
+      run = { start: line, color: current.mean };
+    }
+    if (current && current.changed >= SECTION_EDGE_FRACTION) {
+      candidates.push({ offset: line, score: viewport / 2 });
+    }
+  }
+
+  return candidates.filter(({ offset }) => offset > 0 && offset < length);
+}
+
+/**
+ * Splits the stacked pages into sections, keeping the clearest boundaries that leave every section at
+ * least a third of the window long. Page joins always start a new section.
+ *
+ * @param {Array<{pixels: Buffer, width: number, height: number}>} pages - Decoded pages in strip order
+ * @param {boolean} horizontal - Whether the pages scroll sideways
+ * @param {number} viewport - Window size along the scroll, in pixels
+ * @returns {Array<{start: number, end: number}>} Sections in strip pixels, in order
+ */
+function detectSections(pages, horizontal, viewport) {
+  const minSection = Math.round(viewport / 3);
+  const boundaries = [0];
+  const candidates = [];
+  let origin = 0;
+  for (const page of pages) {
+    for (const { offset, score } of findSectionBoundaries(page, horizontal, viewport)) {
+      candidates.push({ offset: origin + offset, score });
+    }
+    origin += horizontal ? page.width : page.height;
+    boundaries.push(origin);
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { offset } of candidates) {
+    if (boundaries.length > MAX_SECTIONS) break;
+    if (boundaries.every(boundary => Math.abs(boundary - offset) >= minSection)) {
+      boundaries.push(offset);
+    }
+  }
+
+  boundaries.sort((a, b) => a - b);
+  return boundaries.slice(1).map((end, index) => ({ start: boundaries[index], end }));
+}
+
+/**
+ * Finds the sections of stacked pages, or places the requested ones
+ *
+ * @param {Array<{pixels: Buffer, width: number, height: number}>} pages - Decoded pages in strip order
+ * @param {Object[]} pageMetas - Sharp metadata of the original pages
+ * @param {Array<{x: number, y: number}>} pageOrigins - Where each page starts in the strip
+ * @param {Object} pacing - From {@link parsePacingOptions}
+ * @param {boolean} horizontal - Whether the pages scroll sideways
+ * @param {number} viewport - Window size along the scroll, in pixels
+ * @param {{top: number, bottom: number}} [inset] - Original page pixels cut off the top and bottom of every
+ *   page for sticky bars; section offsets still count from the top of the original page
+ * @returns {{strip: Array<{start: number, end: number}>, page: Array<{page: number, top: number,
+ *   bottom: number}>}} The sections in strip pixels, and in original page pixels with 1-based page numbers
+ *   as the `sections` field takes them
+ */
+function findPageSections(pages, pageMetas, pageOrigins, pacing, horizontal, viewport, inset = { top: 0, bottom: 0 }) {
+  const origins = pageOrigins.map(origin => horizontal ? origin.x : origin.y);
+  const lengths = pages.map(page => horizontal ? page.width : page.height);
+  const scales = pageMetas.map((meta, index) =>
+    (horizontal ? meta.width : meta.height - inset.top - inset.bottom) / lengths[index]);
+
+  let strip;
+  if (pacing.sections) {
+    strip = pacing.sections.map(({ page, top, bottom }, index) => {
+      const next = pacing.sections[index + 1];
+      const pageEnd = origins[page] + lengths[page];
+      const toStrip = offset => origins[page] + Math.max(0, offset - inset.top) / scales[page];
+      const end = bottom !== null
+        ? toStrip(bottom)
+        : next && next.page === page ? toStrip(next.top) : pageEnd;
+      return {
+        start: Math.min(Math.round(toStrip(top)), pageEnd),
+        end: Math.min(Math.round(end), pageEnd)
+      };
+    }).filter(({ start, end }) => end > start);
+    if (!strip.length) {
+      throw new RenderError('Every requested section lies beyond the end of its page');
+    }
+  } else {
+    strip = detectSections(pages, horizontal, viewport);
+  }
+
+  const page = strip.map(({ start, end }) => {
+    const index = origins.findLastIndex(origin => origin <= start);
+    return {
+      page: index + 1,
+      top: Math.round((start - origins[index]) * scales[index]) + inset.top,
+      bottom: Math.round((end - origins[index]) * scales[index]) + inset.top
+    };
+  });
+  return { strip, page };
+}
+
+/**
+ * Builds a timeline that settles on each section, pauses, and moves on, filling the duration
+ *
+ * A section shorter than the window is centred in it; a longer one is shown from its start. Moves
+ * between stops take time in proportion to their distance and ease in and out.
+ *
+ * @param {Array<{start: number, end: number}>} sections - Sections in strip pixels, in order
+ * @param {Object} options
+ * @param {number} options.viewport - Window size along the scroll, in pixels
+ * @param {number} options.maxScroll - Maximum scroll offset in pixels
+ * @param {number} options.duration - Video duration in seconds
+ * @param {number|null} options.hold - Seconds to pause on each section, or null for the default
+ * @param {boolean} options.reversed - Whether the scroll starts at the far end of the strip
+ * @returns {Array<{time: number, position: string, easing: string, hold: number}>} Timeline in the `timeline`
+ *   request format, with positions as percentages of the maximum scroll
+ */
+function createPacingTimeline(sections, { viewport, maxScroll, duration, hold, reversed }) {
+  let stops = [];
+  for (const { start, end } of sections) {
+    const size = end - start;
+    const stop = Math.max(0, Math.min(maxScroll, Math.round(size < viewport ? start - (viewport - size) / 2 : start)));
+    if (!stops.length || stop - stops[stops.length - 1] >= Math.max(4, viewport * 0.05)) {
+      stops.push(stop);
+    }
+  }
+  if (stops[0] !== 0) stops.unshift(0);
+  if (reversed) stops = stops.map(stop => maxScroll - stop).reverse();
+
+  // Whole milliseconds, so every keyframe starts exactly when the previous one's hold ends
+  const durationMs = Math.round(duration * 1000);
+  let holdMs = hold === null ? Math.min(1500, durationMs * 0.4 / stops.length) : hold * 1000;
+  holdMs = Math.floor(Math.min(holdMs, durationMs * 0.6 / stops.length));
+  const movingMs = durationMs - holdMs * stops.length;
+  const distance = Math.abs(stops[stops.length - 1] - stops[0]) || 1;
+
+  const percent = stop => `${maxScroll ? Number((stop / maxScroll * 100).toFixed(2)) : 0}%`;
+  const timeline = [{ time: 0, position: percent(stops[0]), easing: 'linear', hold: holdMs / 1000 }];
+  let time = holdMs;
+  for (let i = 1; i < stops.length; i++) {
+    time += Math.round(movingMs * Math.abs(stops[i] - stops[i - 1]) / distance);
+    timeline.push({ time: time / 1000, position: percent(stops[i]), easing: 'ease-in-out', hold: holdMs / 1000 });
+    time += holdMs;
+  }
+  return timeline;
+}
+
+
+/**
+ * Supported output formats with their container details and encoder defaults
+ *
+ * `crf` ranges and `presets` are only defined for formats that accept them.
+ * @type {Object<string, Object>}
+ */
+const OUTPUT_FORMATS = {
+  mp4: {
+    extension: 'mp4',
+    contentType: 'video/mp4',
+    crf: { default: 23, min: 0, max: 51 },
+    presets: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+    defaultPreset: 'medium',
+    audio: { codec: 'aac', bitrate: 192000 }
+  },
+  webm: {
+    extension: 'webm',
+    contentType: 'video/webm',
+    crf: { default: 32, min: 0, max: 63 },
+    presets: ['realtime', 'good', 'best'], // libvpx-vp9 -deadline values
+    defaultPreset: 'good',
+    audio: { codec: 'libopus', bitrate: 128000 } // WebM cannot carry AAC
+  },
+  gif: {
+    extension: 'gif',
+    contentType: 'image/gif'
+  },
+  webp: {
+    extension: 'webp',
+    contentType: 'image/webp'
+  }
+};
+
+/**
+ * Parses a bitrate such as `2M`, `800k` or `1500000` into bits per second
+ *
+ * @param {string|number} value - Bitrate with an optional k/M suffix
+ * @returns {number} Bits per second
+ * @throws {Error} If the value is not a positive bitrate
+ */
+function parseBitrate(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kKmM]?)(?:bps)?$/);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid bitrate "${value}". Use bits per second or a k/M suffix, e.g. 2M`);
+  }
+  const multiplier = { '': 1, k: 1e3, m: 1e6 }[match[2].toLowerCase()];
+  return Math.round(Number(match[1]) * multiplier);
+}
+
+/**
+ * Parses a file size such as `5MB`, `800KB` or `1048576` into bytes
+ *
+ * @param {string|number} value - Size with an optional KB/MB suffix (binary multiples)
+ * @returns {number} Size in bytes
+ * @throws {Error} If the value is not a positive size
+ */
+function parseByteSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid size "${value}". Use bytes or a KB/MB suffix, e.g. 5MB`);
+  }
+  const multiplier = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[(match[2] || 'b').toLowerCase()];
+  return Math.round(Number(match[1]) * multiplier);
+}
+
+/**
+ * Parses and validates the output format and encoder settings of a render request
+ *
+ * @param {Object} body - Multipart form fields
+ * @param {string} [body.format=mp4] - One of mp4, webm, gif, webp
+ * @param {number} [body.crf] - Constant rate factor (mp4: 0-51, webm: 0-63)
+ * @param {string} [body.preset] - Encoder speed preset (mp4: x264 presets, webm: realtime/good/best)
+ * @param {string} [body.maxBitrate] - Bitrate cap for mp4/webm, e.g. `4M`
+ * @param {string} [body.targetSize] - Aim for this output size (mp4/webm), e.g. `8MB`; replaces CRF
+ * @param {number} [body.quality=80] - Animated WebP quality (0-100)
+ * @returns {{format: string, crf: number|null, preset: string|null, maxBitrate: number|null,
+ *   targetSize: number|null, quality: number}} Normalized encoding settings
+ * @throws {Error} If any setting is invalid for the chosen format
+ */
+function parseEncodingOptions(body) {
+  const format = String(body.format || 'mp4').toLowerCase();
+  const spec = OUTPUT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unsupported format "${body.format}". Use ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  const isVideo = Boolean(spec.crf);
+  const rejectUnsupported = (name) => {
+    if (body[name] !== undefined && body[name] !== '') {
+      throw new Error(`"${name}" is not supported for ${format} output`);
+    }
+  };
+
+  let crf = null, preset = null, maxBitrate = null, targetSize = null;
+  if (isVideo) {
+    crf = body.crf === undefined || body.crf === '' ? spec.crf.default : Number(body.crf);
+    if (!Number.isInteger(crf) || crf < spec.crf.min || crf > spec.crf.max) {
+      throw new Error(`"crf" for ${format} must be an integer between ${spec.crf.min} and ${spec.crf.max}`);
+    }
+
+    preset = body.preset ? String(body.preset).toLowerCase() : spec.defaultPreset;
+    if (!spec.presets.includes(preset)) {
+      throw new Error(`"preset" for ${format} must be one of ${spec.presets.join(', ')}`);
+    }
+
+    maxBitrate = body.maxBitrate ? parseBitrate(body.maxBitrate) : null;
+    targetSize = body.targetSize ? parseByteSize(body.targetSize) : null;
+  } else {
+    ['crf', 'preset', 'maxBitrate', 'targetSize'].forEach(rejectUnsupported);
+  }
+
+  if (format !== 'webp') {
+    rejectUnsupported('quality');
+  }
+  const quality = body.quality === undefined || body.quality === '' ? 80 : Number(body.quality);
+  if (!Number.isFinite(quality) || quality < 0 || quality > 100) {
+    throw new Error('"quality" must be between 0 and 100');
+  }
+
+  return { format, crf, preset, maxBitrate, targetSize, quality };
+}
+
+/**
+ * Builds the FFmpeg output arguments for the requested format and encoder settings
+ *
+ * - mp4: H.264 (libx264) with CRF, or average bitrate when a target size is set
+ * - webm: VP9 (libvpx-vp9) in constant-quality mode, or average bitrate for a target size
+ * - gif: the second pass of a two-pass encode, dithering the frames stored by
+ *   {@link buildPalettePassArgs} (first input) against its palette (second input)
+ * - webp: animated lossy WebP (libwebp)
+ *
+ * With `targetSize` the average bitrate is derived from the duration, keeping 5% headroom
+ * for container overhead, and capped by `maxBitrate` when both are given. An audio track's
+ * bitrate is taken out of that budget.
+ *
+ * @param {Object} encoding - Settings returned by {@link parseEncodingOptions}
+ * @param {number} duration - Video duration in seconds
+ * @param {boolean} [withAudio=false] - Whether an audio track is muxed alongside the video
+ * @returns {string[]} FFmpeg arguments placed between the input and the output path
+ */
+function buildEncoderArgs(encoding, duration, withAudio = false) {
+  const { format, crf, preset, maxBitrate, targetSize, quality } = encoding;
+  const audioBitrate = withAudio ? OUTPUT_FORMATS[format].audio.bitrate : 0;
+
+  let targetBitrate = null;
+  if (targetSize) {
+    targetBitrate = Math.floor((targetSize * 8 * 0.95) / duration) - audioBitrate;
+    if (targetBitrate <= 0) {
+      throw new RenderError(`targetSize is too small to hold ${duration}s of video and audio`);
+    }
+    if (maxBitrate) targetBitrate = Math.min(targetBitrate, maxBitrate);
+  }
+
+  switch (format) {
+    case 'webm': {
+      // VP9 treats -b:v as the cap in constant-quality mode; 0 means uncapped
+      const rateArgs = targetBitrate
+        ? ['-b:v', String(targetBitrate)]
+        : ['-crf', String(crf), '-b:v', String(maxBitrate || 0)];
+      return [
+        '-c:v', 'libvpx-vp9',    // VP9 video codec
+        '-pix_fmt', 'yuv420p',   // Pixel format for compatibility
+        '-deadline', preset,     // Speed/quality trade-off
+        '-row-mt', '1',          // Multi-threaded row encoding
+        ...rateArgs
+      ];
+    }
+    case 'gif':
+      return [
+        '-filter_complex', '[0:v][1:v]paletteuse=dither=sierra2_4a',
+        '-loop', '0'             // Loop forever
+      ];
+    case 'webp':
+      return [
+        '-c:v', 'libwebp',       // Animated WebP encoder
+        '-lossless', '0',
+        '-quality', String(quality),
+        '-compression_level', '4',
+        '-loop', '0'             // Loop forever
+      ];
+    default: {
+      let rateArgs = ['-crf', String(crf)];
+      if (targetBitrate) {
+        rateArgs = ['-b:v', String(targetBitrate), '-maxrate', String(Math.round(targetBitrate * 1.5)),
+          '-bufsize', String(targetBitrate * 2)];
+      } else if (maxBitrate) {
+        rateArgs.push('-maxrate', String(maxBitrate), '-bufsize', String(maxBitrate * 2));
+      }
+      return [
+        '-c:v', 'libx264',       // Video codec
+        '-pix_fmt', 'yuv420p',   // Pixel format for compatibility
+        '-preset', preset,       // Speed/compression trade-off
+        ...rateArgs,
+        '-movflags', '+faststart' // Optimize for web streaming
+      ];
+    }
+  }
+}
+
+/**
+ * Builds the FFmpeg output arguments of the first GIF pass
+ *
+ * The piped frames are stored losslessly (FFV1) while palettegen collects their colour
+ * statistics, so the palette covers every frame without FFmpeg holding the video in memory.
+ * {@link buildEncoderArgs} then dithers the stored frames against the palette.
+ *
+ * @param {string} framesPath - Intermediate video to write (Matroska)
+ * @param {string} palettePath - Palette image to write (PNG)
+ * @param {number} threads - FFmpeg threads for the intermediate encode
+ * @returns {string[]} FFmpeg arguments placed after the input, including both output paths
+ */
+function buildPalettePassArgs(framesPath, palettePath, threads) {
+  return [
+    '-filter_complex', '[0:v]split[frames][stats];[stats]palettegen=stats_mode=diff[palette]',
+    '-map', '[frames]', '-c:v', 'ffv1', '-threads', String(threads), framesPath,
+    '-map', '[palette]', '-frames:v', '1', '-update', '1', palettePath
+  ];
+}
+
+/**
+ * Parses the background audio controls
+ *
+ * @param {Object} body - Request fields (`audioVolume`, `audioFadeIn`, `audioFadeOut`)
+ * @param {number} duration - Video duration in seconds; fades must fit inside it
+ * @returns {{volume: number, fadeIn: number, fadeOut: number}}
+ * @throws {Error} If a value is out of range
+ */
+function parseAudioOptions(body, duration) {
+  const number = (name, fallback) => (body[name] === undefined || body[name] === '' ? fallback : Number(body[name]));
+
+  const volume = number('audioVolume', 1);
+  if (!Number.isFinite(volume) || volume < 0 || volume > 4) {
+    throw new Error('"audioVolume" must be a multiplier between 0 and 4');
+  }
+
+  const fadeIn = number('audioFadeIn', 0);
+  const fadeOut = number('audioFadeOut', 0);
+  for (const [name, value] of [['audioFadeIn', fadeIn], ['audioFadeOut', fadeOut]]) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`"${name}" must be a number of seconds (0 or more)`);
+    }
+  }
+  if (fadeIn + fadeOut > duration) {
+    throw new Error(`audioFadeIn and audioFadeOut together cannot exceed the ${duration}s video`);
+  }
+
+  return { volume, fadeIn, fadeOut };
+}
+
+/**
+ * Builds the FFmpeg arguments that add a background audio track
+ *
+ * The track starts with the video and is cut at its end; tracks shorter than the video are
+ * looped. Volume is applied before the fades so the fade curves reach exactly zero.
+ *
+ * @param {string} audioFile - Path to the audio track
+ * @param {{duration: number|null}} audioInfo - Probe result from {@link probeAudio}
+ * @param {Object} audio - Settings from {@link parseAudioOptions}
+ * @param {string} format - Output format, which must define an `audio` codec in {@link OUTPUT_FORMATS}
+ * @param {number} duration - Video duration in seconds
+ * @returns {{inputArgs: string[], outputArgs: string[]}} Arguments for after the video input
+ *   and for after the video encoder settings
+ */
+function buildAudioArgs(audioFile, audioInfo, audio, format, duration) {
+  const { codec, bitrate } = OUTPUT_FORMATS[format].audio;
+  const filters = [`volume=${audio.volume}`];
+  if (audio.fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${audio.fadeIn}`);
+  }
+  if (audio.fadeOut > 0) {
+    filters.push(`afade=t=out:st=${duration - audio.fadeOut}:d=${audio.fadeOut}`);
+  }
+
+  const loop = audioInfo.duration !== null && audioInfo.duration < duration;
+  return {
+    inputArgs: [...(loop ? ['-stream_loop', '-1'] : []), '-i', audioFile],
+    outputArgs: [
+      '-map', '0:v',           // Video from the frame pipe
+      '-map', '1:a:0',         // First audio stream of the track
+      '-af', filters.join(','),
+      '-c:a', codec,
+      '-b:a', String(bitrate),
+      '-t', String(duration)   // Trim the (possibly looped) track to the video
+    ]
+  };
+}
+
+/**
+ * Output canvas presets for social media, as `[width, height]`
+ * @type {Object<string, number[]>}
+ */
+const CANVAS_PRESETS = {
+  reels: [1080, 1920],
+  shorts: [1080, 1920],
+  story: [1080, 1920],
+  portrait: [1080, 1350],
+  square: [1080, 1080],
+  landscape: [1920, 1080]
+};
+
+/**
+ * Where the device is placed on the canvas when it does not fill the available space
+ * @type {string[]}
+ */
+const CANVAS_POSITIONS = ['center', 'top', 'bottom', 'left', 'right'];
+
+/**
+ * Drop shadow used for `shadow=true`; blur and offsets are in output pixels
+ */
+const DEFAULT_SHADOW = { blur: 40, offsetX: 0, offsetY: 24, color: '#000000', opacity: 0.35 };
+
+/**
+ * Parses a canvas background
+ *
+ * @param {string} value - `transparent`, a hex colour, or `linear-gradient([angle,] #colour, #colour, ...)`
+ *   with the angle in CSS degrees (`180deg`, top to bottom, by default)
+ * @returns {{type: string, color: Object, angle: number, colors: string[]}} `color` background with an
+ *   RGBA `color`, or `gradient` background with `angle` and hex `colors`
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseBackground(value) {
+  const trimmed = String(value).trim();
+  if (trimmed === 'transparent') {
+    return { type: 'color', color: { r: 0, g: 0, b: 0, alpha: 0 } };
+  }
+
+  const gradient = /^linear-gradient\((.*)\)$/i.exec(trimmed);
+  if (!gradient) {
+    return { type: 'color', color: { ...parseHexColor(trimmed, 'background'), alpha: 1 } };
+  }
+
+  const parts = gradient[1].split(',').map(part => part.trim());
+  let angle = 180;
+  if (/^-?\d+(\.\d+)?deg$/.test(parts[0])) {
+    angle = parseFloat(parts.shift());
+  }
+  if (parts.length < 2) {
+    throw new Error('A linear-gradient background needs at least two colours');
+  }
+  const colors = parts.map(part => {
+    const { r, g, b } = parseHexColor(part, 'gradient colour');
+    return `rgb(${r}, ${g}, ${b})`;
+  });
+  return { type: 'gradient', angle, colors };
+}
+
+/**
+ * Parses the output canvas layout: size, background, padding, device position and drop shadow
+ *
+ * @param {Object} body - Request fields
+ * @param {string} [body.canvas] - Preset from {@link CANVAS_PRESETS} or `WxH`; defaults to the frame size
+ * @param {string} [body.background=#ffffff] - See {@link parseBackground}
+ * @param {string} [body.padding] - Space around the device in pixels, or `N%` of the shorter canvas side;
+ *   defaults to `6%` with a `canvas` and 0 without
+ * @param {string} [body.position=center] - One of {@link CANVAS_POSITIONS}
+ * @param {string} [body.shadow] - `true` for {@link DEFAULT_SHADOW}, or a JSON object overriding its fields
+ * @returns {{width: number|null, height: number|null, background: Object, padding: {value: number,
+ *   percent: boolean}, position: string, shadow: Object|null}} Layout; null sizes mean the frame size
+ * @throws {Error} If any field is invalid
+ */
+function parseLayoutOptions(body) {
+  let width = null;
+  let height = null;
+  if (body.canvas) {
+    const name = String(body.canvas).trim().toLowerCase();
+    const size = /^(\d+)x(\d+)$/.exec(name);
+    if (CANVAS_PRESETS[name]) {
+      [width, height] = CANVAS_PRESETS[name];
+    } else if (size) {
+      [width, height] = [Number(size[1]), Number(size[2])];
+      if (width < 16 || height < 16 || width > 8192 || height > 8192 || width % 2 || height % 2) {
+        throw new Error('Canvas sides must be even numbers between 16 and 8192');
+      }
+    } else {
+      throw new Error(`Unknown canvas "${body.canvas}". Use ${Object.keys(CANVAS_PRESETS).join(', ')} or WxH`);
+    }
+  }
+
+  const background = parseBackground(body.background || '#ffffff');
+
+  const paddingValue = body.padding === undefined || body.padding === '' ? (width ? '6%' : '0') : String(body.padding);
+  const padding = /^(\d+(?:\.\d+)?)(%|px)?$/.exec(paddingValue.trim());
+  if (!padding || (padding[2] === '%' && Number(padding[1]) >= 50)) {
+    throw new Error(`Invalid padding "${paddingValue}". Use pixels or a percentage below 50%`);
+  }
+
+  const position = body.position || 'center';
+  if (!CANVAS_POSITIONS.includes(position)) {
+    throw new Error(`Invalid position "${position}". Use one of: ${CANVAS_POSITIONS.join(', ')}`);
+  }
+
+  let shadow = null;
+  if (body.shadow && body.shadow !== 'false') {
+    let overrides = {};
+    if (body.shadow !== 'true') {
+      try {
+        overrides = JSON.parse(body.shadow);
+      } catch {
+        throw new Error('shadow must be true, false or a JSON object');
+      }
+    }
+    shadow = { ...DEFAULT_SHADOW, ...overrides };
+    if (!['blur', 'offsetX', 'offsetY', 'opacity'].every(key => Number.isFinite(shadow[key])) ||
+      shadow.blur < 0 || shadow.opacity < 0 || shadow.opacity > 1) {
+      throw new Error('shadow blur must be >= 0, offsets numbers and opacity between 0 and 1');
+    }
+    shadow.color = parseHexColor(shadow.color, 'shadow colour');
+  }
+
+  return {
+    width,
+    height,
+    background,
+    padding: { value: Number(padding[1]), percent: padding[2] === '%' },
+    position,
+    shadow
+  };
+}
+
+/**
+ * Fits the device into the canvas
+ *
+ * @param {Object} layout - From {@link parseLayoutOptions}
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @returns {{width: number, height: number, scale: number, deviceWidth: number, deviceHeight: number,
+ *   left: number, top: number}} Canvas size, device scale factor, scaled device size and position
+ * @throws {Error} If the padding leaves no room for the device
+ */
+function computeCanvasLayout(layout, frameWidth, frameHeight) {
+  const width = layout.width || frameWidth;
+  const height = layout.height || frameHeight;
+  const padding = layout.padding.percent
+    ? Math.round(Math.min(width, height) * layout.padding.value / 100)
+    : layout.padding.value;
+  if (width - 2 * padding < 16 || height - 2 * padding < 16) {
+    throw new Error(`Padding of ${padding}px leaves no room for the device on a ${width}x${height} canvas`);
+  }
+
+  const scale = Math.min((width - 2 * padding) / frameWidth, (height - 2 * padding) / frameHeight);
+  const deviceWidth = Math.round(frameWidth * scale);
+  const deviceHeight = Math.round(frameHeight * scale);
+
+  const centredLeft = Math.round((width - deviceWidth) / 2);
+  const centredTop = Math.round((height - deviceHeight) / 2);
+  const left = { left: padding, right: width - padding - deviceWidth }[layout.position] ?? centredLeft;
+  const top = { top: padding, bottom: height - padding - deviceHeight }[layout.position] ?? centredTop;
+
+  return { width, height, scale, deviceWidth, deviceHeight, left, top };
+}
+
+/**
+ * Renders the static part of the canvas: background colour or gradient, background image and device shadow
+ *
+ * @param {Object} layout - From {@link parseLayoutOptions}
+ * @param {Object} placement - From {@link computeCanvasLayout}
+ * @param {string|null} backgroundFile - Uploaded background image, scaled to cover the canvas
+ * @param {Buffer} devicePixels - Raw RGBA pixels of one composed device frame; its alpha is the shadow's shape
+ * @returns {Promise<Buffer>} Raw RGBA pixels of the canvas
+ */
+async function renderCanvasBackground(layout, placement, backgroundFile, devicePixels) {
+  const { width, height, deviceWidth, deviceHeight, left, top } = placement;
+  const { background, shadow } = layout;
+  const layers = [];
+
+  if (background.type === 'gradient') {
+    // CSS angles: 0deg points up, 90deg right; the gradient line spans the box in that direction
+    const radians = background.angle * Math.PI / 180;
+    const dx = Math.sin(radians);
+    const dy = -Math.cos(radians);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    const stops = background.colors.map((color, index) =>
+      `<stop offset="${index / (background.colors.length - 1)}" stop-color="${color}"/>`).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<defs><linearGradient id="g" gradientUnits="userSpaceOnUse" x1="${width / 2 - dx * half}" ` +
+      `y1="${height / 2 - dy * half}" x2="${width / 2 + dx * half}" y2="${height / 2 + dy * half}">${stops}` +
+      `</linearGradient></defs><rect width="${width}" height="${height}" fill="url(#g)"/></svg>`;
+    layers.push({ input: Buffer.from(svg) });
+  }
+
+  if (backgroundFile) {
+    layers.push({ input: await sharp(backgroundFile).resize(width, height, { fit: 'cover' }).png().toBuffer() });
+  }
+
+  if (shadow && shadow.opacity > 0) {
+    // Shadow shape: the device's alpha, offset and tinted, then blurred (CSS blur radius is about 2 sigma)
+    const shadowPixels = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < deviceHeight; y++) {
+      const targetY = top + Math.round(shadow.offsetY) + y;
+      if (targetY < 0 || targetY >= height) continue;
+      for (let x = 0; x < deviceWidth; x++) {
+        const targetX = left + Math.round(shadow.offsetX) + x;
+        if (targetX < 0 || targetX >= width) continue;
+        const target = (targetY * width + targetX) * 4;
+        shadowPixels[target] = shadow.color.r;
+        shadowPixels[target + 1] = shadow.color.g;
+        shadowPixels[target + 2] = shadow.color.b;
+        shadowPixels[target + 3] = Math.round(devicePixels[(y * deviceWidth + x) * 4 + 3] * shadow.opacity);
+      }
+    }
+
+    let shadowLayer = sharp(shadowPixels, { raw: { width, height, channels: 4 } });
+    if (shadow.blur >= 1) {
+      shadowLayer = shadowLayer.blur(shadow.blur / 2);
+    }
+    layers.push({ input: await shadowLayer.raw().toBuffer(), raw: { width, height, channels: 4 } });
+  }
+
+  const base = background.type === 'color' ? background.color : { r: 0, g: 0, b: 0, alpha: 0 };
+  return sharp({ create: { width, height, channels: 4, background: base } })
+    .composite(layers)
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * How the devices of a multi-device render are arranged: side by side with their bottoms aligned,
+ * centred in the cells of a grid, or at explicit offsets
+ * @type {string[]}
+ */
+const DEVICE_ARRANGEMENTS = ['row', 'grid', 'custom'];
+
+/**
+ * Parses a multi-device layout
+ *
+ * Each device is a JSON object with optional fields:
+ * - `frame`: number of the uploaded frame to use, starting at 1; defaults to the frame with the device's own
+ *   number, so the first device uses the first frame
+ * - `frameId`: library frame instead of an uploaded one
+ * - `page`: page number or array of page numbers stacked on this device; defaults to every page
+ * - `scale`: size relative to the frame's own pixels (default 1), e.g. to show a phone and a monitor at
+ *   believable sizes
+ * - `x`, `y`: top-left corner in the arrangement, required for `deviceLayout=custom`
+ *
+ * @param {Object} body - Request fields
+ * @param {string} body.devices - JSON array of 2 to {@link MAX_DEVICES} devices
+ * @param {string} [body.deviceLayout=row] - One of {@link DEVICE_ARRANGEMENTS}
+ * @param {string} [body.deviceGap=40] - Space between devices in row and grid layouts, in pixels
+ *   before the arrangement is fitted to the canvas
+ * @param {string} [body.deviceColumns] - Grid columns; defaults to the square root of the device count, rounded up
+ * @param {number} pageCount - Number of uploaded pages
+ * @returns {{arrangement: string, gap: number, columns: number, items: Array<{frame: number|null,
+ *   frameId: string|null, pages: number[], scale: number, x: number, y: number}>}} Normalized layout;
+ *   `pages` holds zero-based page indexes
+ * @throws {Error} If the JSON or any device is invalid
+ */
+function parseDeviceOptions(body, pageCount) {
+  let list;
+  try {
+    list = JSON.parse(body.devices);
+  } catch {
+    throw new Error('devices must be a JSON array');
+  }
+  if (!Array.isArray(list) || list.length < 2 || list.length > MAX_DEVICES) {
+    throw new Error(`devices must be a JSON array of 2 to ${MAX_DEVICES} devices`);
+  }
+
+  const arrangement = body.deviceLayout || 'row';
+  if (!DEVICE_ARRANGEMENTS.includes(arrangement)) {
+    throw new Error(`Invalid deviceLayout "${arrangement}". Use one of: ${DEVICE_ARRANGEMENTS.join(', ')}`);
+  }
+
+  const gap = body.deviceGap === undefined || body.deviceGap === '' ? 40 : Number(body.deviceGap);
+  if (!Number.isFinite(gap) || gap < 0) {
+    throw new Error('deviceGap must be a non-negative number of pixels');
+  }
+
+  const columns = body.deviceColumns ? Number(body.deviceColumns) : Math.ceil(Math.sqrt(list.length));
+  if (!Number.isInteger(columns) || columns < 1) {
+    throw new Error('deviceColumns must be a positive integer');
+  }
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  const items = list.map((item, index) => {
+    const label = `Device ${index + 1}`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${label} must be an object`);
+    }
+
+    const { frame = null, frameId = null, page = null, scale = 1, x = 0, y = 0 } = item;
+    if (frame !== null && (!Number.isInteger(frame) || frame < 1)) {
+      throw new Error(`${label}: frame must be an uploaded frame number starting at 1`);
+    }
+    if (frameId !== null && (typeof frameId !== 'string' || frame !== null)) {
+      throw new Error(`${label}: frameId must be a library frame id, and cannot be combined with frame`);
+    }
+
+    const pages = page === null ? [...Array(pageCount).keys()] : [].concat(page).map(number => number - 1);
+    const isPageIndex = pageIndex => Number.isInteger(pageIndex) && pageIndex >= 0 && pageIndex < pageCount;
+    if (!pages.length || !pages.every(isPageIndex)) {
+      throw new Error(`${label}: page must be a page number or an array of page numbers between 1 and ${pageCount}`);
+    }
+
+    if (!isNumber(scale) || scale <= 0 || scale > 4) {
+      throw new Error(`${label}: scale must be above 0 and at most 4`);
+    }
+    if (arrangement === 'custom' && (item.x === undefined || item.y === undefined)) {
+      throw new Error(`${label}: x and y are required with deviceLayout=custom`);
+    }
+    if (!isNumber(x) || !isNumber(y) || x < 0 || y < 0) {
+      throw new Error(`${label}: x and y must be non-negative numbers`);
+    }
+
+    return { frame, frameId, pages, scale, x, y };
+  });
+
+  return { arrangement, gap, columns, items };
+}
+
+/**
+ * Arranges the devices of a multi-device render into one group, which is then fitted to the canvas
+ * like a single frame
+ *
+ * @param {Object} devices - From {@link parseDeviceOptions}
+ * @param {Array<{width: number, height: number}>} frameSizes - Frame size of every device, in order
+ * @returns {{width: number, height: number, boxes: Array<{x: number, y: number, width: number, height: number}>}}
+ *   Group size (rounded up to even numbers) and each device's scaled box within it
+ */
+function arrangeDevices(devices, frameSizes) {
+  const { arrangement, gap, items } = devices;
+  const sizes = frameSizes.map(({ width, height }, index) => ({
+    width: width * items[index].scale,
+    height: height * items[index].scale
+  }));
+
+  let boxes;
+  if (arrangement === 'custom') {
+    boxes = sizes.map((size, index) => ({ x: items[index].x, y: items[index].y, ...size }));
+  } else if (arrangement === 'grid') {
+    const columns = Math.min(devices.columns, sizes.length);
+    const cellWidth = Math.max(...sizes.map(size => size.width));
+    const cellHeight = Math.max(...sizes.map(size => size.height));
+    boxes = sizes.map((size, index) => ({
+      x: (index % columns) * (cellWidth + gap) + (cellWidth - size.width) / 2,
+      y: Math.floor(index / columns) * (cellHeight + gap) + (cellHeight - size.height) / 2,
+      ...size
+    }));
+  } else {
+    // Devices stand side by side on a common baseline
+    const rowHeight = Math.max(...sizes.map(size => size.height));
+    let x = 0;
+    boxes = sizes.map(size => {
+      const box = { x, y: rowHeight - size.height, ...size };
+      x += size.width + gap;
+      return box;
+    });
+  }
+
+  const even = value => 2 * Math.ceil(value / 2);
+  return {
+    width: even(Math.max(...boxes.map(box => box.x + box.width))),
+    height: even(Math.max(...boxes.map(box => box.y + box.height))),
+    boxes
+  };
+}
+
+/**
+ * Overlay types: timed captions in output pixels, and shapes pinned to page coordinates
+ */
+const OVERLAY_TYPES = ['caption', 'rect', 'arrow'];
+const MAX_OVERLAYS = 50;
+const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+
+/**
+ * Default style of each overlay type; `start`, `end` and `fade` are shared
+ */
+const OVERLAY_DEFAULTS = {
+  caption: {
+    font: 'sans-serif Bold', size: 48, color: '#ffffff', background: '#000000', backgroundOpacity: 0.7,
+    position: 'bottom'
+  },
+  rect: { page: 1, color: '#ff3b30', strokeWidth: 6, radius: 12, fill: null, fillOpacity: 0.2 },
+  arrow: { page: 1, color: '#ff3b30', strokeWidth: 6 }
+};
+
+/**
+ * Parses the overlay list of a render request
+ *
+ * Every overlay has `type`, `start` and `end` (seconds; `end` defaults to the end of the video)
+ * and `fade` (seconds of fade-in and fade-out). Captions take `text`, `font`, `size`, `color`,
+ * `background` (`none` for no pill), `backgroundOpacity` and either `position` or `x`/`y` in
+ * output pixels. Rectangles take `x`, `y`, `width`, `height`, `radius`, `fill` and `fillOpacity`,
+ * arrows `from` and `to` points; both take `color`, `strokeWidth` and a 1-based `page`, in that
+ * page's original pixels.
+ *
+ * @param {string} value - JSON array of overlays
+ * @returns {Array<Object>} Overlays with defaults applied and colours parsed
+ * @throws {Error} If the JSON or any overlay is invalid
+ */
+function parseOverlays(value) {
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch {
+    throw new Error('overlays must be a JSON array');
+  }
+  if (!Array.isArray(list) || list.length > MAX_OVERLAYS) {
+    throw new Error(`overlays must be a JSON array of at most ${MAX_OVERLAYS} items`);
+  }
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isPoint = value => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+
+  return list.map((item, index) => {
+    const label = `Overlay ${index + 1}`;
+    if (!item || typeof item !== 'object' || !OVERLAY_TYPES.includes(item.type)) {
+      throw new Error(`${label}: type must be one of ${OVERLAY_TYPES.join(', ')}`);
+    }
+
+    const overlay = { start: 0, end: Infinity, fade: 0, ...OVERLAY_DEFAULTS[item.type], ...item };
+    if (!isNumber(overlay.start) || !(isNumber(overlay.end) || overlay.end === Infinity) ||
+      overlay.start < 0 || overlay.end <= overlay.start || !isNumber(overlay.fade) || overlay.fade < 0) {
+      throw new Error(`${label}: start and end must be seconds with end after start, and fade >= 0`);
+    }
+    overlay.color = parseHexColor(overlay.color, `${label} colour`);
+
+    if (overlay.type === 'caption') {
+      if (typeof overlay.text !== 'string' || !overlay.text.trim() || overlay.text.length > 200) {
+        throw new Error(`${label}: caption text must be 1-200 characters`);
+      }
+      if (typeof overlay.font !== 'string' || !/^[\w\s,-]{1,64}$/.test(overlay.font)) {
+        throw new Error(`${label}: font must be a font family and style such as "Helvetica Bold"`);
+      }
+      if (!isNumber(overlay.size) || overlay.size < 8 || overlay.size > 400) {
+        throw new Error(`${label}: size must be between 8 and 400 pixels`);
+      }
+      overlay.background = overlay.background === 'none' || overlay.background === null
+        ? null
+        : parseHexColor(overlay.background, `${label} background`);
+      if (!isNumber(overlay.backgroundOpacity) || overlay.backgroundOpacity < 0 || overlay.backgroundOpacity > 1) {
+        throw new Error(`${label}: backgroundOpacity must be between 0 and 1`);
+      }
+      if (item.x !== undefined || item.y !== undefined) {
+        if (!isNumber(overlay.x) || !isNumber(overlay.y)) {
+          throw new Error(`${label}: x and y must both be numbers`);
+        }
+      } else if (!CAPTION_POSITIONS.includes(overlay.position)) {
+        throw new Error(`${label}: position must be one of ${CAPTION_POSITIONS.join(', ')}`);
+      }
+      return overlay;
+    }
+
+    if (!Number.isInteger(overlay.page) || overlay.page < 1) {
+      throw new Error(`${label}: page must be a page number starting at 1`);
+    }
+    if (!isNumber(overlay.strokeWidth) || overlay.strokeWidth < 0 || overlay.strokeWidth > 100) {
+      throw new Error(`${label}: strokeWidth must be between 0 and 100`);
+    }
+
+    if (overlay.type === 'rect') {
+      if (![overlay.x, overlay.y, overlay.width, overlay.height, overlay.radius].every(isNumber) ||
+        overlay.width <= 0 || overlay.height <= 0 || overlay.radius < 0) {
+        throw new Error(`${label}: rect needs numeric x, y, width and height (and radius >= 0)`);
+      }
+      overlay.fill = overlay.fill === null || overlay.fill === 'none' ? null : parseHexColor(overlay.fill, `${label} fill`);
+      if (!isNumber(overlay.fillOpacity) || overlay.fillOpacity < 0 || overlay.fillOpacity > 1) {
+        throw new Error(`${label}: fillOpacity must be between 0 and 1`);
+      }
+    } else if (!isPoint(overlay.from) || !isPoint(overlay.to)) {
+      throw new Error(`${label}: arrow needs from and to points as [x, y]`);
+    }
+    return overlay;
+  });
+}
+
+/**
+ * Formats a parsed colour for SVG
+ * @param {{r: number, g: number, b: number}} color
+ * @returns {string}
+ */
+function svgColor({ r, g, b }) {
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Rasterizes a page-pinned shape once, at the page's decoded scale
+ *
+ * @param {Object} overlay - A `rect` or `arrow` from {@link parseOverlays}
+ * @param {number} scale - Decoded page pixels per original page pixel
+ * @returns {Promise<{pixels: Buffer, width: number, height: number, x: number, y: number}>} Raw RGBA
+ *   sprite and its top-left corner in decoded page pixels
+ */
+async function renderShapeOverlay(overlay, scale) {
+  const stroke = overlay.strokeWidth * scale;
+  const color = svgColor(overlay.color);
+  let box, body;
+
+  if (overlay.type === 'rect') {
+    const pad = Math.ceil(stroke / 2) + 1;
+    box = {
+      x: Math.floor(overlay.x * scale) - pad,
+      y: Math.floor(overlay.y * scale) - pad,
+      width: Math.ceil(overlay.width * scale) + pad * 2,
+      height: Math.ceil(overlay.height * scale) + pad * 2
+    };
+    const fill = overlay.fill ? `fill="${svgColor(overlay.fill)}" fill-opacity="${overlay.fillOpacity}"` : 'fill="none"';
+    body = `<rect x="${overlay.x * scale - box.x}" y="${overlay.y * scale - box.y}" width="${overlay.width * scale}" ` +
+      `height="${overlay.height * scale}" rx="${overlay.radius * scale}" ${fill} ` +
+      `stroke="${color}" stroke-width="${stroke}"/>`;
+  } else {
+    // The head is sized from the stroke so thin and thick arrows keep their proportions
+    const [fromX, fromY] = overlay.from.map(value => value * scale);
+    const [toX, toY] = overlay.to.map(value => value * scale);
+    const headLength = Math.max(stroke * 4, 12 * scale);
+    const length = Math.hypot(toX - fromX, toY - fromY) || 1;
+    const [ux, uy] = [(toX - fromX) / length, (toY - fromY) / length];
+    const baseX = toX - ux * headLength;
+    const baseY = toY - uy * headLength;
+    const halfWidth = headLength * 0.6;
+
+    const pad = Math.ceil(Math.max(halfWidth, stroke)) + 1;
+    box = {
+      x: Math.floor(Math.min(fromX, toX)) - pad,
+      y: Math.floor(Math.min(fromY, toY)) - pad,
+      width: Math.ceil(Math.abs(toX - fromX)) + pad * 2,
+      height: Math.ceil(Math.abs(toY - fromY)) + pad * 2
+    };
+    const point = (x, y) => `${x - box.x},${y - box.y}`;
+    body = `<line x1="${fromX - box.x}" y1="${fromY - box.y}" x2="${baseX - box.x}" y2="${baseY - box.y}" ` +
+      `stroke="${color}" stroke-width="${stroke}" stroke-linecap="round"/>` +
+      `<polygon points="${point(toX, toY)} ${point(baseX - uy * halfWidth, baseY + ux * halfWidth)} ` +
+      `${point(baseX + uy * halfWidth, baseY - ux * halfWidth)}" fill="${color}"/>`;
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}">${body}</svg>`;
+  const pixels = await sharp(Buffer.from(svg)).ensureAlpha().raw().toBuffer();
+  return { pixels, width: box.width, height: box.height, x: box.x, y: box.y };
+}
+
+/**
+ * Rasterizes a caption once: Pango text, wrapped to the output width, on an optional rounded pill
+ *
+ * @param {Object} overlay - A `caption` from {@link parseOverlays}
+ * @param {number} outputWidth - Video width in pixels
+ * @param {number} outputHeight - Video height in pixels
+ * @returns {Promise<{pixels: Buffer, width: number, height: number, x: number, y: number}>} Raw RGBA
+ *   sprite and its top-left corner in output pixels
+ */
+async function renderCaptionOverlay(overlay, outputWidth, outputHeight) {
+  const padX = overlay.background ? Math.round(overlay.size * 0.6) : 0;
+  const padY = overlay.background ? Math.round(overlay.size * 0.3) : 0;
+  const escaped = overlay.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const { r, g, b } = overlay.color;
+  const hex = `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+  const { data: text, info } = await sharp({
+    text: {
+      text: `<span foreground="${hex}">${escaped}</span>`,
+      font: `${overlay.font} ${overlay.size}px`,
+      width: Math.max(1, Math.round(outputWidth * 0.9) - padX * 2),
+      align: 'centre',
+      rgba: true,
+      dpi: 72
+    }
+  }).raw().toBuffer({ resolveWithObject: true });
+
+  const width = info.width + padX * 2;
+  const height = info.height + padY * 2;
+  const layers = [{ input: text, raw: { width: info.width, height: info.height, channels: 4 }, left: padX, top: padY }];
+  if (overlay.background) {
+    const pill = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<rect width="${width}" height="${height}" rx="${Math.min(height / 2, overlay.size)}" ` +
+      `fill="${svgColor(overlay.background)}" fill-opacity="${overlay.backgroundOpacity}"/></svg>`;
+    layers.unshift({ input: Buffer.from(pill) });
+  }
+
+  const pixels = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite(layers)
+    .raw()
+    .toBuffer();
+
+  let x, y;
+  if (overlay.x !== undefined) {
+    ({ x, y } = overlay);
+  } else {
+    x = (outputWidth - width) / 2;
+    y = {
+      top: outputHeight * 0.06,
+      center: (outputHeight - height) / 2,
+      bottom: outputHeight * 0.94 - height
+    }[overlay.position];
+  }
+  return { pixels, width, height, x: Math.round(x), y: Math.round(y) };
+}
+
+/**
+ * Opacity of an overlay at a point in time, including its fade-in and fade-out
+ * @param {Object} overlay - Overlay from {@link parseOverlays}
+ * @param {number} time - Seconds from the start of the video
+ * @returns {number} 0 (hidden) to 1
+ */
+function overlayOpacity(overlay, time) {
+  if (time < overlay.start || time >= overlay.end) return 0;
+  if (overlay.fade <= 0) return 1;
+  return Math.min(1, (time - overlay.start) / overlay.fade, (overlay.end - time) / overlay.fade);
+}
+
+/**
+ * Turns a rasterized overlay into a composite layer, cropped to a box and faded
+ *
+ * Sharp refuses layers larger than the image they are composited onto, and page shapes must
+ * not spill outside the screen, so the sprite is cut down to its visible part first.
+ *
+ * @param {{pixels: Buffer, width: number, height: number}} sprite - Raw RGBA overlay
+ * @param {number} left - Sprite position in the composited image
+ * @param {number} top - Sprite position in the composited image
+ * @param {{x: number, y: number, width: number, height: number}} box - Area the overlay may draw into
+ * @param {number} opacity - Multiplier for the sprite's alpha
+ * @returns {Object|null} Sharp composite layer, or null if nothing is visible
+ */
+function overlayLayer(sprite, left, top, box, opacity) {
+  const x0 = Math.max(left, box.x);
+  const y0 = Math.max(top, box.y);
+  const x1 = Math.min(left + sprite.width, box.x + box.width);
+  const y1 = Math.min(top + sprite.height, box.y + box.height);
+  if (x1 <= x0 || y1 <= y0 || opacity <= 0) return null;
+
+  const width = x1 - x0;
+  const height = y1 - y0;
+  let pixels = sprite.pixels;
+  if (width !== sprite.width || height !== sprite.height || opacity < 1) {
+    pixels = Buffer.allocUnsafe(width * height * 4);
+    for (let row = 0; row < height; row++) {
+      const start = ((y0 - top + row) * sprite.width + (x0 - left)) * 4;
+      sprite.pixels.copy(pixels, row * width * 4, start, start + width * 4);
+    }
+    if (opacity < 1) {
+      for (let i = 3; i < pixels.length; i += 4) {
+        pixels[i] = Math.round(pixels[i] * opacity);
+      }
+    }
+  }
+
+  return { input: pixels, raw: { width, height, channels: 4 }, left: x0, top: y0 };
+}
+
+/**
+ * Error raised for invalid render input or unusable images
+ *
+ * Carries the HTTP status the request should be answered with, so the pipeline can
+ * reject input without knowing whether it runs for `/render` or a background job.
+ */
+class RenderError extends Error {
+  /**
+   * @param {string} message - Client-facing error message
+   * @param {number} [status=400] - HTTP status code to respond with
+   * @param {Object} [details={}] - Extra fields merged into the JSON error response
+   */
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'RenderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Supported transitions between pages in sequence mode
+ * @type {string[]}
+ */
+const PAGE_TRANSITIONS = ['cut', 'crossfade', 'slide'];
+
+/**
+ * How the page fills the screen: `cutout` places it in the largest transparent rectangle,
+ * `mask` sizes it to the whole screen shape and clips it to the frame's transparency,
+ * `perspective` additionally warps it into the screen's four corners for tilted mockups
+ * @type {string[]}
+ */
+const SCREEN_FITS = ['cutout', 'mask', 'perspective'];
+
+/**
+ * Directions the page can scroll in; `right` and `left` fit the page to the cutout height
+ * @type {string[]}
+ */
+const SCROLL_DIRECTIONS = ['down', 'up', 'right', 'left'];
+
+/**
+ * Parses and validates how multiple pages are combined
+ *
+ * @param {Object} body - Multipart form fields
+ * @param {string} [body.pageMode=stack] - `stack` (one continuous scroll) or `sequence` (one page after another)
+ * @param {string} [body.transition=cut] - Sequence transition: cut, crossfade or slide
+ * @param {number} [body.transitionDuration=0.5] - Sequence transition length in seconds
+ * @param {string} [body.pageDuration] - Seconds per page in sequence mode: one value for all pages
+ *   or a comma-separated list in page order. Defaults to splitting `duration` evenly
+ * @param {number} pageCount - Number of uploaded pages
+ * @param {number} duration - Requested video duration in seconds
+ * @returns {{mode: string, transition: string, transitionDuration: number, durations: number[]}}
+ *   Normalized page options; `durations` holds the seconds per page
+ * @throws {Error} If the mode, transition or durations are invalid
+ */
+function parsePageOptions(body, pageCount, duration) {
+  const mode = String(body.pageMode || 'stack').toLowerCase();
+  if (mode !== 'stack' && mode !== 'sequence') {
+    throw new Error(`Unknown pageMode "${body.pageMode}". Use stack or sequence`);
+  }
+
+  const transition = String(body.transition || 'cut').toLowerCase();
+  if (!PAGE_TRANSITIONS.includes(transition)) {
+    throw new Error(`Unknown transition "${body.transition}". Use ${PAGE_TRANSITIONS.join(', ')}`);
+  }
+
+  const transitionDuration = body.transitionDuration === undefined || body.transitionDuration === ''
+    ? 0.5
+    : Number(body.transitionDuration);
+  if (!Number.isFinite(transitionDuration) || transitionDuration < 0) {
+    throw new Error('"transitionDuration" must be a non-negative number of seconds');
+  }
+
+  let durations = new Array(pageCount).fill(duration / pageCount);
+  if (body.pageDuration) {
+    const values = String(body.pageDuration).split(',').map(Number);
+    if (values.length !== 1 && values.length !== pageCount) {
+      throw new Error(`"pageDuration" needs one value or ${pageCount} comma-separated values`);
+    }
+    if (values.some(value => !Number.isFinite(value) || value <= 0)) {
+      throw new Error('"pageDuration" values must be positive numbers of seconds');
+    }
+    durations = values.length === 1 ? new Array(pageCount).fill(values[0]) : values;
+  }
+
+  return { mode, transition, transitionDuration, durations };
+}
+
+/**
+ * Settings fields of `POST /render` read by {@link parseRenderOptions}; the uploaded files and the server's
+ * `frameId` and `cache` fields are not among them
+ * @type {string[]}
+ */
+const RENDER_FIELDS = [
+  'duration', 'fps', 'timeline', 'loop', 'pacing', 'sectionHold', 'sections',
+  'format', 'crf', 'preset', 'maxBitrate', 'targetSize', 'quality',
+  'pageMode', 'transition', 'transitionDuration', 'pageDuration',
+  'cutoutAspectRatio', 'screenFit', 'screenX', 'screenY', 'screenWidth', 'screenHeight', 'screenCorners',
+  'keyColor', 'keyTolerance',
+  'canvas', 'background', 'padding', 'position', 'shadow',
+  'audioVolume', 'audioFadeIn', 'audioFadeOut',
+  'overlays', 'direction', 'stickyTop', 'stickyBottom',
+  'devices', 'deviceLayout', 'deviceGap', 'deviceColumns'
+];
+
+/**
+ * Parses and validates the animation parameters of a render request
+ *
+ * @param {Object} body - Multipart form fields
+ * @param {number} [pageCount=1] - Number of uploaded pages
+ * @returns {{duration: number, fps: number, keyframes: Array|null, loop: boolean, encoding: Object, pages: Object,
+ *   cutoutAspectRatio: number|null, screenFit: string, screenCorners: number[][]|null, manualCutout: Object|null,
+ *   chromaKey: Object|null, direction: string, sticky: Object|null, layout: Object|null, audio: Object,
+ *   overlays: Object[], pacing: Object|null, devices: Object|null}} Normalized options; `encoding` comes from
+ *   {@link parseEncodingOptions}, `pages` from {@link parsePageOptions}, `sticky` from {@link parseStickyOptions},
+ *   `layout` from {@link parseLayoutOptions}, `audio` from {@link parseAudioOptions}, `overlays` from
+ *   {@link parseOverlays}, `pacing` from {@link parsePacingOptions} and `devices` from {@link parseDeviceOptions}
+ * @throws {RenderError} If the timeline, encoding, page, cutout, sticky bar, canvas, audio, overlay, pacing or
+ *   device options are invalid
+ */
+function parseRenderOptions(body, pageCount = 1) {
+  let keyframes = null;
+  if (body.timeline) {
+    try {
+      keyframes = parseTimeline(body.timeline);
+    } catch (error) {
+      throw new RenderError(`Invalid timeline: ${error.message}`);
+    }
+  }
+
+  const loop = body.loop === 'true' || body.loop === '1';
+  const timelineLength = keyframes ? keyframes[keyframes.length - 1].time + keyframes[keyframes.length - 1].hold : 0;
+  const defaultDuration = keyframes && timelineLength > 0 ? timelineLength : 8;
+  let duration = Math.max(1, Number(body.duration) || defaultDuration);
+  const fps = Math.max(12, Number(body.fps) || 30);
+
+  let pages;
+  try {
+    pages = parsePageOptions(body, pageCount, duration);
+  } catch (error) {
+    throw new RenderError(`Invalid page options: ${error.message}`);
+  }
+  if (pages.mode === 'sequence') {
+    duration = pages.durations.reduce((sum, pageDuration) => sum + pageDuration, 0);
+  }
+
+  let encoding;
+  try {
+    encoding = parseEncodingOptions(body);
+  } catch (error) {
+    throw new RenderError(`Invalid encoding options: ${error.message}`);
+  }
+
+  let screenCorners = null;
+  if (body.screenCorners) {
+    try {
+      screenCorners = parseScreenCorners(body.screenCorners);
+    } catch (error) {
+      throw new RenderError(error.message);
+    }
+  }
+
+  const screenFit = body.screenFit || (screenCorners ? 'perspective' : 'cutout');
+  if (!SCREEN_FITS.includes(screenFit)) {
+    throw new RenderError(`Invalid screenFit "${screenFit}". Use one of: ${SCREEN_FITS.join(', ')}`);
+  }
+  if (screenCorners && screenFit !== 'perspective') {
+    throw new RenderError('screenCorners requires screenFit=perspective');
+  }
+
+  let manualCutout, chromaKey;
+  try {
+    manualCutout = parseManualCutout(body);
+    chromaKey = parseChromaKey(body);
+  } catch (error) {
+    throw new RenderError(error.message);
+  }
+  if (manualCutout && screenFit !== 'cutout') {
+    throw new RenderError('screenX/screenY/screenWidth/screenHeight only apply to screenFit=cutout; ' +
+      'use screenCorners for perspective renders');
+  }
+
+  let cutoutAspectRatio = null;
+  if (body.cutoutAspectRatio) {
+    try {
+      cutoutAspectRatio = parseAspectRatio(body.cutoutAspectRatio);
+    } catch (error) {
+      throw new RenderError(error.message);
+    }
+  }
+
+  // Canvas layout applies when any of its fields is given (or a background image is uploaded)
+  let layout = null;
+  if (['canvas', 'background', 'padding', 'position', 'shadow'].some(field => body[field])) {
+    try {
+      layout = parseLayoutOptions(body);
+    } catch (error) {
+      throw new RenderError(`Invalid canvas options: ${error.message}`);
+    }
+  }
+
+  const direction = body.direction || 'down';
+  if (!SCROLL_DIRECTIONS.includes(direction)) {
+    throw new RenderError(`Invalid direction "${direction}". Use one of: ${SCROLL_DIRECTIONS.join(', ')}`);
+  }
+
+  let sticky;
+  try {
+    sticky = parseStickyOptions(body);
+  } catch (error) {
+    throw new RenderError(`Invalid sticky bars: ${error.message}`);
+  }
+  if (sticky && (direction === 'left' || direction === 'right')) {
+    throw new RenderError('stickyTop and stickyBottom only apply to vertical scrolls');
+  }
+
+  let audio;
+  try {
+    audio = parseAudioOptions(body, duration);
+  } catch (error) {
+    throw new RenderError(`Invalid audio options: ${error.message}`);
+  }
+
+  let overlays = [];
+  if (body.overlays) {
+    try {
+      overlays = parseOverlays(body.overlays);
+    } catch (error) {
+      throw new RenderError(`Invalid overlays: ${error.message}`);
+    }
+  }
+  const pinned = overlays.filter(overlay => overlay.type !== 'caption');
+  if (pinned.some(overlay => overlay.page > pageCount)) {
+    throw new RenderError(`Overlay page numbers must be between 1 and ${pageCount}`);
+  }
+  if (pinned.length && screenFit === 'perspective') {
+    throw new RenderError('Rect and arrow overlays are not supported with screenFit=perspective; use captions');
+  }
+
+  let pacing;
+  try {
+    pacing = parsePacingOptions(body, pageCount);
+  } catch (error) {
+    throw new RenderError(`Invalid pacing options: ${error.message}`);
+  }
+  if (pacing && keyframes) {
+    throw new RenderError('pacing=auto builds its own timeline; send either pacing=auto or a timeline');
+  }
+  if (pacing && pages.mode === 'sequence') {
+    throw new RenderError('pacing=auto is not supported with pageMode=sequence');
+  }
+
+  let devices = null;
+  if (body.devices) {
+    try {
+      devices = parseDeviceOptions(body, pageCount);
+    } catch (error) {
+      throw new RenderError(`Invalid devices: ${error.message}`);
+    }
+    if (pages.mode === 'sequence') {
+      throw new RenderError('pageMode=sequence is not supported with devices; each device scrolls its pages as one strip');
+    }
+    if (manualCutout || screenCorners) {
+      throw new RenderError('Manual cutouts and screenCorners describe a single frame and cannot be used with devices');
+    }
+    if (pacing) {
+      throw new RenderError('pacing=auto is not supported with devices, which scroll in step by percentage');
+    }
+  }
+
+  return {
+    duration,
+    fps,
+    keyframes,
+    loop,
+    encoding,
+    pages,
+    cutoutAspectRatio,
+    screenFit,
+    screenCorners,
+    manualCutout,
+    chromaKey,
+    direction,
+    sticky,
+    layout,
+    audio,
+    overlays,
+    pacing,
+    devices
+  };
+}
+
+/**
+ * Decodes a page screenshot into raw RGBA pixels resized to fit the cutout
+ *
+ * Vertical scrolls fit the page to the cutout width, horizontal scrolls to the cutout height.
+ * The aspect ratio is preserved, so the other dimension follows. Rows of the returned buffer
+ * are contiguous, which lets vertical scrolls use a zero-copy window for every animation frame.
+ *
+ * @param {string} pageFile - Path to the page screenshot
+ * @param {Object} pageMeta - Sharp metadata of the page
+ * @param {number} screenWidth - Detected cutout width
+ * @param {number} screenHeight - Detected cutout height
+ * @param {boolean} [horizontal=false] - Fit to the cutout height for a horizontal scroll
+ * @param {Object} [logger=console] - Receives progress messages through `log`
+ * @returns {Promise<{pixels: Buffer, width: number, height: number}>} Decoded page and its size in pixels
+ */
+async function decodePage(pageFile, pageMeta, screenWidth, screenHeight, horizontal = false, logger = console) {
+  const { width: originalPageWidth, height: originalPageHeight } = pageMeta;
+  const originalAspectRatio = originalPageWidth / originalPageHeight;
+  const cutoutAspectRatio = screenWidth / screenHeight;
+  let pageWidth = originalPageWidth;
+  let pageHeight = originalPageHeight;
+
+  logger.log(`Original page: ${originalPageWidth}x${originalPageHeight} (aspect ratio: ${originalAspectRatio.toFixed(4)})`);
+  logger.log(`Detected cutout: ${screenWidth}x${screenHeight} (aspect ratio: ${cutoutAspectRatio.toFixed(4)})`);
+
+  if (horizontal && screenHeight !== originalPageHeight) {
+    // Resize page to match cutout height while preserving aspect ratio
+    pageHeight = screenHeight;
+    pageWidth = Math.round(screenHeight * originalAspectRatio);
+
+    logger.log(`Resizing page to match cutout height ${screenHeight} while preserving aspect ratio`);
+    logger.log(`New page dimensions: ${pageWidth}x${pageHeight} (aspect ratio: ${(pageWidth / pageHeight).toFixed(4)})`);
+  } else if (!horizontal && screenWidth !== originalPageWidth) {
+    // Resize page to match cutout width while preserving aspect ratio
+    pageWidth = screenWidth;
+    pageHeight = Math.round(screenWidth / originalAspectRatio);
+
+    logger.log(`Resizing page to match cutout width ${screenWidth} while preserving aspect ratio`);
+    logger.log(`New page dimensions: ${pageWidth}x${pageHeight} (aspect ratio: ${(pageWidth / pageHeight).toFixed(4)})`);
+  }
+
+  // Sequential reads let libvips stream tall images through the resize instead of holding them whole
+  const { data } = await sharp(pageFile, { sequentialRead: true, limitInputPixels: MAX_INPUT_PIXELS })
+    .resize(pageWidth, pageHeight, {
+      fit: 'fill',
+      kernel: sharp.kernel.lanczos3, // High-quality resampling
+      withoutEnlargement: false,     // Allow enlargement if needed
+      fastShrinkOnLoad: true         // Performance optimization
+    })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  logger.log(`Page decoded at ${pageWidth}x${pageHeight}`);
+  return { pixels: data, width: pageWidth, height: pageHeight };
+}
+
+/**
+ * Pads a decoded page with white so it covers at least the given size
+ *
+ * @param {{pixels: Buffer, width: number, height: number}} page - Decoded page
+ * @param {number} minWidth - Minimum width in pixels
+ * @param {number} minHeight - Minimum height in pixels
+ * @returns {{pixels: Buffer, width: number, height: number}} The page itself, or a padded copy
+ */
+function padPage(page, minWidth, minHeight) {
+  if (page.width >= minWidth && page.height >= minHeight) return page;
+
+  const width = Math.max(page.width, minWidth);
+  const height = Math.max(page.height, minHeight);
+  const pixels = Buffer.alloc(width * height * 4, 255);
+  for (let row = 0; row < page.height; row++) {
+    page.pixels.copy(pixels, row * width * 4, row * page.width * 4, (row + 1) * page.width * 4);
+  }
+  return { pixels, width, height };
+}
+
+/**
+ * Joins decoded pages into one continuous strip along the scroll axis
+ *
+ * @param {Array<{pixels: Buffer, width: number, height: number}>} pages - Decoded pages, all the same
+ *   width for a vertical strip or the same height for a horizontal one
+ * @param {boolean} horizontal - Place pages side by side instead of top to bottom
+ * @returns {{pixels: Buffer, width: number, height: number}} The combined strip
+ */
+function stackPages(pages, horizontal) {
+  if (pages.length === 1) return pages[0];
+
+  if (!horizontal) {
+    return {
+      pixels: Buffer.concat(pages.map(page => page.pixels)),
+      width: pages[0].width,
+      height: pages.reduce((sum, page) => sum + page.height, 0)
+    };
+  }
+
+  const { height } = pages[0];
+  const width = pages.reduce((sum, page) => sum + page.width, 0);
+  const pixels = Buffer.allocUnsafe(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    let offset = row * width * 4;
+    for (const page of pages) {
+      const rowBytes = page.width * 4;
+      page.pixels.copy(pixels, offset, row * rowBytes, (row + 1) * rowBytes);
+      offset += rowBytes;
+    }
+  }
+  return { pixels, width, height };
+}
+
+/**
+ * Creates accessors for the visible window of a page in a scroll direction
+ *
+ * Scroll positions count pixels travelled from the start of the scroll, so timelines and
+ * transitions work the same in every direction: `up` and `left` start at the far end of the page.
+ *
+ * @param {number} screenWidth - Window width in pixels
+ * @param {number} screenHeight - Window height in pixels
+ * @param {string} direction - One of {@link SCROLL_DIRECTIONS}
+ * @returns {{extent: function(Object): number, read: function(Object, number): Buffer,
+ *   origin: function(Object, number): {x: number, y: number}}} `extent(page)` returns the scroll distance
+ *   available on a page, `read(page, position)` its raw RGBA window and `origin(page, position)` the
+ *   window's top-left corner in page pixels
+ */
+function createWindowReader(screenWidth, screenHeight, direction) {
+  const horizontal = direction === 'left' || direction === 'right';
+  const reversed = direction === 'up' || direction === 'left';
+  const rowBytes = screenWidth * 4;
+
+  const extent = page => Math.max(0, horizontal ? page.width - screenWidth : page.height - screenHeight);
+
+  const offsetOf = (page, position) => {
+    const maxScroll = extent(page);
+    const offset = Math.max(0, Math.min(Math.round(position), maxScroll));
+    return reversed ? maxScroll - offset : offset;
+  };
+
+  const origin = (page, position) => {
+    const offset = offsetOf(page, position);
+    return horizontal ? { x: offset, y: 0 } : { x: 0, y: offset };
+  };
+
+  const read = (page, position) => {
+    const offset = offsetOf(page, position);
+
+    // Rows are contiguous, so vertical windows are zero-copy slices of the page
+    if (!horizontal) {
+      return page.pixels.subarray(offset * rowBytes, (offset + screenHeight) * rowBytes);
+    }
+
+    const window = Buffer.allocUnsafe(rowBytes * screenHeight);
+    const pageRowBytes = page.width * 4;
+    for (let row = 0; row < screenHeight; row++) {
+      const start = row * pageRowBytes + offset * 4;
+      page.pixels.copy(window, row * rowBytes, start, start + rowBytes);
+    }
+    return window;
+  };
+
+  return { extent, read, origin };
+}
+
+const STICKY_MAX_FRACTION = 0.25; // Share of the screen height searched for a fixed bar by stickyTop/stickyBottom=auto
+const STICKY_COLOR_CHANGE = 8; // Summed channel difference between a bar's background and the content below it
+const STICKY_MIN_CONTENT = 0.25; // Share of the screen height that must be left for the scrolling content
+
+/**
+ * Parses the sticky header and footer options
+ *
+ * @param {Object} body - Request fields
+ * @param {string} [body.stickyTop] - Height of the bar pinned to the top of the screen in original page pixels,
+ *   or `auto` to detect it
+ * @param {string} [body.stickyBottom] - Height of the bar pinned to the bottom, or `auto`
+ * @returns {{top: number|string, bottom: number|string}|null} Bar heights (0 for none) or `auto`, or null when
+ *   nothing is pinned
+ * @throws {Error} If a value is neither `auto` nor a whole number of pixels
+ */
+function parseStickyOptions(body) {
+  const parseBar = (name) => {
+    const value = body[name];
+    if (value === undefined || value === '') return 0;
+    if (String(value).toLowerCase() === 'auto') return 'auto';
+    const pixels = Number(value);
+    if (!Number.isInteger(pixels) || pixels < 0) {
+      throw new Error(`${name} must be a whole number of page pixels or auto`);
+    }
+    return pixels;
+  };
+
+  const top = parseBar('stickyTop');
+  const bottom = parseBar('stickyBottom');
+  return top || bottom ? { top, bottom } : null;
+}
+
+/**
+ * Measures a fixed bar at the top or bottom edge of a decoded page
+ *
+ * Lines are read inwards from the edge. The bar ends at the first full-width hard edge, or at the first
+ * flat line whose colour differs from the bar's own flat background, such as the page background below
+ * an app bar or the divider above a tab bar.
+ *
+ * @param {{pixels: Buffer, width: number, height: number}} page - Decoded page from {@link decodePage}
+ * @param {boolean} fromBottom - Measure the bar at the bottom edge instead of the top
+ * @param {number} limit - Most lines to search
+ * @returns {number} Bar height in decoded pixels, or 0 if no bar ends within the limit
+ */
+function detectStickyBand(page, fromBottom, limit) {
+  const measure = createLineSampler(page, false);
+  let barColor = null;
+
+  for (let distance = 0; distance < Math.min(limit, page.height); distance++) {
+    const line = fromBottom ? page.height - 1 - distance : distance;
+    const current = measure(line, distance > 0 ? line + (fromBottom ? 1 : -1) : null);
+    if (current.changed >= SECTION_EDGE_FRACTION) return distance;
+    if (current.flat) {
+      if (barColor && colorDistance(current.mean, barColor) >= STICKY_COLOR_CHANGE) return distance;
+      barColor = barColor || current.mean;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Cuts the fixed bars off decoded pages, keeping the first page's to pin over the scrolling content
+ *
+ * Bar heights are in original page pixels, so they are scaled to each page's decoded width. `auto`
+ * heights are measured on the first page and used for all of them.
+ *
+ * @param {Array<{pixels: Buffer, width: number, height: number}>} pages - Decoded pages of a vertical scroll
+ * @param {Object[]} pageMetas - Sharp metadata of the original pages
+ * @param {{top: number|string, bottom: number|string}} sticky - From {@link parseStickyOptions}
+ * @param {number} screenHeight - Window height in pixels
+ * @returns {{pages: Object[], top: Buffer, bottom: Buffer, topHeight: number, bottomHeight: number,
+ *   insets: Array<{top: number, bottom: number}>, original: {top: number, bottom: number}}} The pages without
+ *   their bars, the first page's bars as raw RGBA rows with their heights, the decoded rows cut from each
+ *   page, and the bar heights in original page pixels
+ * @throws {RenderError} If the bars are taller than a page or leave too little of the screen to scroll in
+ */
+function splitStickyBars(pages, pageMetas, sticky, screenHeight) {
+  const scales = pages.map((page, index) => page.width / pageMetas[index].width);
+  const limit = Math.round(screenHeight * STICKY_MAX_FRACTION);
+  const original = {};
+  for (const edge of ['top', 'bottom']) {
+    original[edge] = sticky[edge] === 'auto'
+      ? Math.round(detectStickyBand(pages[0], edge === 'bottom', limit) / scales[0])
+      : sticky[edge];
+  }
+
+  const insets = pages.map((page, index) => ({
+    top: Math.round(original.top * scales[index]),
+    bottom: Math.round(original.bottom * scales[index])
+  }));
+  if (pages.some((page, index) => insets[index].top + insets[index].bottom >= page.height)) {
+    throw new RenderError(`stickyTop and stickyBottom (${original.top} and ${original.bottom}px) ` +
+      'cover a whole page');
+  }
+  const { top: topHeight, bottom: bottomHeight } = insets[0];
+  if (screenHeight - topHeight - bottomHeight < screenHeight * STICKY_MIN_CONTENT) {
+    throw new RenderError(`stickyTop and stickyBottom (${original.top} and ${original.bottom}px) leave less ` +
+      `than ${STICKY_MIN_CONTENT * 100}% of the screen for the scrolling content`);
+  }
+
+  const rowBytes = pages[0].width * 4;
+  const first = pages[0].pixels;
+  return {
+    // Copies, so the bars do not keep the whole first page in memory
+    top: Buffer.from(first.subarray(0, topHeight * rowBytes)),
+    bottom: Buffer.from(first.subarray(first.length - bottomHeight * rowBytes)),
+    topHeight,
+    bottomHeight,
+    pages: pages.map((page, index) => ({
+      pixels: page.pixels.subarray(insets[index].top * page.width * 4,
+        (page.height - insets[index].bottom) * page.width * 4),
+      width: page.width,
+      height: page.height - insets[index].top - insets[index].bottom
+    })),
+    insets,
+    original
+  };
+}
+
+/**
+ * Blends two raw RGBA windows of equal size
+ *
+ * @param {Buffer} from - Outgoing window
+ * @param {Buffer} to - Incoming window
+ * @param {number} progress - Blend amount (0 = `from`, 1 = `to`)
+ * @returns {Buffer} Blended window
+ */
+function crossfadeWindows(from, to, progress) {
+  const out = Buffer.allocUnsafe(from.length);
+  for (let i = 0; i < from.length; i++) {
+    out[i] = Math.round(from[i] + (to[i] - from[i]) * progress);
+  }
+  return out;
+}
+
+/**
+ * Slides the incoming window in from the right while the outgoing one leaves to the left
+ *
+ * @param {Buffer} from - Outgoing window
+ * @param {Buffer} to - Incoming window
+ * @param {number} progress - Slide amount (0 = `from`, 1 = `to`)
+ * @param {number} width - Window width in pixels
+ * @param {number} height - Window height in pixels
+ * @returns {Buffer} Combined window
+ */
+function slideWindows(from, to, progress, width, height) {
+  const rowBytes = width * 4;
+  const shiftBytes = Math.round(progress * width) * 4;
+  const out = Buffer.allocUnsafe(rowBytes * height);
+
+  for (let row = 0; row < height; row++) {
+    const rowStart = row * rowBytes;
+    from.copy(out, rowStart, rowStart + shiftBytes, rowStart + rowBytes);
+    to.copy(out, rowStart + rowBytes - shiftBytes, rowStart, rowStart + shiftBytes);
+  }
+  return out;
+}
+
+/**
+ * Plays several decoded pages one after another, each scrolling in its own time slot
+ *
+ * Each page scrolls end to end in the scroll direction (or along the scroll timeline, evaluated
+ * relative to the start of its slot). The transition into the next page uses the last
+ * `transitionDuration` seconds of the outgoing page's slot, while it rests at its final position.
+ *
+ * @param {Array<{pixels: Buffer, width: number, height: number}>} pages - Decoded pages, at least as
+ *   large as the cutout
+ * @param {Object} options - Sequence settings
+ * @param {number} options.screenWidth - Cutout width in pixels
+ * @param {number} options.screenHeight - Cutout height in pixels
+ * @param {Object} options.reader - Window accessors from {@link createWindowReader}
+ * @param {number} options.fps - Frames per second
+ * @param {number[]} options.durations - Seconds each page is on screen, including its outgoing transition
+ * @param {string} options.transition - `cut`, `crossfade` or `slide`
+ * @param {number} options.transitionDuration - Transition length in seconds
+ * @param {Array|null} options.keyframes - Parsed scroll timeline applied to every page, or null
+ * @param {boolean} options.loop - Repeat the timeline within each page's slot
+ * @returns {{windowAt: function(number): Buffer, viewportAt: function(number): Object|null}} `windowAt`
+ *   returns the raw RGBA cutout contents for a frame index; `viewportAt` the shown page's index and window
+ *   origin (see {@link createWindowReader}), or null during transitions
+ */
+function createPageSequence(pages, options) {
+  const { screenWidth, screenHeight, reader, fps, durations, transition, transitionDuration, keyframes } = options;
+  const { loop } = options;
+
+  // Slot boundaries are rounded from cumulative time so the slots add up to the total frame count
+  let elapsed = 0;
+  const slots = pages.map((page, index) => {
+    const startFrame = Math.round(elapsed * fps);
+    elapsed += durations[index];
+    const maxScroll = reader.extent(page);
+    return {
+      page,
+      maxScroll,
+      startFrame,
+      frameCount: Math.round(elapsed * fps) - startFrame,
+      timeline: keyframes ? createScrollTimeline(keyframes, maxScroll, { loop }) : null
+    };
+  });
+
+  const shortestSlot = Math.min(...slots.map(slot => slot.frameCount));
+  const transitionFrames = transition === 'cut'
+    ? 0
+    : Math.max(0, Math.min(Math.round(transitionDuration * fps), shortestSlot - 1));
+
+  slots.forEach((slot, index) => {
+    slot.scrollFrames = slot.frameCount - (index < slots.length - 1 ? transitionFrames : 0);
+  });
+
+  const positionOf = (slot, localFrame) => {
+    if (slot.timeline) {
+      return slot.timeline.positionAt(localFrame / fps);
+    }
+    return slot.scrollFrames > 1 ? slot.maxScroll * Math.min(1, localFrame / (slot.scrollFrames - 1)) : 0;
+  };
+  const windowOf = (slot, localFrame) => reader.read(slot.page, positionOf(slot, localFrame));
+
+  // Frame index → slot index, plus whether the frame is part of the slot's outgoing transition
+  const locate = (frameIndex) => {
+    let index = slots.findIndex(slot => frameIndex < slot.startFrame + slot.frameCount);
+    if (index === -1) index = slots.length - 1;
+    const localFrame = frameIndex - slots[index].startFrame;
+    const transitioning = localFrame >= slots[index].scrollFrames && index < slots.length - 1;
+    return { index, localFrame, transitioning };
+  };
+
+  const viewportAt = (frameIndex) => {
+    const { index, localFrame, transitioning } = locate(frameIndex);
+    if (transitioning) return null;
+    return { page: index, ...reader.origin(slots[index].page, positionOf(slots[index], localFrame)) };
+  };
+
+  const windowAt = (frameIndex) => {
+    const { index, localFrame, transitioning } = locate(frameIndex);
+    const slot = slots[index];
+    if (!transitioning) {
+      return windowOf(slot, localFrame);
+    }
+
+    // Transition into the next page, which waits at its starting position
+    const from = windowOf(slot, slot.scrollFrames - 1);
+    const to = windowOf(slots[index + 1], 0);
+    const progress = (localFrame - slot.scrollFrames + 1) / (transitionFrames + 1);
+    return transition === 'slide'
+      ? slideWindows(from, to, progress, screenWidth, screenHeight)
+      : crossfadeWindows(from, to, progress);
+  };
+
+  return { windowAt, viewportAt };
+}
+
+/**
+ * Solves the projective transform that maps four points onto four others
+ *
+ * @param {number[][]} from - Four `[x, y]` source points
+ * @param {number[][]} to - The four matching `[x, y]` destination points
+ * @returns {number[]} Row-major 3x3 homography with the last element fixed at 1
+ * @throws {Error} If three of the points are collinear
+ */
+function solveHomography(from, to) {
+  // Eight equations in the eight unknown matrix entries, solved by Gaussian elimination
+  const rows = [];
+  from.forEach(([x, y], index) => {
+    const [u, v] = to[index];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) {
+      throw new Error('Screen corners are degenerate');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
+
+  return [...rows.map((row, index) => row[8] / row[index]), 1];
+}
+
+/**
+ * Prepares a perspective warp of page windows into a screen quadrilateral
+ *
+ * The source size follows the longer of each pair of opposite sides, so the page is decoded at
+ * roughly the resolution it is shown at. The inverse mapping of every canvas pixel is computed
+ * once; warping a window is then a bilinear lookup per pixel, with quad edges anti-aliased.
+ *
+ * @param {number[][]} corners - Screen corners in canvas pixels: top-left, top-right, bottom-right, bottom-left
+ * @param {number} canvasWidth - Frame width in pixels
+ * @param {number} canvasHeight - Frame height in pixels
+ * @returns {{sourceWidth: number, sourceHeight: number, box: {x: number, y: number, width: number,
+ *   height: number}, warp: function(Buffer): Buffer}} Window size to render, canvas area covered by
+ *   the quad, and a function turning a raw RGBA window into a raw RGBA image of that area
+ * @throws {Error} If the corners are degenerate
+ */
+function createPerspectiveWarp(corners, canvasWidth, canvasHeight) {
+  const [tl, tr, br, bl] = corners;
+  const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+  const sourceWidth = Math.max(2, Math.round(Math.max(distance(tl, tr), distance(bl, br))));
+  const sourceHeight = Math.max(2, Math.round(Math.max(distance(tl, bl), distance(tr, br))));
+  const h = solveHomography(corners, [[0, 0], [sourceWidth, 0], [sourceWidth, sourceHeight], [0, sourceHeight]]);
+
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const left = Math.max(0, Math.floor(Math.min(...xs)));
+  const top = Math.max(0, Math.floor(Math.min(...ys)));
+  const box = {
+    x: left,
+    y: top,
+    width: Math.min(canvasWidth, Math.ceil(Math.max(...xs))) - left,
+    height: Math.min(canvasHeight, Math.ceil(Math.max(...ys))) - top
+  };
+
+  // Source pixel and bilinear weights for every canvas pixel in the box
+  const pixelCount = box.width * box.height;
+  const sourceIndex = new Int32Array(pixelCount);
+  const weightX = new Float32Array(pixelCount);
+  const weightY = new Float32Array(pixelCount);
+  const coverage = new Float32Array(pixelCount);
+
+  for (let y = 0; y < box.height; y++) {
+    for (let x = 0; x < box.width; x++) {
+      const cx = box.x + x + 0.5;
+      const cy = box.y + y + 0.5;
+      const w = h[6] * cx + h[7] * cy + h[8];
+      const u = (h[0] * cx + h[1] * cy + h[2]) / w;
+      const v = (h[3] * cx + h[4] * cy + h[5]) / w;
+
+      const i = y * box.width + x;
+      coverage[i] = Math.min(1, Math.max(0, Math.min(u, sourceWidth - u, v, sourceHeight - v) + 0.5));
+      if (coverage[i] === 0) continue;
+
+      const sx = Math.min(Math.max(u - 0.5, 0), sourceWidth - 1);
+      const sy = Math.min(Math.max(v - 0.5, 0), sourceHeight - 1);
+      const x0 = Math.min(Math.floor(sx), sourceWidth - 2);
+      const y0 = Math.min(Math.floor(sy), sourceHeight - 2);
+      sourceIndex[i] = (y0 * sourceWidth + x0) * 4;
+      weightX[i] = sx - x0;
+      weightY[i] = sy - y0;
+    }
+  }
+
+  const rowBytes = sourceWidth * 4;
+  const warp = (window) => {
+    const out = Buffer.alloc(pixelCount * 4);
+    for (let i = 0; i < pixelCount; i++) {
+      if (coverage[i] === 0) continue;
+
+      const base = sourceIndex[i];
+      const fx = weightX[i];
+      const fy = weightY[i];
+      const o = i * 4;
+      for (let c = 0; c < 4; c++) {
+        const topValue = window[base + c] + (window[base + 4 + c] - window[base + c]) * fx;
+        const below = base + rowBytes + c;
+        const bottomValue = window[below] + (window[below + 4] - window[below]) * fx;
+        out[o + c] = Math.round(topValue + (bottomValue - topValue) * fy);
+      }
+      out[o + 3] = Math.round(out[o + 3] * coverage[i]);
+    }
+    return out;
+  };
+
+  return { sourceWidth, sourceHeight, box, warp };
+}
+
+/**
+ * Prepares one device: detects the screen in its frame, decodes its pages at the screen size and
+ * returns a compositor for its animation frames
+ *
+ * @param {Object} options - Render inputs as for {@link prepareFrameComposer}
+ * @param {Object} device - The device's inputs
+ * @param {string} device.frameFile - Frame image, already chroma keyed
+ * @param {number} device.width - Frame width in pixels, before scaling
+ * @param {number} device.height - Frame height in pixels, before scaling
+ * @param {string[]} device.pageFiles - Pages shown on this device, in order
+ * @param {Object[]} device.pageMetas - Sharp metadata of those pages
+ * @param {number[]} device.pageNumbers - Zero-based indexes of those pages in the request, for page overlays
+ * @param {string} device.suffix - Added to the names of the device's working files
+ * @param {Object} context - Scale and shared render state
+ * @param {number} context.scale - Factor the frame is scaled by first, so pages decode at their final resolution
+ * @param {{bytes: number}} context.memory - Decoded page bytes of the render so far, across its devices
+ * @param {function(Object): void} context.onProgress - Progress callback as for {@link runRenderPipeline}
+ * @param {function(): boolean} context.isCancelled - Cancellation check as for {@link runRenderPipeline}
+ * @returns {Promise<{composeDevice: function(number, Object[]=): Promise<Buffer>, width: number,
+ *   height: number}|null>} Compositor returning the raw RGBA pixels of the device for a frame index (with
+ *   optional extra layers on top) and the scaled frame size, or null if the render was cancelled
+ * @throws {RenderError} If no cutout is detected, the manual geometry lies outside the frame or the pages are
+ *   too long to hold in memory once resized
+ */
+async function prepareDevice(options, device, { scale, memory, onProgress, isCancelled }) {
+  const { sessionDir, jobLabel, duration, fps, keyframes, loop, pacing = null } = options;
+  const { cacheDir = null, logger = console } = options;
+  const { cutoutAspectRatio, screenFit = 'cutout', direction = 'down', sticky = null, overlays = [] } = options;
+  let { manualCutout = null, screenCorners = null } = options;
+  const { pageFiles, pageMetas, pageNumbers, suffix } = device;
+  let { frameFile } = device;
+  const horizontal = direction === 'left' || direction === 'right';
+  const pageOptions = options.pages;
+  let screenWidth, screenHeight, frameOffsetX, frameOffsetY;
+
+  if (scale !== 1) {
+    const scaledFrame = path.join(sessionDir, `scaled_frame${suffix}.png`);
+    await sharp(frameFile)
+      .resize(Math.round(device.width * scale), Math.round(device.height * scale), {
+        fit: 'fill',
+        kernel: sharp.kernel.lanczos3
+      })
+      .png()
+      .toFile(scaledFrame);
+    frameFile = scaledFrame;
+
+    // Manual geometry is given in original frame pixels
+    if (manualCutout) {
+      manualCutout = {
+        x: Math.floor(manualCutout.x * scale),
+        y: Math.floor(manualCutout.y * scale),
+        width: Math.max(2, Math.floor(manualCutout.width * scale)),
+        height: Math.max(2, Math.floor(manualCutout.height * scale))
+      };
+    }
+    if (screenCorners) {
+      screenCorners = screenCorners.map(([x, y]) => [x * scale, y * scale]);
+    }
+  }
+
+  if (manualCutout) {
+    ({ width: screenWidth, height: screenHeight, x: frameOffsetX, y: frameOffsetY } = manualCutout);
+    logger.log(`Using manual cutout: ${screenWidth}x${screenHeight} at offset (${frameOffsetX}, ${frameOffsetY})`);
+  } else if (!screenCorners) {
+    // Auto-detect screen cutout from the frame
+    logger.log('Auto-detecting transparent cutout in frame image...');
+    try {
+      const cutout = await detectCutoutCached(frameFile, { aspectRatio: cutoutAspectRatio, logger }, cacheDir);
+      screenWidth = cutout.width;
+      screenHeight = cutout.height;
+      frameOffsetX = cutout.x;
+      frameOffsetY = cutout.y;
+
+      logger.log(`Detected cutout: ${screenWidth}x${screenHeight} at offset (${frameOffsetX}, ${frameOffsetY})`);
+
+      if (screenWidth === 0 || screenHeight === 0) {
+        throw new RenderError('Could not detect a transparent cutout in the frame image.');
+      }
+    } catch (error) {
+      if (error instanceof RenderError) throw error;
+      throw new RenderError(`Auto-detection failed: ${error.message}`);
+    }
+  }
+
+  // Decode the frame once; its raw pixels are composited over every animation frame
+  const { data: framePixels, info: frameInfo } = await sharp(frameFile)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: canvasWidth, height: canvasHeight } = frameInfo;
+
+  if (manualCutout && (frameOffsetX + screenWidth > canvasWidth || frameOffsetY + screenHeight > canvasHeight)) {
+    throw new RenderError(`Manual cutout must lie within the ${canvasWidth}x${canvasHeight} frame`);
+  }
+
+  // Mask and perspective modes cover the whole screen shape and clip the page to it;
+  // perspective mode also warps every window into the screen quadrilateral
+  let screenClip = null;
+  let corners = screenCorners;
+  if (screenFit !== 'cutout' && !screenCorners) {
+    const { region, box } = findScreenRegion(framePixels, canvasWidth, canvasHeight, {
+      x: frameOffsetX, y: frameOffsetY, width: screenWidth, height: screenHeight
+    });
+    screenClip = { input: createScreenClip(region, canvasWidth, box), box };
+    screenWidth = box.width;
+    screenHeight = box.height;
+    frameOffsetX = box.x;
+    frameOffsetY = box.y;
+
+    if (screenFit === 'perspective') {
+      corners = fitScreenQuad(region, canvasWidth, box);
+    } else {
+      logger.log(`Clipping page to screen mask: ${screenWidth}x${screenHeight} at offset (${frameOffsetX}, ${frameOffsetY})`);
+    }
+  }
+
+  let perspective = null;
+  if (corners) {
+    if (corners.some(([x, y]) => x < 0 || y < 0 || x > canvasWidth || y > canvasHeight)) {
+      throw new RenderError(`screenCorners must lie within the ${canvasWidth}x${canvasHeight} frame`);
+    }
+    try {
+      perspective = createPerspectiveWarp(corners, canvasWidth, canvasHeight);
+    } catch (error) {
+      throw new RenderError(error.message);
+    }
+    screenWidth = perspective.sourceWidth;
+    screenHeight = perspective.sourceHeight;
+    logger.log(`Warping ${screenWidth}x${screenHeight} page windows into screen corners ${JSON.stringify(corners)}`);
+  }
+
+  // Check if request was cancelled during frame processing
+  if (isCancelled()) {
+    logger.log(`⚠️ Request cancelled during frame processing for ${jobLabel}`);
+    return null;
+  }
+
+  // The resized pages stay in memory for the whole render, so check their size before decoding
+  const decodedBytes = pageMetas.reduce((sum, { width, height }) => sum + 4 * (horizontal
+    ? screenHeight * Math.round(screenHeight * width / height)
+    : screenWidth * Math.round(screenWidth * height / width)), memory.bytes);
+  if (decodedBytes > MAX_DECODED_BYTES) {
+    throw new RenderError('Pages too long for this cutout. Use shorter or fewer pages, or a smaller frame', 400, {
+      decodedMegabytes: Math.round(decodedBytes / 1024 / 1024),
+      maxDecodedMegabytes: MAX_DECODED_BYTES / 1024 / 1024
+    });
+  }
+  memory.bytes = decodedBytes;
+
+  // Decode every page once at the cutout width (height for horizontal scrolls), preserving aspect ratio
+  onProgress({ stage: 'resizing' });
+  const pages = [];
+  for (const [index, pageFile] of pageFiles.entries()) {
+    pages.push(await decodePage(pageFile, pageMetas[index], screenWidth, screenHeight, horizontal, logger));
+  }
+
+  // Fixed bars are cut off every page; the first page's stay pinned while the window between them scrolls
+  let bars = null;
+  if (sticky) {
+    const { pages: contentPages, ...pinned } = splitStickyBars(pages, pageMetas, sticky, screenHeight);
+    pages.splice(0, pages.length, ...contentPages);
+    bars = pinned;
+    logger.log(`📌 Pinning a ${bars.original.top}px top bar and a ${bars.original.bottom}px bottom bar ` +
+      `(page pixels${sticky.top === 'auto' || sticky.bottom === 'auto' ? ', detected' : ''})`);
+  }
+  const windowHeight = bars ? screenHeight - bars.topHeight - bars.bottomHeight : screenHeight;
+
+  // Calculate animation parameters; every device scrolls the same fraction of its own strip per frame
+  const totalFrames = Math.round(duration * fps);
+  const reader = createWindowReader(screenWidth, windowHeight, direction);
+  let windowAt, viewportAt;
+
+  // Page-pinned overlays are drawn at each page's decoded scale, placed in the strip (stack mode)
+  // or on their own page (sequence mode)
+  const sequence = pages.length > 1 && pageOptions.mode === 'sequence';
+  const pageSprites = [];
+  let stripOffset = 0;
+  const pageOrigins = pages.map(page => {
+    const pageOrigin = horizontal ? { x: stripOffset, y: 0 } : { x: 0, y: stripOffset };
+    stripOffset += horizontal ? page.width : page.height;
+    return sequence ? { x: 0, y: 0 } : pageOrigin;
+  });
+  for (const overlay of overlays.filter(item => item.type !== 'caption' && pageNumbers.includes(item.page - 1))) {
+    const index = pageNumbers.indexOf(overlay.page - 1);
+    const sprite = await renderShapeOverlay(overlay, pages[index].width / pageMetas[index].width);
+    sprite.x += pageOrigins[index].x;
+    sprite.y += pageOrigins[index].y - (bars ? bars.insets[index].top : 0);
+    pageSprites.push({ overlay, sprite, page: sequence ? index : null });
+  }
+
+  if (direction !== 'down') {
+    logger.log(`Scrolling ${direction}`);
+  }
+
+  let pacingReport = null;
+  if (sequence) {
+    logger.log(`Playing ${pages.length} pages in sequence with ${pageOptions.transition} transitions`);
+    ({ windowAt, viewportAt } = createPageSequence(pages.map(page => padPage(page, screenWidth, windowHeight)), {
+      screenWidth,
+      screenHeight: windowHeight,
+      reader,
+      fps,
+      durations: pageOptions.durations,
+      transition: pageOptions.transition,
+      transitionDuration: pageOptions.transitionDuration,
+      keyframes,
+      loop
+    }));
+  } else {
+    // Stack all pages into one continuous strip
+    if (pages.length > 1) {
+      logger.log(`Stacking ${pages.length} pages into one continuous scroll`);
+    }
+    const viewport = horizontal ? screenWidth : windowHeight;
+    const sections = pacing
+      ? findPageSections(pages, pageMetas, pageOrigins, pacing, horizontal, viewport, bars ? bars.original : undefined)
+      : null;
+    const strip = padPage(stackPages(pages, horizontal), screenWidth, windowHeight);
+    pages.length = 0; // Only the strip is used from here on, so let the separate pages be collected
+
+    const maxScroll = reader.extent(strip); // Maximum scroll distance
+    const step = totalFrames > 1 ? maxScroll / (totalFrames - 1) : 0; // Pixels per frame
+
+    // Auto pacing turns the page's sections into a timeline that pauses on each of them
+    let stripKeyframes = keyframes;
+    if (sections) {
+      const pacedTimeline = createPacingTimeline(sections.strip, {
+        viewport,
+        maxScroll,
+        duration,
+        hold: pacing.hold,
+        reversed: direction === 'up' || direction === 'left'
+      });
+      stripKeyframes = parseTimeline(pacedTimeline);
+      pacingReport = { sections: sections.page, timeline: pacedTimeline };
+      logger.log(`🧭 Pacing ${sections.page.length} sections ${pacing.sections ? 'as given' : 'detected in the page'}`);
+    }
+
+    // Keyframed timelines are sampled at each frame's timestamp; otherwise scroll linearly
+    const timeline = stripKeyframes ? createScrollTimeline(stripKeyframes, maxScroll, { loop }) : null;
+    const scrollOffsetAt = timeline
+      ? (frameIndex) => timeline.positionAt(frameIndex / fps)
+      : (frameIndex) => step * frameIndex;
+
+    if (timeline) {
+      logger.log(`Using scroll timeline with ${stripKeyframes.length} keyframes ` +
+        `(${timeline.duration}s${loop ? ', looping' : ''})`);
+    }
+
+    windowAt = (frameIndex) => reader.read(strip, scrollOffsetAt(frameIndex));
+    viewportAt = (frameIndex) => ({ page: null, ...reader.origin(strip, scrollOffsetAt(frameIndex)) });
+  }
+
+  if (bars) {
+    const scrollingWindowAt = windowAt;
+    windowAt = (frameIndex) => Buffer.concat([bars.top, scrollingWindowAt(frameIndex), bars.bottom]);
+  }
+
+  const pageBox = perspective
+    ? perspective.box
+    : { x: frameOffsetX, y: frameOffsetY, width: screenWidth, height: screenHeight };
+  const pageLayer = {
+    raw: { width: pageBox.width, height: pageBox.height, channels: 4 },
+    left: pageBox.x,
+    top: pageBox.y
+  };
+  // Page shapes scroll with the content, under any pinned bars
+  const scrollBox = bars ? { ...pageBox, y: pageBox.y + bars.topHeight, height: windowHeight } : pageBox;
+  const clipLayers = screenClip ? [{
+    input: screenClip.input,
+    raw: { width: screenClip.box.width, height: screenClip.box.height, channels: 4 },
+    left: screenClip.box.x,
+    top: screenClip.box.y,
+    blend: 'dest-in'
+  }] : [];
+
+  // Page shapes scroll with the window, so they are placed relative to its origin on every frame
+  const pageOverlayLayers = (frameIndex) => {
+    const viewport = pageSprites.length ? viewportAt(frameIndex) : null;
+    if (!viewport) return [];
+    return pageSprites
+      .filter(({ page }) => page === viewport.page)
+      .map(({ overlay, sprite }) => overlayLayer(sprite, sprite.x - viewport.x + scrollBox.x,
+        sprite.y - viewport.y + scrollBox.y, scrollBox, overlayOpacity(overlay, frameIndex / fps)))
+      .filter(Boolean);
+  };
+
+  /**
+   * Composites the visible page window and its page overlays for one animation frame under the frame image
+   * @param {number} frameIndex - Zero-based frame index
+   * @param {Object[]} [captions] - Extra composite layers placed on top of the frame
+   * @returns {Promise<Buffer>} Raw RGBA pixels of the device, at the frame's size
+   */
+  const composeDevice = (frameIndex, captions = []) => {
+    const visible = perspective ? perspective.warp(windowAt(frameIndex)) : windowAt(frameIndex);
+
+    return sharp({
+      create: {
+        width: canvasWidth,
+        height: canvasHeight,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      }
+    })
+      .composite([
+        { input: visible, ...pageLayer },
+        ...pageOverlayLayers(frameIndex),
+        ...clipLayers,
+        {
+          input: framePixels,
+          raw: { width: canvasWidth, height: canvasHeight, channels: 4 },
+          left: 0,
+          top: 0
+        },
+        ...captions
+      ])
+      .raw()
+      .toBuffer();
+  };
+
+  return { composeDevice, width: canvasWidth, height: canvasHeight, pacing: pacingReport };
+}
+
+
+/**
+ * Prepares everything needed to composite animation frames, without encoding anything
+ *
+ * Auto-detects the cutout in the frame (or the whole screen shape in mask mode), decodes the pages
+ * once at the cutout width, rasterizes overlays and renders the canvas background. With `devices`,
+ * every device is prepared this way and they are arranged side by side on one canvas, scrolling
+ * in sync. Shared by {@link runRenderPipeline} and `POST /preview`.
+ *
+ * @param {Object} options - Render inputs as for {@link runRenderPipeline}; the output name, encoding
+ *   and audio settings are not used
+ * @param {Object} [hooks] - `onProgress` and `isCancelled` callbacks as for {@link runRenderPipeline}
+ * @returns {Promise<{composeFrame: function(number): Promise<Buffer>, totalFrames: number, width: number,
+ *   height: number, pacing: Object|null}|null>} Composer returning the raw RGBA pixels of a frame index, the
+ *   frame count, the output size and, with `pacing=auto`, the `{sections, timeline}` it paces by; or null if
+ *   the render was cancelled
+ * @throws {RenderError} If the images cannot be used (too many pixels, pages too long to hold
+ *   in memory once resized, no cutout detected)
+ */
+async function prepareFrameComposer(options, { onProgress = () => {}, isCancelled = () => false } = {}) {
+  const { pageFiles, sessionDir, duration, fps, devices = null } = options;
+  const { chromaKey = null, backgroundFile = null, overlays = [], logger = console } = options;
+
+  await fs.mkdir(sessionDir, { recursive: true });
+
+  // Load page image metadata with validation. Limits are on pixel count rather than edge length,
+  // so very tall full-page captures are fine; they are downscaled to the cutout while decoding
+  const pageMetas = [];
+  for (const [index, pageFile] of pageFiles.entries()) {
+    const pageMeta = await sharp(pageFile, { limitInputPixels: false }).metadata();
+
+    if (pageMeta.width * pageMeta.height > MAX_INPUT_PIXELS) {
+      throw new RenderError(`Image too large. Maximum allowed: ${MAX_INPUT_PIXELS / 1e6} megapixels`, 400, {
+        current: `${pageMeta.width}x${pageMeta.height}px`,
+        ...(pageFiles.length > 1 ? { page: index + 1 } : {})
+      });
+    }
+
+    pageMetas.push(pageMeta);
+  }
+
+  // One device for the request's frame, or one per entry of a multi-device layout
+  const deviceInputs = devices
+    ? devices.items.map((item, index) => ({
+      frameFile: options.deviceFrameFiles[index],
+      pageNumbers: item.pages,
+      suffix: `_${index + 1}`
+    }))
+    : [{ frameFile: options.frameFile, pageNumbers: pageFiles.map((_file, index) => index), suffix: '' }];
+
+  for (const [index, device] of deviceInputs.entries()) {
+    const frameMeta = await sharp(device.frameFile, { limitInputPixels: false }).metadata();
+    if (frameMeta.width * frameMeta.height > MAX_INPUT_PIXELS) {
+      throw new RenderError(`Frame image too large. Maximum allowed: ${MAX_INPUT_PIXELS / 1e6} megapixels`, 400, {
+        current: `${frameMeta.width}x${frameMeta.height}px`,
+        ...(devices ? { device: index + 1 } : {})
+      });
+    }
+    Object.assign(device, {
+      width: frameMeta.width,
+      height: frameMeta.height,
+      pageFiles: device.pageNumbers.map(pageIndex => pageFiles[pageIndex]),
+      pageMetas: device.pageNumbers.map(pageIndex => pageMetas[pageIndex])
+    });
+  }
+
+  onProgress({ stage: 'detecting' });
+
+  // Key out the screen colour so the frame behaves like one with a transparent cutout
+  if (chromaKey) {
+    for (const device of deviceInputs) {
+      const keyedFrame = path.join(sessionDir, `keyed_frame${device.suffix}.png`);
+      if (await applyChromaKey(device.frameFile, chromaKey, keyedFrame, logger) === 0) {
+        throw new RenderError('No frame pixels match keyColor. Check the colour or raise keyTolerance.');
+      }
+      device.frameFile = keyedFrame;
+    }
+  }
+
+  // Several devices are arranged into one group, which is placed on the canvas like a single frame
+  const group = devices
+    ? arrangeDevices(devices, deviceInputs)
+    : { width: deviceInputs[0].width, height: deviceInputs[0].height, boxes: [{ x: 0, y: 0 }] };
+
+  // On an output canvas, scale the frames up front so pages are decoded at their final resolution
+  const layout = options.layout || (backgroundFile || devices ? parseLayoutOptions({}) : null);
+  let placement = null;
+  if (layout) {
+    try {
+      placement = computeCanvasLayout(layout, group.width, group.height);
+    } catch (error) {
+      throw new RenderError(error.message);
+    }
+    logger.log(`Placing ${devices ? `${deviceInputs.length} devices` : 'device'} at ` +
+      `${placement.deviceWidth}x${placement.deviceHeight} on a ${placement.width}x${placement.height} canvas ` +
+      `at (${placement.left}, ${placement.top})`);
+  }
+
+  const composers = [];
+  const memory = { bytes: 0 };
+  for (const [index, device] of deviceInputs.entries()) {
+    if (devices) {
+      logger.log(`📱 Preparing device ${index + 1} of ${deviceInputs.length} (${device.pageFiles.length} page(s))`);
+    }
+    const scale = (placement ? placement.scale : 1) * (devices ? devices.items[index].scale : 1);
+    const composer = await prepareDevice(options, device, { scale, memory, onProgress, isCancelled });
+    if (!composer) return null;
+    composers.push(composer);
+  }
+
+  const totalFrames = Math.round(duration * fps);
+
+  const outputWidth = placement ? placement.width : composers[0].width;
+  const outputHeight = placement ? placement.height : composers[0].height;
+
+  // Captions are rasterized once and laid over the final image, fading per frame
+  const captionSprites = [];
+  for (const overlay of overlays.filter(item => item.type === 'caption')) {
+    captionSprites.push({ overlay, sprite: await renderCaptionOverlay(overlay, outputWidth, outputHeight) });
+  }
+  const outputBox = { x: 0, y: 0, width: outputWidth, height: outputHeight };
+  const captionLayers = (frameIndex) => captionSprites
+    .map(({ overlay, sprite }) =>
+      overlayLayer(sprite, sprite.x, sprite.y, outputBox, overlayOpacity(overlay, frameIndex / fps)))
+    .filter(Boolean);
+
+  let composeFrame = (frameIndex) => composers[0].composeDevice(frameIndex, captionLayers(frameIndex));
+
+  // On an output canvas, every device frame is placed on a background rendered once
+  if (placement) {
+    const deviceLayers = async(frameIndex, left, top) => {
+      const devicePixels = await Promise.all(composers.map(({ composeDevice }) => composeDevice(frameIndex)));
+      return devicePixels.map((input, index) => ({
+        input,
+        raw: { width: composers[index].width, height: composers[index].height, channels: 4 },
+        left: left + Math.round(group.boxes[index].x * placement.scale),
+        top: top + Math.round(group.boxes[index].y * placement.scale)
+      }));
+    };
+
+    // The shadow takes the shape of the whole device group
+    const groupPixels = devices
+      ? await sharp({
+        create: {
+          width: placement.deviceWidth,
+          height: placement.deviceHeight,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 0 }
+        }
+      })
+        .composite(await deviceLayers(0, 0, 0))
+        .raw()
+        .toBuffer()
+      : await composers[0].composeDevice(0);
+    const backgroundPixels = await renderCanvasBackground(layout, placement, backgroundFile, groupPixels);
+    const canvasRaw = { width: placement.width, height: placement.height, channels: 4 };
+
+    composeFrame = async(frameIndex) => sharp(backgroundPixels, { raw: canvasRaw })
+      .composite([
+        ...await deviceLayers(frameIndex, placement.left, placement.top),
+        ...captionLayers(frameIndex)
+      ])
+      .raw()
+      .toBuffer();
+  }
+
+  return { composeFrame, totalFrames, width: outputWidth, height: outputHeight, pacing: composers[0].pacing };
+}
+
+/**
+ * Runs the full render pipeline for one job
+ *
+ * Prepares the frame composer with {@link prepareFrameComposer}, composites the animation frames
+ * in batches and streams them as raw RGBA into FFmpeg. Only the encoded video is written to
+ * `sessionDir`; cleanup is left to the caller.
+ *
+ * @param {Object} options - Render inputs
+ * @param {string} options.frameFile - Path to the frame image
+ * @param {string[]} options.pageFiles - Paths to the page screenshots, in order
+ * @param {string} options.sessionDir - Working directory for the output video
+ * @param {string} options.outputName - File name of the encoded video inside `sessionDir`, with the format's extension
+ * @param {string} options.jobLabel - Job identifier used in log messages
+ * @param {number} options.duration - Animation duration in seconds
+ * @param {number} options.fps - Frames per second
+ * @param {Array|null} options.keyframes - Parsed scroll timeline, or null for a linear scroll
+ * @param {boolean} options.loop - Repeat the timeline until the duration is filled
+ * @param {Object} options.encoding - Output format and encoder settings from {@link parseEncodingOptions}
+ * @param {Object} options.pages - Multi-page settings from {@link parsePageOptions}
+ * @param {number|null} [options.cutoutAspectRatio] - Constrain the detected cutout to this width / height
+ * @param {string} [options.screenFit=cutout] - `mask` to fill and clip to the whole screen shape,
+ *   `perspective` to also warp the page into the screen's fitted corners
+ * @param {number[][]|null} [options.screenCorners] - Screen corners to warp the page into, skipping detection
+ * @param {string} [options.direction=down] - Scroll direction, one of {@link SCROLL_DIRECTIONS}
+ * @param {Object|null} [options.manualCutout] - Cutout rectangle to use instead of detection
+ * @param {Object|null} [options.chromaKey] - Key colour settings from {@link parseChromaKey}
+ * @param {Object|null} [options.layout] - Output canvas from {@link parseLayoutOptions}; the frame's own size when null
+ * @param {string|null} [options.backgroundFile] - Background image for the output canvas
+ * @param {string|null} [options.audioFile] - Audio track to mux into mp4/webm output
+ * @param {Object} [options.audio] - Audio volume and fades from {@link parseAudioOptions}
+ * @param {Object[]} [options.overlays] - Captions and page shapes from {@link parseOverlays}
+ * @param {Object|null} [options.devices] - Multi-device layout from {@link parseDeviceOptions}; `frameFile`
+ *   is then unused
+ * @param {string[]} [options.deviceFrameFiles] - Frame image of each device, from {@link resolveDeviceFrames}
+ * @param {number} [options.threads] - FFmpeg threads for this render (default: every CPU)
+ * @param {string|null} [options.cacheDir] - Directory for the cutout detection cache; detects afresh when omitted
+ * @param {Object} [options.logger=console] - Receives the render log through `log`, `warn` and `error`
+ * @param {Object} [hooks] - Progress and cancellation callbacks
+ * @param {function(Object): void} [hooks.onProgress] - Receives `{stage, framesDone, totalFrames}` updates
+ * @param {function(): boolean} [hooks.isCancelled] - Polled between steps; returning true aborts the render
+ * @param {function(Object): void} [hooks.onPacing] - Receives the `{sections, timeline}` of an auto-paced render
+ *   before its frames are rendered
+ * @param {function(Object): void} [hooks.onUsage] - Receives `{cpuSeconds}` from each FFmpeg process that
+ *   finishes (two for a GIF)
+ * @returns {Promise<string|null>} Path to the encoded video, or null if the render was cancelled
+ * @throws {RenderError} If the images cannot be used (too many pixels, pages too long to hold
+ *   in memory once resized, no cutout detected) or the audio track is invalid
+ */
+async function runRenderPipeline(options, hooks = {}) {
+  const { onProgress = () => {}, isCancelled = () => false, onPacing = () => {}, onUsage = () => {} } = hooks;
+  const { sessionDir, outputName, jobLabel, duration, fps, encoding, audioFile = null } = options;
+  const { threads = CPU_COUNT, logger = console } = options;
+
+  await fs.mkdir(sessionDir, { recursive: true });
+
+  // Validate the audio track before any image work so a bad upload fails fast
+  let audioArgs = null;
+  if (audioFile) {
+    if (!OUTPUT_FORMATS[encoding.format].audio) {
+      throw new RenderError(`Audio is not supported for ${encoding.format} output. Use mp4 or webm.`);
+    }
+    const audioInfo = await probeAudio(audioFile);
+    const audio = options.audio || parseAudioOptions({}, duration);
+    audioArgs = buildAudioArgs(audioFile, audioInfo, audio, encoding.format, duration);
+    logger.log(`🎵 Muxing ${audioInfo.codec} audio` +
+      (audioInfo.duration !== null && audioInfo.duration < duration ? ` (looped from ${audioInfo.duration}s)` : ''));
+  }
+
+  const composer = await prepareFrameComposer(options, { onProgress, isCancelled });
+  if (!composer) return null;
+  const { composeFrame, totalFrames, width: outputWidth, height: outputHeight } = composer;
+  if (composer.pacing) onPacing(composer.pacing);
+
+  // Start FFmpeg first so frames are encoded while the next batch is being composited
+  const fpsArg = String(fps);
+  const outputPath = path.join(sessionDir, outputName);
+  const outputArgs = [
+    '-threads', String(threads), // This render's share of the CPUs
+    '-r', fpsArg,            // Output framerate
+    outputPath
+  ];
+
+  // GIFs take two passes: the frames are stored with their palette, then dithered against it
+  const palettePass = encoding.format === 'gif'
+    ? { framesPath: path.join(sessionDir, 'palette_frames.mkv'), palettePath: path.join(sessionDir, 'palette.png') }
+    : null;
+
+  const ffArgs = [
+    '-y',                    // Overwrite output file
+    '-f', 'rawvideo',        // Uncompressed frames on stdin
+    '-pix_fmt', 'rgba',      // Matches sharp raw output
+    '-s', `${outputWidth}x${outputHeight}`, // Input frame size
+    '-framerate', fpsArg,    // Input framerate
+    '-i', 'pipe:0',          // Read frames from stdin
+    ...(audioArgs ? audioArgs.inputArgs : []),
+    ...(palettePass
+      ? buildPalettePassArgs(palettePass.framesPath, palettePass.palettePath, threads)
+      : [
+        ...buildEncoderArgs(encoding, duration, Boolean(audioArgs)),
+        ...(audioArgs ? audioArgs.outputArgs : []),
+        ...outputArgs
+      ])
+  ];
+
+  logger.log(`Encoding ${encoding.format.toUpperCase()} output`);
+
+  const encoder = runFFmpeg(ffArgs);
+
+  try {
+    // Composite frames in concurrent batches, then write them in order; writeFrame
+    // waits for FFmpeg to drain stdin so memory stays bounded to one batch
+    onProgress({ stage: 'rendering', framesDone: 0, totalFrames });
+
+    for (let batchStart = 0; batchStart < totalFrames; batchStart += BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + BATCH_SIZE, totalFrames);
+      const batchPromises = [];
+
+      for (let i = batchStart; i < batchEnd; i++) {
+        batchPromises.push(composeFrame(i));
+      }
+
+      const batchFrames = await Promise.all(batchPromises);
+      for (const frame of batchFrames) {
+        await encoder.writeFrame(frame);
+      }
+      logger.log(`Generated frames ${batchStart + 1}-${batchEnd} of ${totalFrames}`);
+      onProgress({ stage: 'rendering', framesDone: batchEnd, totalFrames });
+
+      // Check if request was cancelled during frame generation
+      if (isCancelled()) {
+        logger.log(`⚠️ Request cancelled during frame generation for ${jobLabel}`);
+        await encoder.abort();
+        if (palettePass) await removePalettePass(palettePass);
+        return null;
+      }
+    }
+
+    // Close stdin and wait for FFmpeg to finish the container
+    onProgress({ stage: 'encoding', framesDone: totalFrames, totalFrames });
+    const { cpuSeconds } = await encoder.finish();
+    onUsage({ cpuSeconds });
+  } catch (error) {
+    await encoder.abort();
+    if (palettePass) await removePalettePass(palettePass);
+    throw error;
+  }
+
+  if (palettePass) {
+    try {
+      if (isCancelled()) {
+        logger.log(`⚠️ Request cancelled before dithering the GIF for ${jobLabel}`);
+        return null;
+      }
+      const ditherer = runFFmpeg([
+        '-y',
+        '-i', palettePass.framesPath,
+        '-i', palettePass.palettePath,
+        ...buildEncoderArgs(encoding, duration),
+        ...outputArgs
+      ]);
+      const { cpuSeconds } = await ditherer.finish();
+      onUsage({ cpuSeconds });
+    } finally {
+      await removePalettePass(palettePass);
+    }
+  }
+
+  return outputPath;
+}
+
+/**
+ * Deletes the intermediate files of a two-pass GIF encode
+ *
+ * @param {{framesPath: string, palettePath: string}} palettePass - Files from {@link buildPalettePassArgs}
+ * @returns {Promise<void>}
+ */
+async function removePalettePass({ framesPath, palettePath }) {
+  await Promise.all([framesPath, palettePath].map(file => fs.rm(file, { force: true })));
+}
+
+/**
+ * A render started by {@link renderScrollVideo}
+ *
+ * Await it (it is a thenable) for the result, listen for `progress` events with
+ * `{stage, framesDone, totalFrames, percent}`, and call `cancel()` to stop it early. Auto-paced
+ * renders also emit `pacing` with the `{sections, timeline}` they use, kept in `task.pacing`.
+ * `task.encoderCpuSeconds` adds up the CPU time of the render's FFmpeg processes as they finish.
+ */
+class RenderTask extends EventEmitter {
+  /**
+   * @param {function(RenderTask): Promise<*>} run - Performs the render, reporting through the task
+   */
+  constructor(run) {
+    super();
+    this.cancelled = false;
+    this.pacing = null;
+    this.encoderCpuSeconds = 0;
+    // Start on the next tick, so listeners attached right after creation see every event
+    this.result = Promise.resolve().then(() => run(this));
+  }
+
+  /**
+   * Stops the render at the next frame batch; the task then resolves with null
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.result.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.result.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.result.finally(onFinally);
+  }
+}
+
+/**
+ * Moves a file, copying it when the destination is on another device
+ *
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ * @returns {Promise<void>}
+ */
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+/**
+ * Brings settings given as plain values into the shape of multipart form fields
+ *
+ * @param {Object} settings - `POST /render` fields; numbers and booleans are stringified, objects and
+ *   arrays (`timeline`, `overlays`, `devices`, ...) JSON-encoded, and null or undefined values dropped
+ * @returns {Object<string, string>} Fields as {@link parseRenderOptions} expects them
+ */
+function toFormFields(settings) {
+  const body = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined || value === null) continue;
+    body[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return body;
+}
+
+/**
+ * Picks the frame image of every device in a multi-device render
+ *
+ * @param {Object|null} devices - From {@link parseDeviceOptions}, or null for a single-device render
+ * @param {string[]} frameFiles - Frame images in upload order; the first is the request's frame, library frame
+ *   or the default frame
+ * @param {function(string): Promise<string>} [resolveFrameId] - Looks up the image of a device's `frameId`;
+ *   without it, devices cannot name library frames
+ * @returns {Promise<string[]|null>} Frame path of each device in order, or null for a single-device render
+ * @throws {RenderError} If frames are uploaded without devices, or a device's frame is missing or unknown
+ */
+async function resolveDeviceFrames(devices, frameFiles, resolveFrameId = null) {
+  if (!devices) {
+    if (frameFiles.length > 1) {
+      throw new RenderError('Several frames were sent without devices. Describe the layout in the devices field.');
+    }
+    return null;
+  }
+
+  const deviceFrameFiles = [];
+  for (const [index, item] of devices.items.entries()) {
+    if (item.frameId) {
+      if (!resolveFrameId) {
+        throw new RenderError(`Device ${index + 1} names frameId "${item.frameId}", but no frame library is available.`);
+      }
+      deviceFrameFiles.push(await resolveFrameId(item.frameId));
+      continue;
+    }
+    const number = item.frame || index + 1;
+    if (number > frameFiles.length) {
+      throw new RenderError(`Device ${index + 1} uses frame ${number}, but only ${frameFiles.length} ` +
+        `${frameFiles.length === 1 ? 'frame is' : 'frames are'} available. Upload one frame per device, ` +
+        'or set the device\'s frame or frameId.');
+    }
+    deviceFrameFiles.push(frameFiles[number - 1]);
+  }
+  return deviceFrameFiles;
+}
+
+/**
+ * Renders a scrolling video from image files, without going through the HTTP server
+ *
+ * Takes the same fields as `POST /render` (numbers, booleans and JSON values such as `timeline` or
+ * `overlays` may be passed as plain values), with file paths in place of the uploads. Renders do
+ * not wait for the server's render queue.
+ *
+ * @example
+ * const render = renderScrollVideo({ page: 'page.png', frame: 'frame.png', duration: 8, fps: 30, output: 'out.mp4' });
+ * render.on('progress', ({ percent }) => console.log(`${percent}%`));
+ * const outputPath = await render;
+ *
+ * @param {Object} options - Render settings
+ * @param {string|string[]} options.page - Page screenshot path(s), combined in order
+ * @param {string|string[]} [options.frame] - Frame image path (defaults to defaultFrame.png), or with `devices`
+ *   the frame images that the devices' `frame` numbers refer to
+ * @param {string} [options.backgroundImage] - Canvas background image path
+ * @param {string} [options.audio] - Audio track path for mp4/webm output
+ * @param {string|Object} [options.output] - Output file path, or a writable stream to receive the encoded
+ *   result (ended when done, unless it is `process.stdout`). Without it the result is left in a temporary
+ *   directory whose path is returned, for the caller to remove. A path's extension picks the `format`
+ *   unless one is given
+ * @param {string} [options.workDir] - Working directory, left for the caller to clean up; a temporary
+ *   directory that is removed afterwards when omitted
+ * @param {string} [options.jobLabel] - Name used in log messages
+ * @param {number} [options.threads] - Encoder threads (defaults to one per CPU core)
+ * @param {string} [options.cacheDir] - Directory for the cutout cache, so repeated renders with a frame skip
+ *   detection; nothing is cached when omitted
+ * @param {function(string): Promise<string>} [options.resolveFrameId] - Looks up the image of a device's
+ *   `frameId` (see {@link resolveDeviceFrames})
+ * @param {Object} [options.logger] - Receives log messages through `log`, `warn` and `error`
+ *   (defaults to `console`)
+ * @param {*} [options.duration] - Any other `POST /render` field: duration, fps, format, timeline, canvas, ...
+ * @returns {RenderTask} Resolves with the output path (or the `output` stream), or null if cancelled
+ * @throws {RenderError} Through the task, for missing input files or invalid settings (see {@link parseRenderOptions})
+ */
+function renderScrollVideo(options) {
+  return new RenderTask(async(task) => {
+    const {
+      page, frame, backgroundImage = null, audio = null, output = null, workDir = null, jobLabel,
+      threads, cacheDir = null, resolveFrameId = null, logger = console, ...settings
+    } = options;
+
+    const pageFiles = [].concat(page || []);
+    if (!pageFiles.length) {
+      throw new RenderError('At least one page is required.');
+    }
+    if (pageFiles.length > MAX_PAGES) {
+      throw new RenderError(`Too many pages. Maximum allowed: ${MAX_PAGES}`);
+    }
+    const frameFiles = [].concat(frame || DEFAULT_FRAME_FILE);
+    for (const file of [...pageFiles, ...frameFiles, backgroundImage, audio].filter(Boolean)) {
+      await fs.access(file).catch(() => {
+        throw new RenderError(`Cannot read input file ${file}`);
+      });
+    }
+
+    const body = toFormFields(settings);
+    if (!body.format && typeof output === 'string') {
+      const extension = path.extname(output).slice(1).toLowerCase();
+      const format = Object.keys(OUTPUT_FORMATS).find(name => OUTPUT_FORMATS[name].extension === extension);
+      if (format) body.format = format;
+    }
+    const renderOptions = parseRenderOptions(body, pageFiles.length);
+    const deviceFrameFiles = await resolveDeviceFrames(renderOptions.devices, frameFiles, resolveFrameId);
+
+    const sessionDir = workDir || await fs.mkdtemp(path.join(os.tmpdir(), 'scroll-video-'));
+    const extension = OUTPUT_FORMATS[renderOptions.encoding.format].extension;
+    const outputName = typeof output === 'string' && path.dirname(path.resolve(output)) === path.resolve(sessionDir)
+      ? path.basename(output)
+      : `output.${extension}`;
+    let keepSessionDir = Boolean(workDir);
+
+    try {
+      const renderedPath = await runRenderPipeline({
+        ...renderOptions,
+        frameFile: frameFiles[0],
+        deviceFrameFiles,
+        pageFiles,
+        backgroundFile: backgroundImage,
+        audioFile: audio,
+        sessionDir,
+        outputName,
+        jobLabel: jobLabel || path.basename(pageFiles[0]),
+        threads,
+        cacheDir,
+        logger
+      }, {
+        onProgress: ({ stage, framesDone, totalFrames }) => task.emit('progress', {
+          stage,
+          framesDone,
+          totalFrames,
+          percent: totalFrames ? Math.round((framesDone / totalFrames) * 100) : 0
+        }),
+        isCancelled: () => task.cancelled,
+        onPacing: (pacing) => {
+          task.pacing = pacing;
+          task.emit('pacing', pacing);
+        },
+        onUsage: ({ cpuSeconds }) => {
+          task.encoderCpuSeconds += cpuSeconds;
+        }
+      });
+      if (!renderedPath || task.cancelled) return null;
+
+      if (!output) {
+        keepSessionDir = true;
+        return renderedPath;
+      }
+      if (typeof output === 'string') {
+        if (path.resolve(output) !== path.resolve(renderedPath)) await moveFile(renderedPath, output);
+        return path.resolve(output);
+      }
+      await pipeline(createReadStream(renderedPath), output, { end: output !== process.stdout });
+      return output;
+    } finally {
+      if (!keepSessionDir) await rimraf(sessionDir);
+    }
+  });
+}
+
+module.exports = {
+  MAX_PAGES,
+  MAX_DEVICES,
+  DEFAULT_FRAME,
+  OUTPUT_FORMATS,
+  OVERLAY_DEFAULTS,
+  RENDER_FIELDS,
+  RenderError,
+  RenderTask,
+  renderScrollVideo,
+  runRenderPipeline,
+  prepareFrameComposer,
+  parseRenderOptions,
+  parseEncodingOptions,
+  buildEncoderArgs,
+  buildPalettePassArgs,
+  parseTimeline,
+  createScrollTimeline,
+  parsePacingOptions,
+  findSectionBoundaries,
+  detectSections,
+  createPacingTimeline,
+  parsePageOptions,
+  createWindowReader,
+  createPageSequence,
+  parseStickyOptions,
+  detectStickyBand,
+  splitStickyBars,
+  parseByteSize,
+  parseAspectRatio,
+  parseChromaKey,
+  applyChromaKey,
+  analyzeTransparentCutout,
+  detectTransparentCutout,
+  detectCutoutCached,
+  renderDetectionDebugImage,
+  findLargestRectangle,
+  findScreenRegion,
+  fitScreenQuad,
+  parseScreenCorners,
+  solveHomography,
+  createPerspectiveWarp,
+  parseDeviceOptions,
+  arrangeDevices,
+  renderCaptionOverlay,
+  resolveDeviceFrames,
+  toFormFields,
+  readJsonFile,
+  writeJsonFile,
+  hashFile
+};
@@ -0,0 +1,506 @@
+/**
+ * Scroll Video Generator web UI
+ *
+ * Plain browser script served from `public/` alongside index.html; it talks to the same HTTP API
+ * as any other client: `/health` for the status light, `/render` for rendering, and the
+ * `/detect` and `/preview` routes for the cutout outline and the scrubber. The scrubber fetches one
+ * contact sheet per change of inputs and shows its cells while it is dragged, so dragging uploads
+ * nothing; once it is released, the frame at that time is fetched at full size.
+ */
+
+'use strict';
+
+const PREVIEW_DEBOUNCE = 250; // Milliseconds of settings inactivity before a preview is requested
+const PREVIEW_SHEET_FRAMES = 25; // Evenly spaced frames shown while scrubbing, fetched as one 5×5 sheet
+const SHEET_GAP = 16; // Space around contact sheet cells, as laid out by `/preview`
+const HEALTH_POLL_INTERVAL = 10000;
+const API_KEY_STORAGE = 'scroll-video-api-key';
+
+const $ = (id) => document.getElementById(id);
+
+const state = {
+  pages: [],
+  frame: null,
+  previewController: null,
+  previewTimer: null,
+  sheet: null, // Contact sheet of the current inputs: `{image, times, columns, cellWidth, cellHeight}`
+  stillController: null,
+  still: null, // Full-size frame at the released scrubber position: `{image, time}`
+  render: null, // `/render` request in flight, an XMLHttpRequest
+  resultUrl: null
+};
+
+/**
+ * Shows an error message for a few seconds
+ * @param {string} message
+ */
+function showError(message) {
+  const box = $('error');
+  box.textContent = message;
+  box.hidden = false;
+  clearTimeout(showError.timer);
+  showError.timer = setTimeout(() => {
+    box.hidden = true;
+  }, 6000);
+}
+
+/**
+ * Calls the API with the stored API key
+ *
+ * @param {string} url - Route to call
+ * @param {RequestInit} [options] - fetch options
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} With the server's JSON error message for non-2xx responses
+ */
+async function api(url, options = {}) {
+  const headers = new Headers(options.headers);
+  const key = $('api-key').value.trim();
+  if (key) headers.set('X-API-Key', key);
+
+  const response = await fetch(url, { ...options, headers });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    let message = body.error || `${response.status} ${response.statusText}`;
+    if (response.status === 401) message += ' Enter a valid API key at the top of the page.';
+    if (body.retryAfter) message += ` Retry in ${body.retryAfter}s.`;
+    throw new Error(message);
+  }
+  return response;
+}
+
+/**
+ * Builds the multipart body shared by `/preview` and `/render`
+ * @returns {FormData}
+ */
+function renderForm() {
+  const form = new FormData();
+  for (const page of state.pages) form.append('page', page);
+  if (state.frame) form.append('frame', state.frame);
+  form.append('duration', $('duration').value);
+  form.append('fps', $('fps').value);
+  form.append('format', $('format').value);
+  return form;
+}
+
+/**
+ * Updates the server status light from `/health`
+ */
+async function checkHealth() {
+  try {
+    const health = await (await fetch('/health')).json();
+    const { active, queued } = health.renders || {};
+    $('health-dot').className = `dot ${health.status === 'healthy' ? 'ok' : 'down'}`;
+    $('health-text').textContent = health.status === 'healthy'
+      ? `Server ready · ${active || 0} rendering · ${queued || 0} queued`
+      : `Server unhealthy: ${health.error}`;
+  } catch {
+    $('health-dot').className = 'dot down';
+    $('health-text').textContent = 'Server unreachable';
+  }
+}
+
+/**
+ * Draws the frame with its detected cutout, using the debug image from `/detect`
+ */
+async function detectCutout() {
+  const form = new FormData();
+  if (state.frame) form.append('frame', state.frame);
+  $('cutout-text').textContent = 'Detecting the screen cutout…';
+
+  try {
+    const result = await (await api('/detect', { method: 'POST', body: form })).json();
+    const { cutout, frameType } = result;
+    $('cutout-image').src = result.debugImage;
+    $('cutout-text').textContent = `${state.frame ? state.frame.name : 'Default frame'}: ` +
+      `${cutout.width}×${cutout.height} screen at (${cutout.x}, ${cutout.y}), ${frameType} corners`;
+  } catch (error) {
+    $('cutout-image').removeAttribute('src');
+    $('cutout-text').textContent = `No cutout: ${error.message}`;
+  }
+}
+
+/**
+ * Draws the preview at the scrubber position: the full-size frame once it has been fetched for
+ * that position, otherwise the closest contact sheet cell
+ */
+function showPreviewFrame() {
+  const { sheet, still } = state;
+  const time = Number($('scrub').value);
+  const canvas = $('preview-image');
+
+  if (still && still.time === time) {
+    canvas.width = still.image.width;
+    canvas.height = still.image.height;
+    canvas.getContext('2d').drawImage(still.image, 0, 0);
+    canvas.hidden = false;
+    $('preview-empty').hidden = true;
+    $('scrub-time').textContent = `${time.toFixed(2)} s`;
+    return;
+  }
+  if (!sheet) {
+    $('scrub-time').textContent = `${time.toFixed(2)} s`;
+    return;
+  }
+
+  let index = 0;
+  for (let i = 1; i < sheet.times.length; i++) {
+    if (Math.abs(sheet.times[i] - time) < Math.abs(sheet.times[index] - time)) index = i;
+  }
+  const left = SHEET_GAP + (index % sheet.columns) * (sheet.cellWidth + SHEET_GAP);
+  const top = SHEET_GAP + Math.floor(index / sheet.columns) * (sheet.cellHeight + SHEET_GAP);
+
+  canvas.width = sheet.cellWidth;
+  canvas.height = sheet.cellHeight;
+  canvas.getContext('2d').drawImage(sheet.image, left, top, sheet.cellWidth, sheet.cellHeight,
+    0, 0, sheet.cellWidth, sheet.cellHeight);
+  canvas.hidden = false;
+  $('preview-empty').hidden = true;
+  $('scrub-time').textContent = `${sheet.times[index].toFixed(2)} s`;
+}
+
+/**
+ * Forgets the full-size frame and stops fetching one, when the inputs change or the scrubber moves on
+ */
+function dropStill() {
+  if (state.stillController) state.stillController.abort();
+  state.stillController = null;
+  if (state.still) state.still.image.close();
+  state.still = null;
+}
+
+/**
+ * Fetches the frame at the released scrubber position at full size, without the contact sheet's
+ * scaling and time labels
+ */
+async function updateStill() {
+  dropStill();
+  if (!state.pages.length) return;
+  const controller = new AbortController();
+  state.stillController = controller;
+
+  const time = Number($('scrub').value);
+  const form = renderForm();
+  form.append('t', String(time));
+  try {
+    const response = await api('/preview', { method: 'POST', body: form, signal: controller.signal });
+    const image = await createImageBitmap(await response.blob());
+    if (state.stillController !== controller) {
+      image.close();
+      return;
+    }
+    state.still = { image, time };
+    showPreviewFrame();
+  } catch (error) {
+    if (error.name !== 'AbortError') showError(`Preview failed: ${error.message}`);
+  } finally {
+    if (state.stillController === controller) state.stillController = null;
+  }
+}
+
+/**
+ * Fetches a contact sheet of evenly spaced frames for the scrubber, cancelling any sheet still loading,
+ * then the full-size frame at the scrubber position
+ */
+async function updatePreview() {
+  if (!state.pages.length) return;
+  if (state.previewController) state.previewController.abort();
+  dropStill();
+  const controller = new AbortController();
+  state.previewController = controller;
+
+  const totalFrames = Math.round(Number($('duration').value) * Number($('fps').value));
+  const count = Math.min(PREVIEW_SHEET_FRAMES, Math.max(1, totalFrames || 1));
+  const form = renderForm();
+  form.append('sheet', String(count));
+  try {
+    const response = await api('/preview', { method: 'POST', body: form, signal: controller.signal });
+    const times = response.headers.get('X-Preview-Time').split(',').map(Number);
+    const image = await createImageBitmap(await response.blob());
+    if (state.previewController !== controller) return;
+
+    // Same grid as the server's contact sheet: square-ish, filled row by row, SHEET_GAP around each cell
+    const columns = Math.ceil(Math.sqrt(times.length));
+    const rows = Math.ceil(times.length / columns);
+    if (state.sheet) state.sheet.image.close();
+    state.sheet = {
+      image,
+      times,
+      columns,
+      cellWidth: Math.round((image.width - SHEET_GAP * (columns + 1)) / columns),
+      cellHeight: Math.round((image.height - SHEET_GAP * (rows + 1)) / rows)
+    };
+    showPreviewFrame();
+    updateStill();
+  } catch (error) {
+    if (error.name !== 'AbortError') showError(`Preview failed: ${error.message}`);
+  } finally {
+    if (state.previewController === controller) state.previewController = null;
+  }
+}
+
+/**
+ * Schedules a new contact sheet once the inputs or settings stop changing
+ */
+function schedulePreview() {
+  clearTimeout(state.previewTimer);
+  state.previewTimer = setTimeout(updatePreview, PREVIEW_DEBOUNCE);
+}
+
+/**
+ * Keeps the scrubber range in step with the duration field
+ */
+function syncScrubber() {
+  const duration = Number($('duration').value) || 0;
+  const scrub = $('scrub');
+  scrub.max = String(duration);
+  if (Number(scrub.value) > duration) scrub.value = String(duration);
+  scrub.disabled = !state.pages.length;
+  showPreviewFrame();
+  $('render').disabled = !state.pages.length || Boolean(state.render);
+}
+
+/**
+ * Lists the chosen files with buttons to remove them
+ *
+ * @param {HTMLElement} list - `<ul>` to fill
+ * @param {File[]} files - Files to show
+ * @param {function(number): void} onRemove - Called with the index of the removed file
+ */
+function renderFileList(list, files, onRemove) {
+  list.replaceChildren(...files.map((file, index) => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = `${file.name} (${Math.round(file.size / 1024)} KB)`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => onRemove(index));
+    item.append(name, remove);
+    return item;
+  }));
+}
+
+/**
+ * Refreshes everything that depends on the chosen pages
+ */
+function pagesChanged() {
+  renderFileList($('page-list'), state.pages, (index) => {
+    state.pages.splice(index, 1);
+    pagesChanged();
+  });
+  syncScrubber();
+  if (state.pages.length) {
+    schedulePreview();
+  } else {
+    if (state.previewController) state.previewController.abort();
+    dropStill();
+    if (state.sheet) state.sheet.image.close();
+    state.sheet = null;
+    $('preview-image').hidden = true;
+    $('preview-empty').hidden = false;
+  }
+}
+
+/**
+ * Refreshes everything that depends on the chosen frame
+ */
+function frameChanged() {
+  renderFileList($('frame-list'), state.frame ? [state.frame] : [], () => {
+    state.frame = null;
+    frameChanged();
+  });
+  detectCutout();
+  schedulePreview();
+}
+
+/**
+ * Makes a drop zone accept dragged files and open its file picker on click or Enter
+ *
+ * @param {HTMLElement} zone - Drop zone element
+ * @param {HTMLInputElement} input - Hidden file input inside the zone
+ * @param {function(File[]): void} onFiles - Called with the dropped or chosen image files
+ */
+function setupDropZone(zone, input, onFiles) {
+  const accept = (files) => {
+    const images = [...files].filter(file => file.type.startsWith('image/'));
+    if (images.length < files.length) showError('Only image files can be used.');
+    if (images.length) onFiles(images);
+  };
+
+  zone.addEventListener('click', () => input.click());
+  zone.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      input.click();
+    }
+  });
+  input.addEventListener('click', (event) => event.stopPropagation());
+  input.addEventListener('change', () => {
+    accept(input.files);
+    input.value = '';
+  });
+
+  zone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    zone.classList.add('over');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('over'));
+  zone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    zone.classList.remove('over');
+    accept(event.dataTransfer.files);
+  });
+}
+
+/**
+ * Updates the progress bar and status line
+ *
+ * @param {number|null} percent - Progress, or null for an indeterminate bar
+ * @param {string} message - Status text
+ */
+function setProgress(percent, message) {
+  const bar = $('progress');
+  bar.hidden = false;
+  if (percent === null) {
+    bar.removeAttribute('value');
+  } else {
+    bar.value = percent;
+  }
+  $('status').textContent = message;
+}
+
+/**
+ * Uploads the render to `/render` and downloads the result
+ *
+ * Uses XMLHttpRequest because fetch cannot report upload progress. `/render` answers once the
+ * video is encoded, so the bar follows the upload, waits while the server renders, and then
+ * follows the download.
+ *
+ * @returns {Promise<Blob|null>} The encoded result, or null if the render was cancelled
+ */
+function submitRender() {
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    state.render = request;
+    request.open('POST', '/render');
+    request.responseType = 'blob';
+    const key = $('api-key').value.trim();
+    if (key) request.setRequestHeader('X-API-Key', key);
+
+    request.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) {
+        setProgress(null, `Uploading… ${Math.round((event.loaded / event.total) * 100)}%`);
+      }
+    });
+    request.upload.addEventListener('load', () => setProgress(null, 'Rendering…'));
+    request.addEventListener('progress', (event) => {
+      if (event.lengthComputable) {
+        const percent = Math.round((event.loaded / event.total) * 100);
+        setProgress(percent, `Downloading… ${percent}%`);
+      }
+    });
+    request.addEventListener('load', async() => {
+      if (request.status >= 200 && request.status < 300) return resolve(request.response);
+      const body = await request.response.text().then(JSON.parse).catch(() => ({}));
+      let message = body.error || `${request.status} ${request.statusText}`;
+      if (request.status === 401) message += ' Enter a valid API key at the top of the page.';
+      if (body.retryAfter) message += ` Retry in ${body.retryAfter}s.`;
+      reject(new Error(message));
+    });
+    request.addEventListener('error', () => reject(new Error('Network error')));
+    request.addEventListener('abort', () => resolve(null));
+    request.send(renderForm());
+  });
+}
+
+/**
+ * Shows the finished video or animation with a download link
+ *
+ * @param {Blob} blob - Encoded result from `/render`
+ * @param {string} format - Output format it was rendered in
+ */
+function showResult(blob, format) {
+  if (state.resultUrl) URL.revokeObjectURL(state.resultUrl);
+  state.resultUrl = URL.createObjectURL(blob);
+
+  const isVideo = format === 'mp4' || format === 'webm';
+  $('result-video').hidden = !isVideo;
+  $('result-image').hidden = isVideo;
+  if (isVideo) {
+    $('result-video').src = state.resultUrl;
+  } else {
+    $('result-image').src = state.resultUrl;
+  }
+
+  $('download').href = state.resultUrl;
+  $('download').download = `scroll_${Date.now()}.${format}`;
+  $('result').hidden = false;
+}
+
+/**
+ * Renders the video with the current inputs and settings
+ */
+async function render() {
+  const format = $('format').value;
+  $('result').hidden = true;
+  $('render').disabled = true;
+  $('cancel').hidden = false;
+  setProgress(null, 'Uploading…');
+
+  try {
+    const blob = await submitRender();
+    if (!blob) return; // Cancelled
+    setProgress(100, 'Done');
+    showResult(blob, format);
+  } catch (error) {
+    $('progress').hidden = true;
+    $('status').textContent = '';
+    showError(`Render failed: ${error.message}`);
+  } finally {
+    state.render = null;
+    $('cancel').hidden = true;
+    syncScrubber();
+  }
+}
+
+/**
+ * Cancels the running render; the server stops it when the request is aborted
+ */
+function cancelRender() {
+  if (!state.render) return;
+  state.render.abort();
+  $('progress').hidden = true;
+  $('status').textContent = 'Render cancelled';
+}
+
+$('api-key').value = localStorage.getItem(API_KEY_STORAGE) || '';
+$('api-key').addEventListener('change', () => {
+  localStorage.setItem(API_KEY_STORAGE, $('api-key').value.trim());
+  detectCutout();
+  schedulePreview();
+});
+
+setupDropZone($('page-drop'), $('page-input'), (files) => {
+  state.pages.push(...files);
+  pagesChanged();
+});
+setupDropZone($('frame-drop'), $('frame-input'), ([file]) => {
+  state.frame = file;
+  frameChanged();
+});
+
+$('scrub').addEventListener('input', showPreviewFrame);
+$('scrub').addEventListener('change', updateStill);
+for (const id of ['duration', 'fps']) {
+  $(id).addEventListener('change', () => {
+    syncScrubber();
+    schedulePreview();
+  });
+}
+$('render').addEventListener('click', render);
+$('cancel').addEventListener('click', cancelRender);
+
+checkHealth();
+setInterval(checkHealth, HEALTH_POLL_INTERVAL);
+detectCutout();
+syncScrubber();
@@ -0,0 +1,210 @@
+/**
+ * Render Benchmark
+ *
+ * Compares the streaming render pipeline (raw RGBA frames piped into FFmpeg) with the
+ * previous PNG-sequence pipeline (every frame encoded to PNG on disk, then decoded by FFmpeg).
+ * Reports wall-clock render time and peak disk usage of the session directory for each.
+ *
+ * Usage:
+ *   node scripts/benchmark.js [--page fullpage.jpeg] [--frame defaultFrame.png] [--duration 5] [--fps 30]
+ *
+ * Requires FFmpeg on PATH.
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs/promises');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { rimraf } = require('rimraf');
+const { detectTransparentCutout, parseRenderOptions, runRenderPipeline } = require('../lib/pipeline');
+
+const BATCH_SIZE = 4;
+const DISK_SAMPLE_INTERVAL = 50; // Milliseconds between disk usage samples
+
+/**
+ * Parses `--name value` command line flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{page: string, frame: string, duration: number, fps: number}}
+ */
+function parseArgs(argv) {
+  const options = {
+    page: path.join(__dirname, '..', 'fullpage.jpeg'),
+    frame: path.join(__dirname, '..', 'defaultFrame.png'),
+    duration: 5,
+    fps: 30
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    options[key] = typeof options[key] === 'number' ? Number(argv[i + 1]) : path.resolve(argv[i + 1]);
+  }
+
+  return options;
+}
+
+/**
+ * Returns the total size in bytes of all files directly inside a directory
+ * @param {string} dir - Directory to measure
+ * @returns {Promise<number>}
+ */
+async function directorySize(dir) {
+  const entries = await fs.readdir(dir).catch(() => []);
+  let total = 0;
+  for (const entry of entries) {
+    const stat = await fs.stat(path.join(dir, entry)).catch(() => null);
+    if (stat && stat.isFile()) total += stat.size;
+  }
+  return total;
+}
+
+/**
+ * Runs a render function while sampling the disk usage of its session directory
+ * @param {string} sessionDir - Directory the render writes to
+ * @param {function(): Promise<string>} render - Render function resolving with the output path
+ * @returns {Promise<{seconds: number, peakBytes: number, outputBytes: number}>}
+ */
+async function measure(sessionDir, render) {
+  let peakBytes = 0;
+  let sampling = Promise.resolve();
+  const sampler = setInterval(() => {
+    sampling = sampling.then(async() => {
+      peakBytes = Math.max(peakBytes, await directorySize(sessionDir));
+    });
+  }, DISK_SAMPLE_INTERVAL);
+
+  const start = process.hrtime.bigint();
+  try {
+    const outputPath = await render();
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    clearInterval(sampler);
+    await sampling;
+    peakBytes = Math.max(peakBytes, await directorySize(sessionDir));
+    const { size: outputBytes } = await fs.stat(outputPath);
+    return { seconds, peakBytes, outputBytes };
+  } finally {
+    clearInterval(sampler);
+  }
+}
+
+/**
+ * Renders with the previous PNG-sequence pipeline, kept here as the benchmark baseline
+ * @param {Object} options - Benchmark options
+ * @param {string} sessionDir - Working directory
+ * @returns {Promise<string>} Output video path
+ */
+async function renderPngSequence({ page, frame, duration, fps }, sessionDir) {
+  await fs.mkdir(sessionDir, { recursive: true });
+
+  const cutout = await detectTransparentCutout(frame);
+  const { width: screenWidth, height: screenHeight, x: frameOffsetX, y: frameOffsetY } = cutout;
+  const pageMeta = await sharp(page).metadata();
+  const pageHeight = Math.round(screenWidth / (pageMeta.width / pageMeta.height));
+
+  const pageFile = path.join(sessionDir, 'resized_page.png');
+  await sharp(page)
+    .resize(screenWidth, pageHeight, { fit: 'fill', kernel: sharp.kernel.lanczos3, fastShrinkOnLoad: true })
+    .png({ compressionLevel: 6, quality: 95, palette: false, progressive: false })
+    .toFile(pageFile);
+
+  const totalFrames = Math.round(duration * fps);
+  const maxScroll = Math.max(0, pageHeight - screenHeight);
+  const step = totalFrames > 1 ? maxScroll / (totalFrames - 1) : 0;
+  const frameBuffer = await fs.readFile(frame);
+  const { width: canvasWidth, height: canvasHeight } = await sharp(frameBuffer).metadata();
+
+  for (let batchStart = 0; batchStart < totalFrames; batchStart += BATCH_SIZE) {
+    const batchEnd = Math.min(batchStart + BATCH_SIZE, totalFrames);
+    const batchPromises = [];
+
+    for (let i = batchStart; i < batchEnd; i++) {
+      batchPromises.push((async() => {
+        const cropped = await sharp(pageFile)
+          .extract({ left: 0, top: Math.round(step * i), width: screenWidth, height: screenHeight })
+          .png({ compressionLevel: 6, quality: 95 })
+          .toBuffer();
+
+        await sharp({
+          create: { width: canvasWidth, height: canvasHeight, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+        })
+          .composite([
+            { input: cropped, left: frameOffsetX, top: frameOffsetY },
+            { input: frameBuffer, left: 0, top: 0 }
+          ])
+          .png({ compressionLevel: 6, quality: 95, progressive: false })
+          .toFile(path.join(sessionDir, `frame_${String(i + 1).padStart(5, '0')}.png`));
+      })());
+    }
+
+    await Promise.all(batchPromises);
+  }
+
+  const outputPath = path.join(sessionDir, 'output.mp4');
+  await new Promise((resolve, reject) => {
+    execFile('ffmpeg', [
+      '-y', '-framerate', String(fps), '-i', path.join(sessionDir, 'frame_%05d.png'),
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', '-r', String(fps), outputPath
+    ], { windowsHide: true }, (err) => (err ? reject(err) : resolve()));
+  });
+
+  return outputPath;
+}
+
+/**
+ * Formats a byte count in megabytes
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const benchRoot = path.join(__dirname, '..', 'tmp', `benchmark_${Date.now()}`);
+
+  console.log(`📊 Benchmarking ${path.basename(options.page)} in ${path.basename(options.frame)}: ` +
+    `${options.duration}s at ${options.fps}fps (${Math.round(options.duration * options.fps)} frames)`);
+
+  const results = [];
+  try {
+    const pngDir = path.join(benchRoot, 'png_sequence');
+    results.push({ name: 'PNG sequence', ...await measure(pngDir, () => renderPngSequence(options, pngDir)) });
+
+    const streamDir = path.join(benchRoot, 'streaming');
+    results.push({
+      name: 'Streaming (raw RGBA)',
+      ...await measure(streamDir, () => runRenderPipeline({
+        frameFile: options.frame,
+        pageFiles: [options.page],
+        sessionDir: streamDir,
+        outputName: 'output.mp4',
+        jobLabel: 'benchmark',
+        ...parseRenderOptions({ duration: options.duration, fps: options.fps })
+      }))
+    });
+  } finally {
+    await rimraf(benchRoot);
+  }
+
+  console.log('');
+  console.table(results.map(({ name, seconds, peakBytes, outputBytes }) => ({
+    pipeline: name,
+    'render time': `${seconds.toFixed(2)} s`,
+    'peak disk': formatMB(peakBytes),
+    'output size': formatMB(outputBytes)
+  })));
+
+  const [baseline, streaming] = results;
+  console.log(`Streaming is ${(baseline.seconds / streaming.seconds).toFixed(2)}x faster ` +
+    `and uses ${formatMB(baseline.peakBytes - streaming.peakBytes)} less peak disk.`);
+}
+
+main().catch((error) => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
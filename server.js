@@ -12,7 +12,19 @@
  * - Concurrent request handling with isolated session directories
  * - Batch processing for improved performance
  * - Comprehensive cleanup and memory management
- * - Fallback to manual parameter specification if auto-detection fails
+ * - Manual cutout parameters and chroma-key detection for frames without transparency
+ * - Optional background audio, trimmed or looped to the video with fades and volume
+ * - Timed captions and page-pinned callout shapes composited into every frame
+ * - Single-frame previews and contact sheets without encoding
+ * - Global render queue with admission control
+ * - Content-addressed render cache with ETags and LRU eviction
+ * - API keys with per-key rate limits, daily render quotas and usage accounting
+ * - Built-in browser UI for uploading, previewing and rendering
+ * - Usable as a library (`lib/pipeline.js`, {@link renderScrollVideo}) and from the `scroll-video` CLI
+ * - Batch rendering of page × frame × settings matrices into a zip with a report
+ * - Multi-device layouts: several frames side by side on one canvas, scrolling in sync
+ * - Content-aware pacing that pauses on detected page sections
+ * - Sticky header and bottom bars pinned while the content between them scrolls
  *
  * @version 1.0.0
  */
@@ -22,25 +34,70 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const fs = require('fs/promises');
-const { execFile } = require('child_process');
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const sharp = require('sharp');
 const { rimraf } = require('rimraf');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+const {
+  MAX_PAGES, MAX_DEVICES, DEFAULT_FRAME, OUTPUT_FORMATS, OVERLAY_DEFAULTS, RenderError,
+  renderScrollVideo, prepareFrameComposer, parseRenderOptions, parseByteSize, parseAspectRatio,
+  parseChromaKey, applyChromaKey, analyzeTransparentCutout, detectCutoutCached,
+  renderDetectionDebugImage, findScreenRegion, fitScreenQuad, renderCaptionOverlay, resolveDeviceFrames,
+  toFormFields, readJsonFile, writeJsonFile, hashFile
+} = require('./lib/pipeline');
 
 // Configuration constants
 const tmpRoot = path.join(__dirname, 'tmp');
+const dataRoot = process.env.DATA_DIR || path.join(__dirname, 'data'); // Persistent frame library and caches
+const framesDir = path.join(dataRoot, 'frames');
+const FRAME_LIBRARY_FILE = path.join(dataRoot, 'frames.json');
+const RENDER_CACHE_DIR = path.join(dataRoot, 'renders');
+const RENDER_CACHE_FILE = path.join(dataRoot, 'render-cache.json');
+const RENDER_CACHE_VERSION = 2; // Bump when the pipeline's output or the key's contents change for the same inputs
+const RENDER_CACHE_MAX_BYTES = process.env.RENDER_CACHE_SIZE === '0'
+  ? 0 // Caching disabled
+  : parseByteSize(process.env.RENDER_CACHE_SIZE || '1GB');
+const FRAME_THUMBNAIL_WIDTH = 240;
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(dataRoot, 'api-keys.json');
+const USAGE_FILE = path.join(dataRoot, 'usage.json');
+const USAGE_HISTORY_DAYS = 31; // Days of per-key daily usage kept in USAGE_FILE
+const DEFAULT_RATE_LIMIT = Number(process.env.API_RATE_LIMIT) || 30; // Upload requests per key per minute
+const DEFAULT_DAILY_RENDER_SECONDS = process.env.API_DAILY_RENDER_SECONDS === undefined
+  ? 3600 // Seconds of output video per key per UTC day
+  : Number(process.env.API_DAILY_RENDER_SECONDS); // 0 removes the quota
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // 50MB limit for uploaded files
+const MAX_BATCH_ITEMS = 100; // Renders in one /batch request (pages × frames × settings)
+const MAX_BATCH_FILES = 60; // Pages, frames and other inputs uploaded or zipped for one /batch request
+const MAX_BATCH_BYTES = 500 * 1024 * 1024; // Largest /batch archive, and most its contents may unpack to
 const upload = multer({
   dest: path.join(tmpRoot, 'uploads'),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit for uploaded files
-    files: 2 // Maximum 2 files (frame + page)
+    fileSize: MAX_UPLOAD_BYTES,
+    files: MAX_PAGES + MAX_DEVICES + 2 // Frames, background image, audio track and pages
   }
 });
-const DEFAULT_FRAME = 'defaultFrame.png';
+const JOB_RESULT_TTL = Number(process.env.JOB_RESULT_TTL) || 3600; // Seconds to keep finished job results
 
 // Performance constants
-const BATCH_SIZE = 4; // Number of frames to process concurrently
-const MAX_DIMENSION = 4096; // Maximum image dimension for memory safety
+const CPU_COUNT = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+// At least one render runs; 0 queued renders answers 429 whenever every slot is busy
+const MAX_CONCURRENT_RENDERS = Math.max(1, readEnvNumber('MAX_CONCURRENT_RENDERS', Math.floor(CPU_COUNT / 2)));
+const MAX_QUEUED_RENDERS = Math.max(0, readEnvNumber('MAX_QUEUED_RENDERS', 10)); // Renders waiting before 429
+const THREADS_PER_RENDER = Math.max(1, Math.floor(CPU_COUNT / MAX_CONCURRENT_RENDERS)); // libvips and FFmpeg threads
+
+// Passed to every render after the request fields, so clients cannot override them: its share of the CPUs,
+// the persistent cutout cache and the frame library
+const SERVER_RENDER_OPTIONS = {
+  threads: THREADS_PER_RENDER,
+  cacheDir: dataRoot,
+  resolveFrameId: frameId => resolveFrameFile(null, frameId),
+  logger: console
+};
 
 const app = express();
 
@@ -58,6 +115,12 @@ app.use((req, res, next) => {
   next();
 });
 
+// Browser UI (public/index.html) at /, served before authentication so the page can ask for a key
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Every route but /health needs an API key once keys are configured; checked before any upload is read
+app.use(authenticate);
+
 /**
  * Health check endpoint for monitoring and load balancers
  *
@@ -79,7 +142,14 @@ app.get('/health', async(_req, res) => {
       version: '1.0.0',
       node: process.version,
       uptime: process.uptime(),
-      memory: process.memoryUsage()
+      memory: process.memoryUsage(),
+      renders: {
+        active: renderQueue.active,
+        queued: renderQueue.waiting.length,
+        maxConcurrent: MAX_CONCURRENT_RENDERS,
+        maxQueued: MAX_QUEUED_RENDERS,
+        threadsPerRender: THREADS_PER_RENDER
+      }
     });
   } catch (error) {
     res.status(503).json({
@@ -90,6 +160,22 @@ app.get('/health', async(_req, res) => {
   }
 });
 
+/**
+ * Reads a numeric setting from the environment
+ *
+ * Unlike `Number(value) || fallback`, an explicit `0` is kept.
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when the variable is unset, empty or not a number
+ * @returns {number} The configured number, or the fallback
+ */
+function readEnvNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
 /**
  * Ensures the temporary directories exist
  * Creates both tmp and tmp/uploads directories if they don't exist
@@ -136,200 +222,595 @@ async function performJobCleanup(cleanupData, reason = 'completed') {
 }
 
 
+// Cached render outputs keyed by content hash, loaded on first use
+let renderCache = null;
+
 /**
- * Runs FFmpeg with the given arguments and returns a promise
+ * Checks an `If-None-Match` header against an ETag
  *
- * @param {string[]} args - Array of FFmpeg command line arguments
- * @returns {Promise<{stdout: string, stderr: string}>} Resolves with stdout/stderr when FFmpeg completes
- * @throws {Error} If FFmpeg exits with non-zero code or encounters an error
+ * @param {string|undefined} header - Header value: `*` or a comma-separated list of (weak or strong) tags
+ * @param {string} etag - Quoted entity tag of the response
+ * @returns {boolean}
  */
-function runFFmpeg(args) {
-  return new Promise((resolve, reject) => {
-    execFile('ffmpeg', args, { windowsHide: true }, (err, stdout, stderr) => {
-      if (err) return reject({ err, stdout, stderr });
-      resolve({ stdout, stderr });
-    });
+function matchesETag(header, etag) {
+  if (!header) return false;
+  return header.split(',').some(tag => {
+    const trimmed = tag.trim();
+    return trimmed === '*' || trimmed.replace(/^W\//, '') === etag;
   });
 }
 
 /**
- * Detects the largest transparent rectangle in a PNG image
+ * Whether a request may read and write the render cache
  *
- * This function analyzes the alpha channel of a frame image to find the transparent
- * area where the page content should be displayed. It supports both rectangular
- * and rounded corner frames with intelligent detection algorithms.
- *
- * @param {string} imagePath - Path to the frame image (must be PNG with alpha channel)
- * @returns {Promise<{x: number, y: number, width: number, height: number}>} The detected cutout rectangle
+ * @param {Object} body - Request fields; `cache=bypass` renders afresh and leaves the cache untouched
+ * @returns {boolean} False when bypassed or when caching is disabled with `RENDER_CACHE_SIZE=0`
+ * @throws {RenderError} For an unknown `cache` value
+ */
+function usesRenderCache(body) {
+  const mode = body.cache || 'use';
+  if (mode !== 'use' && mode !== 'bypass') {
+    throw new RenderError(`Invalid cache "${body.cache}". Use use or bypass`);
+  }
+  return mode === 'use' && RENDER_CACHE_MAX_BYTES > 0;
+}
+
+/**
+ * Computes the cache key of a render: its input files' contents and normalized options
  *
- * Algorithm:
- * 1. Extract RGBA pixel data from the frame image
- * 2. Find all fully transparent pixels (alpha = 0), excluding translucent areas
- * 3. Calculate bounding box of the transparent area
- * 4. Detect frame type by checking if corners of transparent area are transparent
- * 5. For rounded corners: systematically test rectangle sizes (50%-95%) to find largest safe area
- * 6. For rectangular frames: use full transparent area for maximum utilization
- * 7. Ensure dimensions are even numbers for H.264 video compatibility
+ * @param {{frameFile: string, pageFiles: string[], backgroundFile: string|null, audioFile: string|null,
+ *   deviceFrameFiles: string[]|null}} files - Render inputs
+ * @param {Object} renderOptions - Options from {@link parseRenderOptions}, so equivalent requests
+ *   (defaults spelled out or not) share a key. They are serialized as JSON, which drops functions: keyframe
+ *   easings count through their `bezier` control points
+ * @returns {Promise<string>} Hex SHA-256 key, also used as the ETag
+ */
+async function renderCacheKey(files, renderOptions) {
+  const { frameFile, pageFiles, backgroundFile = null, audioFile = null, deviceFrameFiles = null } = files;
+  const inputs = {
+    version: RENDER_CACHE_VERSION,
+    frame: await hashFile(frameFile),
+    devices: deviceFrameFiles ? await Promise.all(deviceFrameFiles.map(hashFile)) : undefined,
+    pages: await Promise.all(pageFiles.map(hashFile)),
+    background: backgroundFile ? await hashFile(backgroundFile) : null,
+    audio: audioFile ? await hashFile(audioFile) : null,
+    options: renderOptions
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * Looks up a cached render and marks it as recently used
  *
- * @throws {Error} If frame has no alpha channel or no transparent cutout is found
+ * @param {string} key - Key from {@link renderCacheKey}
+ * @returns {Promise<{path: string, format: string, size: number, pacing: Object|null}|null>} Cached output
+ *   and the pacing it was rendered with, or null on a miss
  */
-async function detectTransparentCutout(imagePath) {
+async function lookupRenderCache(key) {
+  if (!renderCache) {
+    renderCache = await readJsonFile(RENDER_CACHE_FILE, {});
+  }
+
+  const entry = renderCache[key];
+  if (!entry) return null;
+
+  const outputPath = path.join(RENDER_CACHE_DIR, entry.file);
   try {
-    const image = sharp(imagePath);
-    const { width, height, channels } = await image.metadata();
+    await fs.access(outputPath);
+  } catch {
+    // The file was removed behind our back; forget the entry
+    delete renderCache[key];
+    await writeJsonFile(RENDER_CACHE_FILE, renderCache);
+    return null;
+  }
 
-    if (channels < 4) {
-      throw new Error('Frame image must have an alpha channel (RGBA)');
-    }
+  entry.lastUsedAt = Date.now();
+  await writeJsonFile(RENDER_CACHE_FILE, renderCache);
+  return { path: outputPath, format: entry.format, size: entry.size, pacing: entry.pacing || null };
+}
+
+/**
+ * Copies a finished render into the cache, evicting least recently used entries to stay
+ * within {@link RENDER_CACHE_MAX_BYTES}
+ *
+ * @param {string} key - Key from {@link renderCacheKey}
+ * @param {string} outputPath - Encoded output to cache
+ * @param {string} format - Output format, one of {@link OUTPUT_FORMATS}
+ * @param {Object|null} [pacing=null] - Sections and timeline of an auto-paced render, returned with cache hits
+ * @returns {Promise<void>}
+ */
+async function storeRenderCache(key, outputPath, format, pacing = null) {
+  if (!renderCache) {
+    renderCache = await readJsonFile(RENDER_CACHE_FILE, {});
+  }
 
-    const { data } = await image.raw().toBuffer({ resolveWithObject: true });
+  const { size } = await fs.stat(outputPath);
+  if (size > RENDER_CACHE_MAX_BYTES) return;
+
+  const file = `${key}.${OUTPUT_FORMATS[format].extension}`;
+  await fs.mkdir(RENDER_CACHE_DIR, { recursive: true });
+  await fs.copyFile(outputPath, path.join(RENDER_CACHE_DIR, file));
+  renderCache[key] = { file, format, size, createdAt: Date.now(), lastUsedAt: Date.now() };
+  if (pacing) renderCache[key].pacing = pacing;
+
+  const byAge = Object.entries(renderCache).sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt);
+  let total = byAge.reduce((sum, [, entry]) => sum + entry.size, 0);
+  for (const [oldKey, entry] of byAge) {
+    if (total <= RENDER_CACHE_MAX_BYTES) break;
+    if (oldKey === key) continue;
+    delete renderCache[oldKey];
+    total -= entry.size;
+    await fs.unlink(path.join(RENDER_CACHE_DIR, entry.file)).catch(() => {});
+    console.log(`🗑️ Evicted cached render ${oldKey.slice(0, 12)}… (${Math.round(entry.size / 1024)} KB)`);
+  }
 
-    /**
-     * Checks if a pixel is fully transparent
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @returns {boolean}
-     */
-    const isTransparent = (x, y) => {
-      const pixelIndex = (y * width + x) * channels;
-      return data[pixelIndex + 3] === 0; // Only fully transparent pixels (alpha = 0)
-    };
+  await writeJsonFile(RENDER_CACHE_FILE, renderCache);
+}
 
-    // First, find the bounding box of the transparent area
-    // This gives us the outer bounds of all transparent pixels
-    let minX = width, maxX = -1, minY = height, maxY = -1;
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        if (isTransparent(x, y)) {
-          minX = Math.min(minX, x);
-          maxX = Math.max(maxX, x);
-          minY = Math.min(minY, y);
-          maxY = Math.max(maxY, y);
-        }
-      }
-    }
+/**
+ * Multer middleware for the render inputs shared by `/render` and `/jobs`
+ */
+const renderUpload = upload.fields([
+  { name: 'frame', maxCount: MAX_DEVICES },
+  { name: 'page', maxCount: MAX_PAGES },
+  { name: 'backgroundImage', maxCount: 1 },
+  { name: 'audio', maxCount: 1 }
+]);
 
-    if (maxX === -1) {
-      return { x: 0, y: 0, width: 0, height: 0 }; // No transparent area found
-    }
+/**
+ * Resolves the frame and page paths from a multipart upload
+ *
+ * @param {Object} files - `req.files` populated by {@link renderUpload}
+ * @param {Object} body - Multipart form fields; with `frameId` and no uploaded frame, `frameFile` is null
+ *   and must be resolved with {@link resolveFrameFile}
+ * @returns {{frameFile: string|null, extraFrameFiles: string[], pageFiles: string[], backgroundFile: string|null,
+ *   audioFile: string|null, uploadedFiles: Array<{path: string, type: string}>}} Paths to render with (pages
+ *   in upload order; frames after the first are for multi-device renders) and the uploaded files that must
+ *   be cleaned up afterwards
+ */
+function collectUploads(files, body) {
+  const uploadedFiles = [];
+  let frameFile;
+
+  if (files['frame'] && files['frame'][0]) {
+    frameFile = files['frame'][0].path;
+    uploadedFiles.push({ path: frameFile, type: 'frame' });
+  } else if (body.frameId) {
+    frameFile = null;
+  } else {
+    frameFile = path.join(__dirname, DEFAULT_FRAME);
+    console.log(`No frame provided, using default ${DEFAULT_FRAME}`);
+  }
+
+  const extraFrameFiles = (files['frame'] || []).slice(1).map(file => file.path);
+  for (const extraFrameFile of extraFrameFiles) {
+    uploadedFiles.push({ path: extraFrameFile, type: 'frame' });
+  }
 
-    // Find the largest rectangle that fits within the rounded corner transparent area
-    // We'll use a more sophisticated approach to avoid rounded corners
+  const pageFiles = files['page'].map(file => file.path);
+  for (const pageFile of pageFiles) {
+    uploadedFiles.push({ path: pageFile, type: 'page' });
+  }
+
+  const backgroundFile = files['backgroundImage'] ? files['backgroundImage'][0].path : null;
+  if (backgroundFile) {
+    uploadedFiles.push({ path: backgroundFile, type: 'background' });
+  }
+
+  const audioFile = files['audio'] ? files['audio'][0].path : null;
+  if (audioFile) {
+    uploadedFiles.push({ path: audioFile, type: 'audio' });
+  }
+
+  return { frameFile, extraFrameFiles, pageFiles, backgroundFile, audioFile, uploadedFiles };
+}
 
-    const boundingWidth = maxX - minX + 1;
-    const boundingHeight = maxY - minY + 1;
 
-    console.log(`Fully transparent area bounding box: ${boundingWidth}x${boundingHeight} at (${minX}, ${minY})`);
+/**
+ * Server-wide render admission: at most MAX_CONCURRENT_RENDERS renders (including previews) run at
+ * once, up to MAX_QUEUED_RENDERS wait in FIFO order, and the rest are turned away with 429
+ */
+const renderQueue = {
+  active: 0,
+  waiting: [],
+  averageSeconds: 30 // Moving average of render time, used for Retry-After
+};
 
-    // Check if this is a rectangular frame by testing if all corners of the bounding box are transparent
-    const corners = [
-      [minX, minY], [maxX, minY], [minX, maxY], [maxX, maxY]
-    ];
+/**
+ * Claims a render slot, or a place in the queue for one
+ *
+ * Call `release()` exactly when the render finishes or is abandoned; it is safe to call more than
+ * once. Releasing a ticket that is still waiting removes it from the queue and resolves `ready`
+ * with false.
+ *
+ * @param {string} label - Job identifier used in log messages
+ * @returns {{ready: Promise<boolean>, position: function(): number, release: function(): void}} Ticket;
+ *   `ready` resolves with true once the render may start, `position()` is the 1-based queue position
+ *   (0 once running)
+ * @throws {RenderError} 429 with `retryAfter` seconds if the queue is full
+ */
+function requestRenderSlot(label) {
+  if (renderQueue.active >= MAX_CONCURRENT_RENDERS && renderQueue.waiting.length >= MAX_QUEUED_RENDERS) {
+    const retryAfter = Math.max(1, Math.ceil(renderQueue.averageSeconds / MAX_CONCURRENT_RENDERS));
+    throw new RenderError('The server is busy and the render queue is full. Try again later.', 429, { retryAfter });
+  }
 
-    let isRectangularFrame = true;
-    for (const [x, y] of corners) {
-      if (!isTransparent(x, y)) {
-        isRectangularFrame = false;
-        break;
+  let settle;
+  let state = 'waiting';
+  let startedAt = null;
+  const ticket = {
+    ready: new Promise(resolve => {
+      settle = resolve;
+    }),
+    position: () => renderQueue.waiting.indexOf(ticket) + 1,
+    start() {
+      state = 'running';
+      startedAt = Date.now();
+      renderQueue.active++;
+      settle(true);
+    },
+    release() {
+      if (state === 'waiting') {
+        renderQueue.waiting.splice(renderQueue.waiting.indexOf(ticket), 1);
+        settle(false);
+      } else if (state === 'running') {
+        renderQueue.active--;
+        renderQueue.averageSeconds = renderQueue.averageSeconds * 0.8 + (Date.now() - startedAt) / 1000 * 0.2;
+        const next = renderQueue.waiting.shift();
+        if (next) next.start();
       }
+      state = 'released';
     }
+  };
+
+  if (renderQueue.active < MAX_CONCURRENT_RENDERS) {
+    ticket.start();
+  } else {
+    renderQueue.waiting.push(ticket);
+    console.log(`⏳ ${label} queued at position ${renderQueue.waiting.length} (${renderQueue.active} renders running)`);
+  }
+  return ticket;
+}
 
-    console.log(`Frame type: ${isRectangularFrame ? 'RECTANGULAR' : 'ROUNDED CORNERS'}`);
+// Configured API keys by SHA-256 of the key, loaded on first use; empty when authentication is off
+let apiKeys = null;
 
-    if (isRectangularFrame) {
-      // For rectangular frames, we can use the full bounding box
-      // Ensure dimensions are even numbers for H.264 compatibility
-      const evenWidth = boundingWidth % 2 === 0 ? boundingWidth : boundingWidth - 1;
-      const evenHeight = boundingHeight % 2 === 0 ? boundingHeight : boundingHeight - 1;
+/**
+ * Hashes an API key, so keys are looked up without comparing secrets character by character
+ *
+ * @param {string} key - API key as sent by the client
+ * @returns {string} Hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
 
-      console.log(`Using full bounding box for rectangular frame: ${evenWidth}x${evenHeight} at (${minX}, ${minY})`);
+/**
+ * Loads the API keys from the `API_KEYS` environment variable and {@link API_KEYS_FILE}
+ *
+ * `API_KEYS` is a comma-separated list of `name:key` or `name:key:admin` entries. The file holds a
+ * JSON array of `{name, key, admin, disabled, rateLimit, dailyRenderSeconds}` objects; limits default
+ * to `API_RATE_LIMIT` requests per minute and `API_DAILY_RENDER_SECONDS` seconds of output per day.
+ * With no keys configured at all, authentication is off and the server stays open.
+ *
+ * @returns {Promise<Map<string, Object>>} Key records by {@link hashApiKey}
+ * @throws {Error} If an entry is malformed or two keys share a name
+ */
+async function loadApiKeys() {
+  if (apiKeys) return apiKeys;
 
-      return {
-        x: minX,
-        y: minY,
-        width: evenWidth,
-        height: evenHeight
-      };
+  const entries = (process.env.API_KEYS || '').split(',').filter(item => item.trim()).map(item => {
+    const [name, key, role] = item.trim().split(':');
+    if (!name || !key || (role && role !== 'admin')) {
+      throw new Error(`Invalid API_KEYS entry "${name}". Use name:key or name:key:admin`);
     }
+    return { name, key, admin: role === 'admin' };
+  });
 
-    // For rounded corner frames, use the conservative approach
-    console.log('Using conservative approach for rounded corner frame...');
+  const fileEntries = await readJsonFile(API_KEYS_FILE, []);
+  if (!Array.isArray(fileEntries)) {
+    throw new Error(`${API_KEYS_FILE} must contain a JSON array of keys`);
+  }
+  entries.push(...fileEntries);
 
-    // Helper function to check if a rectangle is fully within transparent area
-    const isRectangleValid = (x, y, w, h) => {
-      // For rounded corners, we need to check the entire perimeter, not just sample points
-      // Check top and bottom edges completely
-      for (let i = 0; i < w; i++) {
-        if (!isTransparent(x + i, y) || !isTransparent(x + i, y + h - 1)) {
-          return false;
-        }
-      }
+  const keys = new Map();
+  const names = new Set();
+  for (const entry of entries) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name || typeof entry.key !== 'string' || !entry.key) {
+      throw new Error('Every API key needs a non-empty name and key');
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate API key name "${entry.name}"`);
+    }
+    names.add(entry.name);
+
+    const dailyRenderSeconds = entry.dailyRenderSeconds === undefined
+      ? DEFAULT_DAILY_RENDER_SECONDS
+      : Number(entry.dailyRenderSeconds);
+    const requestsPerMinute = entry.rateLimit === undefined ? DEFAULT_RATE_LIMIT : Number(entry.rateLimit);
+    if (!Number.isFinite(dailyRenderSeconds) || dailyRenderSeconds < 0 ||
+      !Number.isInteger(requestsPerMinute) || requestsPerMinute < 1) {
+      throw new Error(`Invalid limits for API key "${entry.name}"`);
+    }
 
-      // Check left and right edges completely
-      for (let i = 0; i < h; i++) {
-        if (!isTransparent(x, y + i) || !isTransparent(x + w - 1, y + i)) {
-          return false;
-        }
-      }
+    keys.set(hashApiKey(entry.key), {
+      name: entry.name,
+      admin: Boolean(entry.admin),
+      disabled: Boolean(entry.disabled),
+      rateLimit: requestsPerMinute,
+      dailyRenderSeconds,
+      recentRequests: [], // Timestamps of rate-limited requests in the last minute
+      reservedSeconds: 0 // Output seconds of admitted renders that have not finished yet
+    });
+  }
 
-      return true;
-    };
+  apiKeys = keys;
+  return apiKeys;
+}
+
+/**
+ * Identifies the caller by API key before any route runs
+ *
+ * The key is read from an `X-API-Key` or `Authorization: Bearer` header, never from form fields,
+ * so unauthenticated uploads are refused before multer reads them. Authenticated requests carry
+ * the key record in `req.apiKey`.
+ *
+ * @returns {Object} 401 for a missing or unknown key, 403 for a disabled key
+ */
+async function authenticate(req, res, next) {
+  if (req.path === '/health') return next();
+
+  const keys = await loadApiKeys();
+  if (!keys.size) return next();
+
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const key = req.get('X-API-Key') || (bearer && bearer[1]);
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'API key required. Send it in an X-API-Key or Authorization: Bearer header.' });
+  }
 
-    // Start with a conservative estimate and systematically find the largest valid rectangle
-    let bestWidth = 0;
-    let bestHeight = 0;
-    let bestX = minX;
-    let bestY = minY;
+  const apiKey = keys.get(hashApiKey(key.trim()));
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (apiKey.disabled) {
+    return res.status(403).json({ error: `API key "${apiKey.name}" is disabled` });
+  }
 
-    const centerX = Math.floor((minX + maxX) / 2);
-    const centerY = Math.floor((minY + maxY) / 2);
+  req.apiKey = apiKey;
+  next();
+}
 
-    // Test different percentages of the bounding box, starting conservatively
-    const testPercentages = [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+/**
+ * Limits each key to its `rateLimit` upload requests in any sliding minute
+ *
+ * Mounted before the upload middleware of the routes that decode images, so polling job status
+ * and downloading results stay unmetered.
+ *
+ * @returns {Object} 429 with `Retry-After` once the limit is reached
+ */
+function rateLimit(req, res, next) {
+  const apiKey = req.apiKey;
+  if (!apiKey) return next();
 
-    for (const pct of testPercentages) {
-      const testWidth = Math.floor(boundingWidth * pct);
-      const testHeight = Math.floor(boundingHeight * pct);
-      const testX = centerX - Math.floor(testWidth / 2);
-      const testY = centerY - Math.floor(testHeight / 2);
+  const windowStart = Date.now() - 60000;
+  while (apiKey.recentRequests.length && apiKey.recentRequests[0] <= windowStart) {
+    apiKey.recentRequests.shift();
+  }
 
-      // Ensure the test rectangle is within bounds
-      if (testX >= minX && testY >= minY &&
-          testX + testWidth <= maxX + 1 && testY + testHeight <= maxY + 1) {
+  if (apiKey.recentRequests.length >= apiKey.rateLimit) {
+    const retryAfter = Math.max(1, Math.ceil((apiKey.recentRequests[0] - windowStart) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: `Rate limit exceeded: ${apiKey.rateLimit} requests per minute`,
+      limit: apiKey.rateLimit,
+      retryAfter
+    });
+  }
 
-        console.log(`Testing ${Math.round(pct * 100)}% of bounding box: ${testWidth}x${testHeight} at (${testX}, ${testY})`);
+  apiKey.recentRequests.push(Date.now());
+  next();
+}
 
-        if (isRectangleValid(testX, testY, testWidth, testHeight)) {
-          bestWidth = testWidth;
-          bestHeight = testHeight;
-          bestX = testX;
-          bestY = testY;
-          console.log(`✓ ${Math.round(pct * 100)}% rectangle is VALID`);
-        } else {
-          console.log(`✗ ${Math.round(pct * 100)}% rectangle is INVALID - stopping here`);
-          break; // Stop at the first invalid size
-        }
-      }
+// Per-key usage totals and daily history, loaded from USAGE_FILE on first use
+let usageLedger = null;
+
+/**
+ * Returns the usage ledger, loading it from disk on first use
+ *
+ * @returns {Promise<Object<string, {total: Object, days: Object<string, Object>}>>} Usage by key name
+ */
+async function loadUsageLedger() {
+  if (!usageLedger) {
+    usageLedger = await readJsonFile(USAGE_FILE, {});
+  }
+  return usageLedger;
+}
+
+/**
+ * Returns the current UTC day, the period daily quotas are counted in
+ *
+ * @returns {string} Date as `YYYY-MM-DD`
+ */
+function usageDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds of output video a key has left today, after renders still in flight
+ *
+ * @param {Object} apiKey - Key record from {@link loadApiKeys}
+ * @returns {Promise<number>} Remaining seconds, or Infinity without a quota
+ */
+async function remainingRenderSeconds(apiKey) {
+  if (!apiKey.dailyRenderSeconds) return Infinity;
+
+  const usage = (await loadUsageLedger())[apiKey.name];
+  const today = usage && usage.days[usageDay()];
+  const used = today ? today.outputSeconds : 0;
+  return Math.max(0, apiKey.dailyRenderSeconds - used - apiKey.reservedSeconds);
+}
+
+/**
+ * Builds the 429 error for an exhausted daily quota, retryable at the next UTC midnight
+ *
+ * @param {Object} apiKey - Key record from {@link loadApiKeys}
+ * @param {string} message - Client-facing error message
+ * @param {Object} details - Extra response fields
+ * @returns {RenderError}
+ */
+function quotaError(apiKey, message, details) {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return new RenderError(message, 429, {
+    quota: apiKey.dailyRenderSeconds,
+    ...details,
+    retryAfter: Math.max(1, Math.ceil((midnight - Date.now()) / 1000))
+  });
+}
+
+/**
+ * Refuses render uploads from keys that have used up today's quota
+ *
+ * Only the quota being exhausted can be judged before the upload is read; whether the requested
+ * duration fits is checked once the fields are parsed (see {@link meterRender}).
+ *
+ * @returns {Object} 429 with `Retry-After` until the quota resets
+ */
+async function requireRenderQuota(req, res, next) {
+  if (!req.apiKey || await remainingRenderSeconds(req.apiKey) > 0) return next();
+
+  const error = quotaError(req.apiKey, `Daily render quota of ${req.apiKey.dailyRenderSeconds}s used up`, {
+    remaining: 0
+  });
+  res.set('Retry-After', String(error.details.retryAfter));
+  res.status(429).json({ error: error.message, ...error.details });
+}
+
+/**
+ * Adds to a key's usage totals and today's entry, and persists the ledger; write errors are only logged
+ *
+ * @param {string} name - Key name, or `anonymous` while authentication is off
+ * @param {{renders?: number, previews?: number, cacheHits?: number, outputSeconds?: number,
+ *   cpuSeconds?: number}} counts - Amounts to add
+ * @returns {Promise<void>}
+ */
+async function recordUsage(name, counts) {
+  const ledger = await loadUsageLedger();
+  const usage = ledger[name] || (ledger[name] = { total: {}, days: {} });
+  const today = usageDay();
+  const day = usage.days[today] || (usage.days[today] = {});
+
+  for (const entry of [usage.total, day]) {
+    for (const field of ['renders', 'previews', 'cacheHits', 'outputSeconds', 'cpuSeconds']) {
+      entry[field] = Number(((entry[field] || 0) + (counts[field] || 0)).toFixed(3));
     }
+  }
 
-    // Ensure dimensions are even numbers for H.264 compatibility
-    const evenBestWidth = bestWidth % 2 === 0 ? bestWidth : bestWidth - 1;
-    const evenBestHeight = bestHeight % 2 === 0 ? bestHeight : bestHeight - 1;
+  // Daily entries are only needed for quotas and recent history
+  const oldest = new Date(Date.now() - USAGE_HISTORY_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const date of Object.keys(usage.days)) {
+    if (date < oldest) delete usage.days[date];
+  }
 
-    console.log(`Largest rectangle within rounded corners: ${evenBestWidth}x${evenBestHeight} at (${bestX}, ${bestY})`);
+  // Accounting must never fail the render it describes
+  await writeJsonFile(USAGE_FILE, ledger).catch((error) => {
+    console.warn(`⚠️ Could not record usage for ${name}: ${error.message}`);
+  });
+}
 
-    return {
-      x: bestX,
-      y: bestY,
-      width: evenBestWidth,
-      height: evenBestHeight
-    };
+/**
+ * CPU time used so far by this process
+ *
+ * @returns {number} CPU seconds
+ */
+function processCpuSeconds() {
+  const { user, system } = process.cpuUsage();
+  return (user + system) / 1e6;
+}
 
-  } catch (error) {
-    throw new Error(`Failed to detect transparent cutout: ${error.message}`);
+// Server-side CPU shares of the renders being metered, and when the process CPU time was last shared out
+const runningMeters = new Set();
+let cpuSharedAt = processCpuSeconds();
+
+/**
+ * Splits the process CPU time used since the last call equally between the renders running meanwhile
+ *
+ * Frames are composited on this process's thread pool, which the running renders share, so each
+ * is charged an equal part of it and no CPU second is charged twice.
+ */
+function shareProcessCpu() {
+  const now = processCpuSeconds();
+  for (const share of runningMeters) {
+    share.cpuSeconds += (now - cpuSharedAt) / runningMeters.size;
+  }
+  cpuSharedAt = now;
+}
+
+/**
+ * Admits a render against the caller's daily quota and meters it
+ *
+ * The requested seconds are reserved until `finish()`, so concurrent requests cannot overrun the
+ * quota together. `begin()` starts charging the render its share of the server's CPU time once it
+ * leaves the queue, and `track(render)` adds the CPU time its FFmpeg processes report (see
+ * {@link RenderTask}). `finish(counts)` records the counts plus that CPU time under the key and drops
+ * the reservation. `finish` is safe to call more than once; only the first call counts.
+ *
+ * @param {Object|undefined} apiKey - `req.apiKey`, undefined while authentication is off
+ * @param {number} seconds - Output seconds to reserve, 0 for previews
+ * @returns {Promise<{begin: function(): void, track: function(RenderTask): void,
+ *   finish: function(Object=): Promise<void>}>} Meter
+ * @throws {RenderError} 429 with `retryAfter` if the render does not fit in today's remaining quota
+ */
+async function meterRender(apiKey, seconds) {
+  if (apiKey) {
+    const remaining = await remainingRenderSeconds(apiKey);
+    if (seconds > remaining) {
+      throw quotaError(apiKey, `A ${seconds}s render exceeds the ${Math.floor(remaining)}s left ` +
+        `of today's ${apiKey.dailyRenderSeconds}s render quota`, { remaining: Math.floor(remaining), requested: seconds });
+    }
+    apiKey.reservedSeconds += seconds;
   }
+
+  const share = { cpuSeconds: 0 };
+  let render = null;
+  let finished = false;
+  return {
+    begin() {
+      shareProcessCpu();
+      runningMeters.add(share);
+    },
+    track(task) {
+      render = task;
+    },
+    async finish(counts = {}) {
+      if (finished) return;
+      finished = true;
+      if (apiKey) apiKey.reservedSeconds -= seconds;
+      if (runningMeters.has(share)) {
+        shareProcessCpu();
+        runningMeters.delete(share);
+      }
+      const cpuSeconds = share.cpuSeconds + (render ? render.encoderCpuSeconds : 0);
+      await recordUsage(apiKey ? apiKey.name : 'anonymous', { ...counts, cpuSeconds });
+    }
+  };
 }
 
+/**
+ * Reports the sections and timeline of an auto-paced render in response headers, as JSON that the
+ * `sections` and `timeline` fields accept back
+ *
+ * @param {Object} res - Express response
+ * @param {{sections: Object[], timeline: Object[]}|null} pacing - From the render, or null for linear pacing
+ */
+function setPacingHeaders(res, pacing) {
+  if (!pacing) return;
+  res.setHeader('X-Scroll-Sections', JSON.stringify(pacing.sections));
+  res.setHeader('X-Scroll-Timeline', JSON.stringify(pacing.timeline));
+}
 
 /**
  * Main render endpoint - Creates scrolling animation videos
@@ -339,33 +820,87 @@ async function detectTransparentCutout(imagePath) {
  * a smooth scrolling animation video using FFmpeg.
  *
  * @route POST /render
- * @param {File} page - Required. Long screenshot image to scroll through
+ * @param {File} page - Required. Long screenshot image to scroll through; repeat the field for up to
+ *   MAX_PAGES pages, which are combined in upload order
  * @param {File} [frame] - Optional. PNG frame with transparent cutout (defaults to defaultFrame.png)
+ * @param {string} [frameId] - Optional. Id of a library frame (see `POST /frames`) to use instead of an upload
  * @param {number} [duration=8] - Animation duration in seconds
  * @param {number} [fps=30] - Frames per second for the output video
+ * @param {string} [timeline] - JSON array of scroll keyframes (see {@link parseTimeline}); defaults to a linear
+ *   end-to-end scroll in `direction`. When given without `duration`, the video lasts as long as the timeline
+ * @param {boolean} [loop=false] - Repeat the timeline until the video duration is filled
+ * @param {string} [format=mp4] - Output format: mp4 (H.264), webm (VP9), gif or webp (animated)
+ * @param {number} [crf] - Constant rate factor for mp4 (0-51, default 23) or webm (0-63, default 32)
+ * @param {string} [preset] - Encoder preset: x264 presets for mp4, realtime/good/best for webm
+ * @param {string} [maxBitrate] - Bitrate cap for mp4/webm, e.g. `4M`
+ * @param {string} [targetSize] - Approximate output size for mp4/webm, e.g. `8MB`; replaces CRF
+ * @param {number} [quality=80] - Animated WebP quality (0-100)
+ * @param {string} [pageMode=stack] - Multiple pages: `stack` into one scroll or play in `sequence`
+ * @param {string} [transition=cut] - Sequence transition: cut, crossfade or slide
+ * @param {number} [transitionDuration=0.5] - Sequence transition length in seconds
+ * @param {string} [pageDuration] - Sequence seconds per page (one value or a comma-separated list)
+ * @param {string} [cutoutAspectRatio] - Constrain the detected cutout to an aspect ratio, e.g. `9:19.5`
+ * @param {string} [screenFit=cutout] - `cutout` places the page in the largest transparent rectangle;
+ *   `mask` fills the whole screen shape edge to edge, clipped to the frame's transparency;
+ *   `perspective` also warps the page into the screen's fitted corners, for tilted or 3D mockups
+ * @param {string} [screenCorners] - JSON `[[x, y], ...]` screen corners (top-left, top-right,
+ *   bottom-right, bottom-left) to warp the page into instead of detecting them
+ * @param {string} [direction=down] - Scroll direction: down, up, right or left. Horizontal scrolls fit
+ *   the page to the cutout height and place multiple pages side by side
+ * @param {number} [screenX] - Manual cutout left edge; with `screenY`, `screenWidth` and `screenHeight`
+ *   it replaces auto-detection
+ * @param {number} [screenY] - Manual cutout top edge
+ * @param {number} [screenWidth] - Manual cutout width
+ * @param {number} [screenHeight] - Manual cutout height
+ * @param {string} [keyColor] - Hex colour of an opaque screen to key out before detection, e.g. `#00ff00`
+ * @param {number} [keyTolerance=15] - Colour distance keyed out, in percent
+ * @param {string} [canvas] - Output size: reels, shorts, story (1080x1920), portrait (1080x1350),
+ *   square (1080x1080), landscape (1920x1080) or `WxH`; defaults to the frame size
+ * @param {string} [background=#ffffff] - Canvas background: hex colour, `transparent` or
+ *   `linear-gradient([angle,] #colour, #colour, ...)`
+ * @param {File} [backgroundImage] - Optional. Image covering the canvas behind the device
+ * @param {string} [padding] - Space around the device in pixels or `N%` (default `6%` with a canvas)
+ * @param {string} [position=center] - Device position on the canvas: center, top, bottom, left or right
+ * @param {string} [shadow] - `true` for a default drop shadow, or JSON `{blur, offsetX, offsetY, color, opacity}`
+ * @param {File} [audio] - Optional. mp3, aac or wav track for mp4/webm output, looped or trimmed to the video
+ * @param {number} [audioVolume=1] - Audio volume multiplier (0-4)
+ * @param {number} [audioFadeIn=0] - Audio fade-in length in seconds
+ * @param {number} [audioFadeOut=0] - Audio fade-out length in seconds, ending with the video
+ * @param {string} [overlays] - JSON array of timed captions (output pixels) and rect/arrow callouts pinned
+ *   to page pixels, each with `start`, `end` and `fade` (see {@link parseOverlays})
+ * @param {string} [cache=use] - `bypass` to render afresh without reading or storing the render cache.
+ *   Cached results carry an `ETag`, and a matching `If-None-Match` header is answered with 304
+ * @param {string} [devices] - JSON array of devices to show side by side, with one `frame` uploaded per device
+ *   (see {@link parseDeviceOptions}); `deviceLayout`, `deviceGap` and `deviceColumns` arrange them
+ * @param {string} [pacing=linear] - `auto` pauses on each page section (see {@link parsePacingOptions}), with
+ *   `sectionHold` seconds per pause and optional `sections` replacing detection
+ * @param {string} [stickyTop] - Height of a top bar to keep pinned while the rest scrolls, in page pixels or `auto`
+ * @param {string} [stickyBottom] - Height of a bottom bar to keep pinned, in page pixels or `auto`
  *
- * @returns {File} MP4 video file with scrolling animation
- * @returns {Object} Error object if processing fails
+ * @returns {File} Video or animated image in the requested format with scrolling animation; auto-paced renders
+ *   carry `X-Scroll-Sections` and `X-Scroll-Timeline` headers (see {@link setPacingHeaders})
+ * @returns {Object} Error object if processing fails; 401/403 without a valid API key (see {@link authenticate});
+ *   429 with `Retry-After` if the key's rate limit or daily quota is reached or the render queue is full
  *
  * Process:
- * 1. Validate input files and parameters
+ * 1. Validate input files and parameters, then wait for a render slot (see {@link requestRenderSlot})
  * 2. Auto-detect screen cutout dimensions from frame
- * 3. Resize page image to fit detected screen width
+ * 3. Resize page image to fit detected screen width (height for horizontal scrolls)
  * 4. Generate individual animation frames
  * 5. Composite page content onto frame for each frame
- * 6. Use FFmpeg to create final MP4 video
+ * 6. Use FFmpeg to encode the requested output format
  * 7. Clean up temporary files after response
  */
-app.post('/render', upload.fields([
-  { name: 'frame', maxCount: 1 },
-  { name: 'page', maxCount: 1 }
-]), async(req, res) => {
+app.post('/render', rateLimit, requireRenderQuota, renderUpload, async(req, res) => {
   await ensureTmp();
 
   // Declare variables outside try block for error handling access
-  let timestamp, sessionDir, frameFile, pageFile;
+  let timestamp, sessionDir;
   let cleanupData;
   let isRequestCancelled = false;
+  let renderTicket = null;
+  let render = null;
+  let meter = null;
 
   try {
     // Basic validation - only page is required, frame is optional
@@ -377,32 +912,25 @@ app.post('/render', upload.fields([
     timestamp = Date.now();
     sessionDir = path.join(tmpRoot, `job_${timestamp}`);
 
+    // Use provided frame, library frame or default frame
+    const { frameFile: uploadedFrameFile, extraFrameFiles, pageFiles, backgroundFile, audioFile, uploadedFiles } =
+      collectUploads(req.files, req.body);
+
     // Set up cleanup data immediately for early cancellation handling
     cleanupData = {
       sessionDir,
       timestamp,
-      uploadedFiles: []
+      uploadedFiles
     };
 
-    if (req.files['frame'] && req.files['frame'][0]) {
-      cleanupData.uploadedFiles.push({
-        path: req.files['frame'][0].path,
-        type: 'frame'
-      });
-    }
-
-    if (req.files['page'] && req.files['page'][0]) {
-      cleanupData.uploadedFiles.push({
-        path: req.files['page'][0].path,
-        type: 'page'
-      });
-    }
-
     // Set up early cleanup handlers for client disconnection
     res.on('close', async() => {
       if (!res.headersSent && !isRequestCancelled) {
         isRequestCancelled = true;
+        if (render) render.cancel();
         console.warn(`⚠️ Client disconnected during processing for job_${timestamp}`);
+        // Give up a queue place the client no longer waits for; a running render stops on its own
+        if (renderTicket && renderTicket.position() > 0) renderTicket.release();
         await performJobCleanup(cleanupData, 'client-disconnect-early');
       }
     });
@@ -411,7 +939,9 @@ app.post('/render', upload.fields([
     const cleanupTimeout = setTimeout(async() => {
       if (!res.headersSent && !isRequestCancelled) {
         isRequestCancelled = true;
+        if (render) render.cancel();
         console.warn(`⚠️ Request timeout - cleaning up job_${timestamp}`);
+        if (renderTicket && renderTicket.position() > 0) renderTicket.release();
         await performJobCleanup(cleanupData, 'timeout');
       }
     }, 300000); // 5 minutes timeout
@@ -424,203 +954,77 @@ app.post('/render', upload.fields([
     res.on('finish', clearTimeoutOnComplete);
     res.on('error', clearTimeoutOnComplete);
 
-    // Use provided frame or default frame
-    if (req.files['frame'] && req.files['frame'][0]) {
-      frameFile = req.files['frame'][0].path;
-    } else {
-      frameFile = path.join(__dirname, DEFAULT_FRAME);
-      console.log(`No frame provided, using default ${DEFAULT_FRAME}`);
-    }
-
-    pageFile = req.files['page'][0].path;
-
     // Parse and validate parameters
-    const duration = Math.max(1, Number(req.body.duration) || 8);
-    const fps = Math.max(12, Number(req.body.fps) || 30);
-    const outputName = `output_${timestamp}.mp4`;
-
-    await fs.mkdir(sessionDir, { recursive: true });
-
-    // Load page image metadata with validation
-    const pageMeta = await sharp(pageFile).metadata();
-    let pageHeight = pageMeta.height;
-
-    // Validate image dimensions for memory safety
-    if (pageMeta.width > MAX_DIMENSION || pageMeta.height > MAX_DIMENSION) {
-      return res.status(400).json({
-        error: `Image dimensions too large. Maximum allowed: ${MAX_DIMENSION}x${MAX_DIMENSION}px`,
-        current: `${pageMeta.width}x${pageMeta.height}px`
-      });
-    }
-
-    // Always auto-detect screen cutout from the frame
-    console.log('Auto-detecting transparent cutout in frame image...');
-    let screenWidth, screenHeight, frameOffsetX, frameOffsetY;
-
-    try {
-      const cutout = await detectTransparentCutout(frameFile);
-      screenWidth = cutout.width;
-      screenHeight = cutout.height;
-      frameOffsetX = cutout.x;
-      frameOffsetY = cutout.y;
-
-      console.log(`Detected cutout: ${screenWidth}x${screenHeight} at offset (${frameOffsetX}, ${frameOffsetY})`);
-
-      if (screenWidth === 0 || screenHeight === 0) {
-        return res.status(400).json({
-          error: 'Could not detect a transparent cutout in the frame image.'
-        });
-      }
-
-      // Check if request was cancelled during frame processing
-      if (isRequestCancelled) {
-        console.log(`⚠️ Request cancelled during frame processing for job_${timestamp}`);
+    const renderOptions = parseRenderOptions(req.body, pageFiles.length);
+    const frameFiles = [await resolveFrameFile(uploadedFrameFile, req.body.frameId), ...extraFrameFiles];
+    const deviceFrameFiles = await resolveDeviceFrames(renderOptions.devices, frameFiles,
+      SERVER_RENDER_OPTIONS.resolveFrameId);
+    const outputFormat = OUTPUT_FORMATS[renderOptions.encoding.format];
+    const outputName = `output_${timestamp}.${outputFormat.extension}`;
+
+    // Identical inputs and settings are answered from the render cache, without queueing
+    const cacheKey = usesRenderCache(req.body)
+      ? await renderCacheKey({ frameFile: frameFiles[0], pageFiles, backgroundFile, audioFile, deviceFrameFiles },
+        renderOptions)
+      : null;
+    const cached = cacheKey ? await lookupRenderCache(cacheKey) : null;
+
+    let outputPath, pacing;
+    if (cached) {
+      console.log(`⚡ Render cache hit for job_${timestamp}`);
+      outputPath = cached.path;
+      pacing = cached.pacing;
+      await recordUsage(req.apiKey ? req.apiKey.name : 'anonymous', { cacheHits: 1 });
+    } else {
+      // Wait for a render slot; the request stays open while it is queued
+      meter = await meterRender(req.apiKey, renderOptions.duration);
+      renderTicket = requestRenderSlot(`job_${timestamp}`);
+      if (!await renderTicket.ready || isRequestCancelled) {
+        console.log(`⚠️ Request cancelled while queued for job_${timestamp}`);
         return;
       }
 
-      // Resize page image to match cutout dimensions while preserving aspect ratio
-      const originalPageMeta = await sharp(pageFile).metadata();
-      const { width: originalPageWidth, height: originalPageHeight } = originalPageMeta;
-      const originalAspectRatio = originalPageWidth / originalPageHeight;
-      const cutoutAspectRatio = screenWidth / screenHeight;
-
-      console.log(`Original page: ${originalPageWidth}x${originalPageHeight} (aspect ratio: ${originalAspectRatio.toFixed(4)})`);
-      console.log(`Detected cutout: ${screenWidth}x${screenHeight} (aspect ratio: ${cutoutAspectRatio.toFixed(4)})`);
-
-      if (screenWidth !== originalPageWidth) {
-        // Resize page to match cutout width while preserving aspect ratio
-        const newPageHeight = Math.round(screenWidth / originalAspectRatio);
-
-        console.log(`Resizing page to match cutout width ${screenWidth} while preserving aspect ratio`);
-        console.log(`New page dimensions: ${screenWidth}x${newPageHeight} (aspect ratio: ${(screenWidth / newPageHeight).toFixed(4)})`);
-
-        // Create resized page with optimized settings for performance
-        const resizedPagePath = path.join(sessionDir, 'resized_page.png');
-        await sharp(pageFile)
-          .resize(screenWidth, newPageHeight, {
-            fit: 'fill',
-            kernel: sharp.kernel.lanczos3, // High-quality resampling
-            withoutEnlargement: false,     // Allow enlargement if needed
-            fastShrinkOnLoad: true         // Performance optimization
-          })
-          .png({
-            compressionLevel: 6,  // Balance between speed and size
-            quality: 95,          // High quality but faster than 100
-            palette: false,       // Disable palette for better quality
-            progressive: false    // Faster encoding
-          })
-          .toFile(resizedPagePath);
-
-        // Update page file reference and metadata
-        pageFile = resizedPagePath;
-        pageMeta.width = screenWidth;
-        pageMeta.height = newPageHeight;
-        pageHeight = newPageHeight;
-
-        console.log(`Page successfully resized to ${screenWidth}x${newPageHeight}`);
-      }
-    } catch (error) {
-      return res.status(400).json({
-        error: `Auto-detection failed: ${error.message}`
-      });
-    }
-
-    // Calculate animation parameters
-    const totalFrames = Math.round(duration * fps);
-    const maxScroll = Math.max(0, pageHeight - screenHeight); // Maximum scroll distance
-    const startY = 0; // Start at top of page
-    const endY = maxScroll; // End at bottom of visible area
-    const step = totalFrames > 1 ? (endY - startY) / (totalFrames - 1) : 0; // Pixels per frame
-
-    // Preload frame image and metadata for better performance
-    const frameBuffer = await fs.readFile(frameFile);
-    const frameSharp = sharp(frameBuffer);
-    const frameMeta = await frameSharp.metadata();
-    const { width: canvasWidth, height: canvasHeight } = frameMeta;
-
-    // Generate animation frames with batch processing for better performance
-
-    for (let batchStart = 0; batchStart < totalFrames; batchStart += BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, totalFrames);
-      const batchPromises = [];
-
-      for (let i = batchStart; i < batchEnd; i++) {
-        const framePromise = (async() => {
-          const y = Math.round(startY + step * i);
-
-          // Extract the visible portion of the page with optimized settings
-          const cropped = await sharp(pageFile)
-            .extract({
-              left: 0,
-              top: Math.max(0, Math.min(y, pageHeight - screenHeight)),
-              width: screenWidth,
-              height: screenHeight
-            })
-            .png({ compressionLevel: 6, quality: 95 }) // Optimize PNG settings
-            .toBuffer();
-
-          // Composite the cropped page with the frame using optimized settings
-          await sharp({
-            create: {
-              width: canvasWidth,
-              height: canvasHeight,
-              channels: 4,
-              background: { r: 0, g: 0, b: 0, alpha: 0 }
-            }
-          })
-            .composite([
-              { input: cropped, left: frameOffsetX, top: frameOffsetY },
-              { input: frameBuffer, left: 0, top: 0 }
-            ])
-            .png({
-              compressionLevel: 6, // Balance between speed and file size
-              quality: 95,         // High quality for video frames
-              progressive: false   // Faster encoding for temporary files
-            })
-            .toFile(path.join(sessionDir, `frame_${String(i + 1).padStart(5, '0')}.png`));
-        })();
-
-        batchPromises.push(framePromise);
+      meter.begin();
+      try {
+        render = renderScrollVideo({
+          ...req.body,
+          ...SERVER_RENDER_OPTIONS,
+          page: pageFiles,
+          frame: frameFiles,
+          backgroundImage: backgroundFile,
+          audio: audioFile,
+          workDir: sessionDir,
+          output: path.join(sessionDir, outputName),
+          jobLabel: `job_${timestamp}`
+        });
+        meter.track(render);
+        if (isRequestCancelled) render.cancel();
+        outputPath = await render;
+        pacing = render.pacing;
+      } finally {
+        renderTicket.release();
       }
+      await meter.finish(outputPath ? { renders: 1, outputSeconds: renderOptions.duration } : {});
 
-      // Wait for current batch to complete before starting next batch
-      await Promise.all(batchPromises);
-      console.log(`Generated frames ${batchStart + 1}-${batchEnd} of ${totalFrames}`);
-
-      // Check if request was cancelled during frame generation
-      if (isRequestCancelled) {
-        console.log(`⚠️ Request cancelled during frame generation for job_${timestamp}`);
+      // Check if request was cancelled before the video was delivered
+      if (!outputPath || isRequestCancelled) {
+        console.log(`⚠️ Request cancelled before video delivery for job_${timestamp}`);
         return;
       }
-    }
 
-    // Check if request was cancelled before video generation
-    if (isRequestCancelled) {
-      console.log(`⚠️ Request cancelled before video generation for job_${timestamp}`);
-      return;
+      if (cacheKey) {
+        await storeRenderCache(cacheKey, outputPath, renderOptions.encoding.format, pacing).catch((error) => {
+          console.warn(`⚠️ Could not cache render for job_${timestamp}: ${error.message}`);
+        });
+      }
     }
 
-    // Generate video using FFmpeg
-    const fpsArg = String(fps);
-    const infilePattern = path.join(sessionDir, 'frame_%05d.png');
-    const outputPath = path.join(sessionDir, outputName);
-
-    const ffArgs = [
-      '-y',                    // Overwrite output file
-      '-framerate', fpsArg,    // Input framerate
-      '-i', infilePattern,     // Input pattern
-      '-c:v', 'libx264',       // Video codec
-      '-pix_fmt', 'yuv420p',   // Pixel format for compatibility
-      '-movflags', '+faststart', // Optimize for web streaming
-      '-r', fpsArg,            // Output framerate
-      outputPath
-    ];
-
-    await runFFmpeg(ffArgs);
-
     // Stream the result back to client
-    res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Content-Disposition', `attachment; filename="scroll_${Date.now()}.mp4"`);
+    if (cacheKey) res.setHeader('ETag', `"${cacheKey}"`);
+    res.setHeader('X-Render-Cache', cached ? 'hit' : cacheKey ? 'miss' : 'bypass');
+    setPacingHeaders(res, pacing);
+    res.setHeader('Content-Type', outputFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="scroll_${Date.now()}.${outputFormat.extension}"`);
 
     // Cleanup only after successful video delivery
     res.on('finish', async() => {
@@ -646,34 +1050,31 @@ app.post('/render', upload.fields([
       }
     });
 
+    // The client already has this exact render (req.fresh only covers GET and HEAD)
+    if (cacheKey && matchesETag(req.get('If-None-Match'), `"${cacheKey}"`)) {
+      return res.status(304).end();
+    }
+
     // Send file after setting up cleanup handlers
     const outStream = await fs.readFile(outputPath);
     res.send(outStream);
 
   } catch (err) {
-    console.error(`❌ Render error for job_${timestamp}:`, err);
-
     // Create cleanup data for error case
-    const errorCleanupData = {
+    const errorCleanupData = cleanupData || {
       sessionDir: sessionDir || path.join(tmpRoot, `job_${timestamp}`),
       timestamp,
       uploadedFiles: []
     };
 
-    // Add uploaded files to cleanup data
-    if (req.files['frame'] && req.files['frame'][0]) {
-      errorCleanupData.uploadedFiles.push({
-        path: req.files['frame'][0].path,
-        type: 'frame'
-      });
+    if (err instanceof RenderError) {
+      console.warn(`⚠️ Rejected job_${timestamp}: ${err.message}`);
+      await performJobCleanup(errorCleanupData, 'invalid-input');
+      if (err.details.retryAfter) res.set('Retry-After', String(err.details.retryAfter));
+      return res.status(err.status).json({ error: err.message, ...err.details });
     }
 
-    if (req.files['page'] && req.files['page'][0]) {
-      errorCleanupData.uploadedFiles.push({
-        path: req.files['page'][0].path,
-        type: 'page'
-      });
-    }
+    console.error(`❌ Render error for job_${timestamp}:`, err);
 
     // Perform comprehensive error cleanup
     await performJobCleanup(errorCleanupData, 'render-error');
@@ -684,51 +1085,1454 @@ app.post('/render', upload.fields([
       jobId: `job_${timestamp}`,
       message: 'All temporary files have been cleaned up'
     });
+  } finally {
+    // Failed, rejected and abandoned renders give back their reserved quota and only record CPU time
+    if (meter) await meter.finish();
   }
 });
 
-// Global error handlers for comprehensive cleanup
-process.on('uncaughtException', async(error) => {
-  console.error('❌ Uncaught Exception:', error);
-  console.log('🧹 Performing emergency cleanup...');
+// Contact sheet layout for `/preview`
+const MAX_SHEET_FRAMES = 36;
+const SHEET_MAX_WIDTH = 1800; // Contact sheets are scaled down to fit this width
+const SHEET_GAP = 16;
 
-  try {
-    // Clean up any remaining job directories
-    const entries = await fs.readdir(tmpRoot).catch(() => []);
-    for (const entry of entries) {
-      if (entry.startsWith('job_')) {
-        const jobPath = path.join(tmpRoot, entry);
-        console.log(`Emergency cleanup: ${entry}`);
-        await rimraf(jobPath).catch(() => {});
-      }
+/**
+ * Picks the frames a preview shows
+ *
+ * @param {Object} body - Request fields: `t` (seconds), `progress` (0-1) or `sheet` (frame count)
+ * @param {number} duration - Video duration in seconds
+ * @param {number} fps - Frames per second
+ * @returns {{frames: number[], sheet: boolean}} Frame indices in time order, and whether to lay
+ *   them out as a contact sheet
+ * @throws {Error} If the fields conflict or are out of range
+ */
+function parsePreviewOptions(body, duration, fps) {
+  const given = ['t', 'progress', 'sheet'].filter(name => body[name] !== undefined && body[name] !== '');
+  if (given.length > 1) {
+    throw new Error(`Use only one of t, progress or sheet (got ${given.join(', ')})`);
+  }
+  const lastFrame = Math.max(0, Math.round(duration * fps) - 1);
+
+  if (given[0] === 'sheet') {
+    const count = Number(body.sheet);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SHEET_FRAMES) {
+      throw new Error(`sheet must be a whole number of frames between 1 and ${MAX_SHEET_FRAMES}`);
     }
+    const frames = Array.from({ length: count }, (_, index) =>
+      (count > 1 ? Math.round(index * lastFrame / (count - 1)) : 0));
+    return { frames, sheet: true };
+  }
 
-    // Clean up uploads directory
-    const uploadsDir = path.join(tmpRoot, 'uploads');
-    const uploadEntries = await fs.readdir(uploadsDir).catch(() => []);
-    for (const entry of uploadEntries) {
-      const filePath = path.join(uploadsDir, entry);
-      console.log(`Emergency cleanup upload: ${entry}`);
-      await fs.unlink(filePath).catch(() => {});
+  if (given[0] === 'progress') {
+    const progress = Number(body.progress);
+    if (!Number.isFinite(progress) || progress < 0 || progress > 1) {
+      throw new Error('progress must be between 0 and 1');
     }
+    return { frames: [Math.round(progress * lastFrame)], sheet: false };
+  }
 
-    console.log('✅ Emergency cleanup completed');
-  } catch (cleanupError) {
-    console.error('❌ Emergency cleanup failed:', cleanupError.message);
+  const time = given[0] === 't' ? Number(body.t) : 0;
+  if (!Number.isFinite(time) || time < 0 || time > duration) {
+    throw new Error(`t must be between 0 and the ${duration}s duration`);
   }
+  return { frames: [Math.min(lastFrame, Math.round(time * fps))], sheet: false };
+}
 
-  process.exit(1);
-});
+/**
+ * Lays out preview frames in a labelled grid
+ *
+ * Frames are composited and shrunk one at a time, so a large sheet never holds more than one
+ * full-size frame.
+ *
+ * @param {Object} composer - Result of {@link prepareFrameComposer}
+ * @param {number[]} frames - Frame indices to show, in order
+ * @param {number} fps - Frames per second, for the timestamp labels
+ * @returns {Promise<Buffer>} PNG contact sheet, transparent between the cells
+ */
+async function renderContactSheet(composer, frames, fps) {
+  const { width, height } = composer;
+  const columns = Math.ceil(Math.sqrt(frames.length));
+  const rows = Math.ceil(frames.length / columns);
+  const cellWidth = Math.min(width, Math.floor((SHEET_MAX_WIDTH - SHEET_GAP * (columns + 1)) / columns));
+  const cellHeight = Math.max(1, Math.round(height * cellWidth / width));
+  const labelSize = Math.max(12, Math.round(cellWidth / 14));
+  const labelStyle = {
+    ...OVERLAY_DEFAULTS.caption,
+    size: labelSize,
+    color: { r: 255, g: 255, b: 255 },
+    background: { r: 0, g: 0, b: 0 },
+    x: Math.round(labelSize / 2), // Top-left, where captions at the default bottom position cannot hide it
+    y: Math.round(labelSize / 2)
+  };
+
+  const layers = [];
+  for (const [index, frameIndex] of frames.entries()) {
+    const left = SHEET_GAP + (index % columns) * (cellWidth + SHEET_GAP);
+    const top = SHEET_GAP + Math.floor(index / columns) * (cellHeight + SHEET_GAP);
+    const cell = await sharp(await composer.composeFrame(frameIndex), { raw: { width, height, channels: 4 } })
+      .resize(cellWidth, cellHeight)
+      .png()
+      .toBuffer();
+    const label = await renderCaptionOverlay({ ...labelStyle, text: `${(frameIndex / fps).toFixed(2)}s` },
+      cellWidth, cellHeight);
+    layers.push({ input: cell, left, top });
+    layers.push({ input: label.pixels, raw: { width: label.width, height: label.height, channels: 4 },
+      left: left + label.x, top: top + label.y });
+  }
+
+  return sharp({
+    create: {
+      width: SHEET_GAP + columns * (cellWidth + SHEET_GAP),
+      height: SHEET_GAP + rows * (cellHeight + SHEET_GAP),
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    }
+  })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Preview endpoint - Returns one composited frame, or a contact sheet, without encoding a video
+ *
+ * Runs the same detection, page decoding, overlay and canvas steps as `/render`, then composites
+ * only the requested moments. Useful for checking a frame, cutout or timeline in a second or two.
+ *
+ * @route POST /preview
+ * @param {File} page - Required. Page screenshot(s), as for `POST /render`
+ * @param {number} [t=0] - Moment to show, in seconds
+ * @param {number} [progress] - Moment to show as a fraction of the video (0-1), instead of `t`
+ * @param {number} [sheet] - Return a grid of this many evenly spaced frames (1-36) instead of one frame
+ * @param {*} [...] - Every other `/render` input (frame, timeline, canvas, overlays, ...); encoding and
+ *   audio fields are validated but have no effect
+ *
+ * @returns {File} PNG image, with the shown timestamps in the `X-Preview-Time` header
+ * @returns {Object} 400 for invalid input, 401/403 without a valid API key, or 429 with `Retry-After` if the
+ *   key's rate limit is reached or the render queue is full. Previews do not count against the daily quota
+ */
+app.post('/preview', rateLimit, renderUpload, async(req, res) => {
+  await ensureTmp();
+
+  if (!req.files || !req.files['page']) {
+    for (const file of Object.values(req.files || {}).flat()) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+    return res.status(400).json({ error: 'Please upload a page (long screenshot).' });
+  }
+
+  const { frameFile: uploadedFrameFile, extraFrameFiles, pageFiles, backgroundFile, uploadedFiles } =
+    collectUploads(req.files, req.body);
+  const timestamp = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const cleanupData = { sessionDir: path.join(tmpRoot, `job_${timestamp}`), timestamp, uploadedFiles };
+  let cleanupReason = 'preview';
+
+  let isRequestCancelled = false;
+  let renderTicket = null;
+  let meter = null;
+  res.on('close', () => {
+    isRequestCancelled = true;
+    if (renderTicket && renderTicket.position() > 0) renderTicket.release();
+  });
+
+  try {
+    const renderOptions = parseRenderOptions(req.body, pageFiles.length);
+    let preview;
+    try {
+      preview = parsePreviewOptions(req.body, renderOptions.duration, renderOptions.fps);
+    } catch (error) {
+      throw new RenderError(`Invalid preview options: ${error.message}`);
+    }
+    const frameFile = await resolveFrameFile(uploadedFrameFile, req.body.frameId);
+    const deviceFrameFiles = await resolveDeviceFrames(renderOptions.devices, [frameFile, ...extraFrameFiles],
+      SERVER_RENDER_OPTIONS.resolveFrameId);
+
+    // Previews decode the same pages as a render, so they share the render queue
+    meter = await meterRender(req.apiKey, 0);
+    renderTicket = requestRenderSlot(`job_${timestamp}`);
+    if (!await renderTicket.ready || isRequestCancelled) return;
+    meter.begin();
+
+    const composer = await prepareFrameComposer({
+      ...renderOptions,
+      frameFile,
+      deviceFrameFiles,
+      pageFiles,
+      backgroundFile,
+      sessionDir: cleanupData.sessionDir,
+      jobLabel: `job_${timestamp}`,
+      cacheDir: SERVER_RENDER_OPTIONS.cacheDir
+    }, {
+      isCancelled: () => isRequestCancelled
+    });
+    if (!composer) return;
 
-process.on('unhandledRejection', async(reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  // Don't exit on unhandled rejection, just log it
+    let png;
+    if (preview.sheet) {
+      png = await renderContactSheet(composer, preview.frames, renderOptions.fps);
+    } else {
+      const raw = { width: composer.width, height: composer.height, channels: 4 };
+      png = await sharp(await composer.composeFrame(preview.frames[0]), { raw }).png().toBuffer();
+    }
+
+    const times = preview.frames.map(frameIndex => (frameIndex / renderOptions.fps).toFixed(3));
+    res.setHeader('X-Preview-Time', times.join(','));
+    setPacingHeaders(res, composer.pacing);
+    res.type('png').send(png);
+    await meter.finish({ previews: 1 });
+  } catch (error) {
+    if (error instanceof RenderError) {
+      cleanupReason = 'invalid-input';
+      if (error.details.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    cleanupReason = 'preview-error';
+    console.error(`❌ Preview error for job_${timestamp}:`, error);
+    res.status(500).json({ error: 'Preview failed', details: String(error) });
+  } finally {
+    if (renderTicket) renderTicket.release();
+    if (meter) await meter.finish();
+    await performJobCleanup(cleanupData, cleanupReason);
+  }
 });
 
-const port = process.env.PORT || 3000;
-app.listen(port, async() => {
+/**
+ * In-memory registry of asynchronous render jobs keyed by job id
+ * @type {Map<string, Object>}
+ */
+const jobs = new Map();
+
+/**
+ * Builds the public JSON representation of a render job
+ *
+ * @param {Object} job - Job record from the registry
+ * @returns {Object} Job state, progress, timestamps and resource links
+ */
+function serializeJob(job) {
+  const { framesDone, totalFrames } = job;
+  return {
+    id: job.id,
+    state: job.state,
+    stage: job.stage,
+    format: job.format,
+    progress: {
+      framesDone,
+      totalFrames,
+      percent: totalFrames ? Math.round((framesDone / totalFrames) * 100) : 0
+    },
+    queuePosition: job.state === 'queued' ? job.renderTicket.position() : null,
+    error: job.error || null,
+    pacing: job.pacing || null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+    expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null,
+    links: {
+      self: `/jobs/${job.id}`,
+      result: job.state === 'completed' ? `/jobs/${job.id}/result` : null
+    }
+  };
+}
+
+/**
+ * Runs a render job in the background and records its outcome
+ *
+ * The job stays `queued` until its render slot from {@link requestRenderSlot} is granted, and its
+ * usage is recorded under the submitting key through the job's {@link meterRender} meter.
+ * On success the uploads are removed but the encoded
+ * video is kept until the job expires after {@link JOB_RESULT_TTL} seconds.
+ * Failed and cancelled jobs are cleaned up immediately and only their status is kept.
+ *
+ * @param {Object} job - Job record from the registry
+ * @param {Object} inputs - Request fields and input file paths for {@link renderScrollVideo}
+ */
+async function processJob(job, inputs) {
+  const jobLabel = `job_${job.cleanupData.timestamp}`;
+
+  // Cancelling a queued job releases its ticket, which resolves `ready` with false
+  if (!await job.renderTicket.ready || job.state === 'cancelled') {
+    job.renderTicket.release();
+    await job.meter.finish();
+    await performJobCleanup(job.cleanupData, 'cancelled');
+    return;
+  }
+
+  job.state = 'processing';
+  job.stage = 'preparing';
+  job.startedAt = Date.now();
+  job.meter.begin();
+
+  try {
+    const { sessionDir, timestamp } = job.cleanupData;
+    job.render = renderScrollVideo({
+      ...inputs,
+      ...SERVER_RENDER_OPTIONS,
+      workDir: sessionDir,
+      output: path.join(sessionDir, `output_${timestamp}.${OUTPUT_FORMATS[job.format].extension}`),
+      jobLabel
+    });
+    job.render.on('progress', ({ stage, framesDone, totalFrames }) => Object.assign(job, { stage, framesDone, totalFrames }));
+    job.meter.track(job.render);
+    if (job.state === 'cancelled') job.render.cancel(); // Cancelled while the render was being set up
+    const outputPath = await job.render;
+    job.pacing = job.render.pacing;
+
+    if (!outputPath || job.state === 'cancelled') {
+      await performJobCleanup(job.cleanupData, 'cancelled');
+      return;
+    }
+
+    if (job.cacheKey) {
+      await storeRenderCache(job.cacheKey, outputPath, job.format, job.pacing).catch((error) => {
+        console.warn(`⚠️ Could not cache render for ${jobLabel}: ${error.message}`);
+      });
+    }
+
+    await job.meter.finish({ renders: 1, outputSeconds: job.duration });
+    job.state = 'completed';
+    job.stage = 'completed';
+    job.outputPath = outputPath;
+    job.completedAt = Date.now();
+    job.expiresAt = job.completedAt + JOB_RESULT_TTL * 1000;
+    console.log(`✅ ${jobLabel} completed, result kept until ${new Date(job.expiresAt).toISOString()}`);
+
+    // The session directory only holds the encoded video; drop the uploads
+    await performJobCleanup({ ...job.cleanupData, sessionDir: null }, 'uploads');
+  } catch (error) {
+    if (job.state === 'cancelled') {
+      await performJobCleanup(job.cleanupData, 'cancelled');
+      return;
+    }
+
+    console.error(`❌ Render error for ${jobLabel}:`, error);
+    job.state = 'failed';
+    job.error = error instanceof RenderError ? error.message : `Render failed: ${String(error)}`;
+    job.completedAt = Date.now();
+    job.expiresAt = job.completedAt + JOB_RESULT_TTL * 1000;
+    await performJobCleanup(job.cleanupData, 'render-error');
+  } finally {
+    job.renderTicket.release();
+    await job.meter.finish();
+  }
+}
+
+/**
+ * Removes expired jobs and their retained results from disk and the registry
+ */
+async function sweepExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && job.expiresAt <= now && job.state !== 'processing') {
+      jobs.delete(id);
+      if (job.state === 'completed') {
+        await performJobCleanup(job.cleanupData, 'expired');
+      }
+    }
+  }
+}
+
+setInterval(sweepExpiredJobs, 60000).unref();
+
+/**
+ * Creates an asynchronous render job
+ *
+ * Accepts the same multipart fields as `POST /render`, validates them and returns
+ * immediately with `202 Accepted`. The render runs in the background; poll
+ * `GET /jobs/:id` for progress and download the video from `GET /jobs/:id/result`.
+ *
+ * @route POST /jobs
+ * @param {File} page - Required. Long screenshot image(s) to scroll through
+ * @param {File} [frame] - Optional. PNG frame with transparent cutout (defaults to defaultFrame.png)
+ * @param {string} [frameId] - Optional. Id of a library frame to use instead of an upload
+ * @param {number} [duration=8] - Animation duration in seconds
+ * @param {number} [fps=30] - Frames per second for the output video
+ * @param {string} [timeline] - JSON array of scroll keyframes
+ * @param {boolean} [loop=false] - Repeat the timeline until the video duration is filled
+ * @param {string} [format=mp4] - Output format and encoder settings (`crf`, `preset`, `maxBitrate`,
+ *   `targetSize`, `quality`) as for `POST /render`
+ * @param {string} [pageMode=stack] - Multi-page settings (`transition`, `transitionDuration`,
+ *   `pageDuration`) as for `POST /render`
+ * @param {string} [cutoutAspectRatio] - Constrain the detected cutout to an aspect ratio
+ * @param {string} [screenFit=cutout] - `cutout`, `mask` or `perspective` (see `POST /render`)
+ * @param {string} [screenCorners] - Screen corners for perspective renders (see `POST /render`)
+ * @param {string} [direction=down] - Scroll direction: down, up, right or left
+ * @param {number} [screenX] - Manual cutout (with `screenY`, `screenWidth`, `screenHeight`)
+ * @param {string} [keyColor] - Chroma-key colour for opaque screens, with optional `keyTolerance`
+ * @param {string} [canvas] - Output canvas preset or `WxH`, with `background`, `backgroundImage`, `padding`,
+ *   `position` and `shadow` as for `POST /render`
+ * @param {File} [audio] - Background audio track, with `audioVolume`, `audioFadeIn` and `audioFadeOut`
+ *   as for `POST /render`
+ * @param {string} [overlays] - JSON array of captions and callouts as for `POST /render`
+ * @param {string} [cache=use] - `bypass` to skip the render cache; a cache hit completes the job immediately (200)
+ *
+ * @returns {Object} 202 with the job status (see {@link serializeJob}), 400 for invalid input, 401/403 without a
+ *   valid API key, 429 with `Retry-After` if the key's rate limit or daily quota is reached or the render
+ *   queue is full, or 500 if the job could not be set up
+ */
+app.post('/jobs', rateLimit, requireRenderQuota, renderUpload, async(req, res) => {
+  await ensureTmp();
+
+  if (!req.files || !req.files['page']) {
+    for (const file of Object.values(req.files || {}).flat()) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+    return res.status(400).json({ error: 'Please upload a page (long screenshot).' });
+  }
+
+  const { frameFile: uploadedFrameFile, extraFrameFiles, pageFiles, backgroundFile, audioFile, uploadedFiles } =
+    collectUploads(req.files, req.body);
+
+  const timestamp = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  let renderOptions, frameFiles, renderTicket = null, meter = null, cacheKey = null, cached = null;
+  try {
+    renderOptions = parseRenderOptions(req.body, pageFiles.length);
+    frameFiles = [await resolveFrameFile(uploadedFrameFile, req.body.frameId), ...extraFrameFiles];
+    const deviceFrameFiles = await resolveDeviceFrames(renderOptions.devices, frameFiles,
+      SERVER_RENDER_OPTIONS.resolveFrameId);
+    if (usesRenderCache(req.body)) {
+      cacheKey = await renderCacheKey({ frameFile: frameFiles[0], pageFiles, backgroundFile, audioFile,
+        deviceFrameFiles }, renderOptions);
+      cached = await lookupRenderCache(cacheKey);
+    }
+    if (!cached) {
+      meter = await meterRender(req.apiKey, renderOptions.duration);
+      renderTicket = requestRenderSlot(`job_${timestamp}`);
+    }
+  } catch (error) {
+    if (meter) await meter.finish();
+    for (const file of uploadedFiles) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+    if (!(error instanceof RenderError)) {
+      // Not the request's fault, e.g. the frame library or usage ledger could not be read
+      console.error(`❌ Could not queue job_${timestamp}:`, error);
+      return res.status(500).json({ error: 'Could not queue the render', details: String(error) });
+    }
+    if (error.details.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  const job = {
+    id: `job_${timestamp}`,
+    state: 'queued',
+    stage: 'queued',
+    framesDone: 0,
+    totalFrames: Math.round(renderOptions.duration * renderOptions.fps),
+    format: renderOptions.encoding.format,
+    duration: renderOptions.duration,
+    createdAt: Date.now(),
+    owner: req.apiKey ? req.apiKey.name : null,
+    renderTicket,
+    meter,
+    cacheKey,
+    cleanupData: {
+      sessionDir: path.join(tmpRoot, `job_${timestamp}`),
+      timestamp,
+      uploadedFiles
+    }
+  };
+
+  jobs.set(job.id, job);
+
+  if (cached) {
+    // Serve a copy, so expiring or deleting the job never touches the cache
+    const outputPath = path.join(job.cleanupData.sessionDir, path.basename(cached.path));
+    await fs.mkdir(job.cleanupData.sessionDir, { recursive: true });
+    await fs.copyFile(cached.path, outputPath);
+    Object.assign(job, {
+      state: 'completed',
+      stage: 'completed',
+      framesDone: job.totalFrames,
+      outputPath,
+      pacing: cached.pacing,
+      completedAt: Date.now(),
+      expiresAt: Date.now() + JOB_RESULT_TTL * 1000
+    });
+    console.log(`⚡ Render cache hit for ${job.id}`);
+    await recordUsage(req.apiKey ? req.apiKey.name : 'anonymous', { cacheHits: 1 });
+    await performJobCleanup({ ...job.cleanupData, sessionDir: null }, 'uploads');
+    return res.status(200).location(`/jobs/${job.id}`).json(serializeJob(job));
+  }
+
+  console.log(`📥 Queued ${job.id}`);
+  processJob(job, {
+    ...req.body,
+    page: pageFiles,
+    frame: frameFiles,
+    backgroundImage: backgroundFile,
+    audio: audioFile
+  }).catch((error) => {
+    // Cleanup or usage accounting failed around the render; a job that had not finished fails with it
+    console.error(`❌ Job error for ${job.id}:`, error);
+    job.renderTicket.release();
+    if (job.state === 'queued' || job.state === 'processing') {
+      job.state = 'failed';
+      job.error = `Render failed: ${String(error)}`;
+      job.completedAt = Date.now();
+      job.expiresAt = job.completedAt + JOB_RESULT_TTL * 1000;
+    }
+  });
+
+  res.status(202).location(`/jobs/${job.id}`).json(serializeJob(job));
+});
+
+/**
+ * Looks up the job named in the route, hiding other keys' jobs from non-admin callers
+ *
+ * @param {Object} req - Request with `params.id` and, when authentication is on, `apiKey`
+ * @returns {Object|undefined} Job record, or undefined if it is unknown, expired or not the caller's
+ */
+function findJob(req) {
+  const job = jobs.get(req.params.id);
+  if (job && req.apiKey && !req.apiKey.admin && job.owner !== req.apiKey.name) return undefined;
+  return job;
+}
+
+/**
+ * Returns the state and progress of a render job
+ *
+ * @route GET /jobs/:id
+ * @returns {Object} Job status (see {@link serializeJob}), or 404 if the job is unknown or expired
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  res.json(serializeJob(job));
+});
+
+/**
+ * Downloads the video produced by a completed render job
+ *
+ * The result stays available until the job expires, so it can be downloaded more than once.
+ *
+ * @route GET /jobs/:id/result
+ * @returns {File} Encoded output in the job's format, 409 if the job has not completed,
+ *   or 404 if the job is unknown or expired
+ */
+app.get('/jobs/:id/result', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  if (job.state !== 'completed') {
+    return res.status(409).json({ error: `Job is ${job.state}`, state: job.state, details: job.error || null });
+  }
+
+  const outputFormat = OUTPUT_FORMATS[job.format];
+  res.setHeader('Content-Type', outputFormat.contentType);
+  if (job.cacheKey) res.setHeader('ETag', `"${job.cacheKey}"`);
+  res.download(job.outputPath, `scroll_${job.id}.${outputFormat.extension}`, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Job result is no longer available' });
+    }
+  });
+});
+
+/**
+ * Cancels a running job or deletes a finished job and its result
+ *
+ * @route DELETE /jobs/:id
+ * @returns {Object} The cancelled job's status, `{id, state: 'deleted'}` for finished jobs,
+ *   or 404 if the job is unknown or expired
+ */
+app.delete('/jobs/:id', async(req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  if (job.state === 'queued' || job.state === 'processing') {
+    // The background render stops at its next frame batch and cleans up its own files
+    console.log(`🛑 Cancelling ${job.id}`);
+    const wasQueued = job.state === 'queued';
+    job.state = 'cancelled';
+    job.completedAt = Date.now();
+    job.expiresAt = job.completedAt + JOB_RESULT_TTL * 1000;
+    if (wasQueued) job.renderTicket.release();
+    if (job.render) job.render.cancel();
+    return res.json(serializeJob(job));
+  }
+
+  jobs.delete(job.id);
+  if (job.state === 'completed') {
+    await performJobCleanup(job.cleanupData, 'deleted');
+  }
+  res.json({ id: job.id, state: 'deleted' });
+});
+
+/**
+ * Multer middleware for `/batch`: loose input files, a zip archive and the manifest
+ */
+const batchUpload = multer({
+  dest: path.join(tmpRoot, 'uploads'),
+  limits: {
+    fileSize: MAX_BATCH_BYTES,
+    files: MAX_BATCH_FILES + 2 // Inputs plus archive and manifest
+  }
+}).fields([
+  { name: 'files', maxCount: MAX_BATCH_FILES },
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]);
+
+// Names of pages, frames and settings in a batch manifest, used to build output file names
+const BATCH_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Unpacks the files of a zip archive
+ *
+ * Entries are written under generated names, so paths inside the archive can never escape `destDir`.
+ * Directories, dotfiles and `__MACOSX/` metadata are skipped.
+ *
+ * @param {string} archivePath - Uploaded zip file
+ * @param {string} destDir - Directory to unpack into
+ * @returns {Promise<Map<string, string>>} Unpacked file paths by their path inside the archive
+ * @throws {RenderError} If the archive is unreadable, holds more than MAX_BATCH_FILES files or
+ *   unpacks to more than MAX_BATCH_BYTES
+ */
+async function extractArchive(archivePath, destDir) {
+  await fs.mkdir(destDir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        return reject(new RenderError(`Invalid archive: ${openError.message}`));
+      }
+
+      const files = new Map();
+      let totalBytes = 0;
+      const fail = (error) => {
+        zipfile.close();
+        reject(error instanceof RenderError ? error : new RenderError(`Invalid archive: ${error.message}`));
+      };
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve(files));
+      zipfile.on('entry', (entry) => {
+        const name = entry.fileName;
+        if (name.endsWith('/') || name.startsWith('__MACOSX/') || path.posix.basename(name).startsWith('.')) {
+          return zipfile.readEntry();
+        }
+
+        totalBytes += entry.uncompressedSize;
+        if (files.size >= MAX_BATCH_FILES) {
+          return fail(new RenderError(`The archive holds more than ${MAX_BATCH_FILES} files`));
+        }
+        if (entry.uncompressedSize > MAX_UPLOAD_BYTES || totalBytes > MAX_BATCH_BYTES) {
+          return fail(new RenderError(`"${name}" is too large: archive files may be up to ` +
+            `${MAX_UPLOAD_BYTES / 1024 / 1024}MB and ${MAX_BATCH_BYTES / 1024 / 1024}MB in total`));
+        }
+
+        const target = path.join(destDir, `entry_${files.size}`);
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return fail(streamError);
+          pipeline(stream, createWriteStream(target)).then(() => {
+            files.set(name, target);
+            zipfile.readEntry();
+          }, fail);
+        });
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Expands a batch manifest into the renders it describes
+ *
+ * The manifest is an object with:
+ * - `pages` - Required. Each entry is a file name, or `{name, file}` / `{name, files: [...]}` for a
+ *   multi-page render
+ * - `frames` - File names, `{name, file}` or `{name, frameId}` for library frames; the default frame when omitted
+ * - `settings` - Objects of `POST /render` fields with an optional `name`; `backgroundImage`, `audio` and
+ *   the `frame` of `devices` entries name uploaded files. One render with the defaults when omitted
+ * - `defaults` - Fields applied to every render, overridden by `settings`
+ * - `outputName` - Output path template using `{page}`, `{frame}` and `{settings}`; defaults to the
+ *   dimensions the manifest lists, joined with `_`
+ *
+ * Every page is rendered in every frame with every settings entry. Names default to the file name
+ * without its extension (`settings1`, `settings2`, ... for settings).
+ *
+ * @param {Object} manifest - Parsed manifest JSON
+ * @param {Map<string, string>} files - Uploaded file paths by the name the manifest refers to them with
+ * @returns {{frames: Object[], items: Object[]}} Frames (library frames still need their `file` resolved) and
+ *   renders as `{name, page, frame, settings, pageFiles, extraFrameFiles, fields, backgroundFile, audioFile}`,
+ *   where `extraFrameFiles` are the device frames named in the settings
+ * @throws {Error} If the manifest is malformed, names unknown files or expands to more than MAX_BATCH_ITEMS renders
+ */
+function parseBatchManifest(manifest, files) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('the manifest must be a JSON object');
+  }
+
+  const lookup = (fileName, where) => {
+    if (typeof fileName !== 'string' || !files.has(fileName)) {
+      throw new Error(`${where} refers to "${fileName}", which was not uploaded`);
+    }
+    return files.get(fileName);
+  };
+  const entryName = (entry, fallback, where) => {
+    const name = entry.name === undefined ? fallback : entry.name;
+    if (typeof name !== 'string' || !BATCH_NAME_PATTERN.test(name)) {
+      throw new Error(`${where} name "${name}" may only contain letters, digits, ".", "-" and "_"`);
+    }
+    return name;
+  };
+  // Devices may name their frame by input file; those files become frames 2, 3, ... after the item's frame
+  const deviceFrames = (devices, where) => {
+    let list = devices;
+    if (typeof devices === 'string') {
+      try {
+        list = JSON.parse(devices);
+      } catch {
+        return { devices, files: [] }; // Reported by parseRenderOptions
+      }
+    }
+    if (!Array.isArray(list)) return { devices, files: [] };
+
+    const fileNames = [];
+    const numbered = list.map((device) => {
+      if (!device || typeof device.frame !== 'string') return device;
+      if (!fileNames.includes(device.frame)) fileNames.push(device.frame);
+      return { ...device, frame: fileNames.indexOf(device.frame) + 2 };
+    });
+    return { devices: numbered, files: fileNames.map(fileName => lookup(fileName, `${where} devices`)) };
+  };
+  const uniqueNames = (entries, dimension) => {
+    const names = entries.map(entry => entry.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw new Error(`two ${dimension} are named "${duplicate}"; give them distinct "name"s`);
+    return entries;
+  };
+
+  if (!Array.isArray(manifest.pages) || !manifest.pages.length) {
+    throw new Error('"pages" must be a non-empty array');
+  }
+  const pages = uniqueNames(manifest.pages.map((entry, index) => {
+    const spec = typeof entry === 'string' ? { file: entry } : entry || {};
+    const fileNames = [].concat(spec.files || spec.file || []);
+    if (!fileNames.length || fileNames.length > MAX_PAGES) {
+      throw new Error(`pages[${index}] needs between 1 and ${MAX_PAGES} files`);
+    }
+    return {
+      name: entryName(spec, path.parse(String(fileNames[0])).name, `pages[${index}]`),
+      files: fileNames.map(fileName => lookup(fileName, `pages[${index}]`))
+    };
+  }), 'pages');
+
+  if (manifest.frames !== undefined && (!Array.isArray(manifest.frames) || !manifest.frames.length)) {
+    throw new Error('"frames" must be a non-empty array');
+  }
+  const frames = manifest.frames === undefined
+    ? [{ name: 'default', file: path.join(__dirname, DEFAULT_FRAME) }]
+    : uniqueNames(manifest.frames.map((entry, index) => {
+      const spec = typeof entry === 'string' ? { file: entry } : entry || {};
+      if (spec.frameId !== undefined) {
+        return { name: entryName(spec, String(spec.frameId), `frames[${index}]`), frameId: String(spec.frameId) };
+      }
+      return {
+        name: entryName(spec, path.parse(String(spec.file)).name, `frames[${index}]`),
+        file: lookup(spec.file, `frames[${index}]`)
+      };
+    }), 'frames');
+
+  if (manifest.settings !== undefined && (!Array.isArray(manifest.settings) || !manifest.settings.length)) {
+    throw new Error('"settings" must be a non-empty array of objects');
+  }
+  const settings = manifest.settings === undefined
+    ? [{ name: 'default', fields: {} }]
+    : uniqueNames(manifest.settings.map((entry, index) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`settings[${index}] must be an object`);
+      }
+      const { name: _name, ...fields } = entry;
+      return { name: entryName(entry, `settings${index + 1}`, `settings[${index}]`), fields };
+    }), 'settings');
+
+  const defaults = manifest.defaults === undefined ? {} : manifest.defaults;
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+    throw new Error('"defaults" must be an object');
+  }
+
+  const template = manifest.outputName === undefined
+    ? ['{page}', manifest.frames !== undefined && '{frame}', manifest.settings !== undefined && '{settings}']
+      .filter(Boolean).join('_')
+    : manifest.outputName;
+  if (typeof template !== 'string' || !/^[\w.{}/-]+$/.test(template) ||
+    template.split('/').some(segment => !segment || segment === '.' || segment === '..')) {
+    throw new Error('"outputName" may only use letters, digits, ".", "-", "_", "/" and {page}, {frame}, {settings}');
+  }
+
+  const count = pages.length * frames.length * settings.length;
+  if (count > MAX_BATCH_ITEMS) {
+    throw new Error(`${pages.length} pages × ${frames.length} frames × ${settings.length} settings make ` +
+      `${count} renders; the maximum is ${MAX_BATCH_ITEMS}`);
+  }
+
+  const items = [];
+  const outputNames = new Set();
+  for (const page of pages) {
+    for (const frame of frames) {
+      for (const setting of settings) {
+        const names = { page: page.name, frame: frame.name, settings: setting.name };
+        const name = template.replace(/\{(page|frame|settings)\}/g, (_match, key) => names[key]);
+        if (outputNames.has(name)) {
+          throw new Error(`"outputName" gives several renders the name "${name}"`);
+        }
+        outputNames.add(name);
+
+        const { backgroundImage, audio, devices, ...fields } = { ...defaults, ...setting.fields };
+        const where = `settings "${setting.name}"`;
+        const deviceFields = deviceFrames(devices, where);
+        items.push({
+          ...names,
+          name,
+          pageFiles: page.files,
+          frame,
+          extraFrameFiles: deviceFields.files,
+          fields: toFormFields({ ...fields, devices: deviceFields.devices }),
+          backgroundFile: backgroundImage ? lookup(backgroundImage, `${where} backgroundImage`) : null,
+          audioFile: audio ? lookup(audio, `${where} audio`) : null
+        });
+      }
+    }
+  }
+
+  return { frames, items };
+}
+
+/**
+ * Batch render endpoint - Renders every page × frame × settings combination of a manifest
+ *
+ * Inputs are uploaded as repeated `files` fields or packed in a zip `archive`, and the manifest
+ * (see {@link parseBatchManifest}) names them by upload file name or path inside the archive.
+ * Renders run one after another in a single render slot; each frame's cutout is detected once and
+ * reused through the cutout cache. A failing render is recorded in the report and the batch carries on.
+ *
+ * @route POST /batch
+ * @param {File[]} [files] - Pages, frames, background images and audio tracks named by the manifest
+ * @param {File} [archive] - Zip of input files; may also hold the manifest as `manifest.json`
+ * @param {string|File} [manifest] - Manifest JSON, as a field or a file
+ * @param {string} [cache=use] - `bypass` to render every item afresh without the render cache
+ *
+ * @returns {File} 200 with a zip holding each render under its output name plus `report.json`
+ *   (`{succeeded, failed, items: [{name, page, frame, settings, status, file, format, duration, cached,
+ *   renderSeconds, error}]}`), with counts in the `X-Batch-Succeeded` and `X-Batch-Failed` headers
+ * @returns {Object} 400 for a missing or invalid manifest or archive, 404 for an unknown library frame,
+ *   401/403 without a valid API key, or 429 with `Retry-After` if the key's rate limit or daily quota
+ *   (the duration of all renders together) is reached or the render queue is full
+ */
+app.post('/batch', rateLimit, requireRenderQuota, batchUpload, async(req, res) => {
   await ensureTmp();
-  console.log(`🚀 Scroll Video Generator server listening on http://localhost:${port}`);
-  console.log('✅ Comprehensive cleanup enabled - handles success, errors, and exceptions');
+
+  const timestamp = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const jobLabel = `job_${timestamp}`;
+  const sessionDir = path.join(tmpRoot, jobLabel);
+  const uploadedFiles = Object.values(req.files || {}).flat().map(file => ({ path: file.path, type: file.fieldname }));
+  const cleanupData = { sessionDir, timestamp, uploadedFiles };
+  let cleanupReason = 'batch';
+
+  let isRequestCancelled = false;
+  let renderTicket = null;
+  let render = null;
+  let meter = null;
+  const usage = { cacheHits: 0 };
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    isRequestCancelled = true;
+    if (render) render.cancel();
+    if (renderTicket && renderTicket.position() > 0) renderTicket.release();
+  });
+
+  try {
+    const files = new Map();
+    const addFile = (name, filePath) => {
+      if (files.has(name)) {
+        throw new RenderError(`Two input files are named "${name}"`);
+      }
+      files.set(name, filePath);
+    };
+    for (const file of (req.files && req.files['files']) || []) {
+      addFile(file.originalname, file.path);
+    }
+    if (req.files && req.files['archive']) {
+      const unpacked = await extractArchive(req.files['archive'][0].path, path.join(sessionDir, 'input'));
+      for (const [name, filePath] of unpacked) addFile(name, filePath);
+    }
+
+    let manifestText = req.body.manifest;
+    if (req.files && req.files['manifest']) {
+      manifestText = await fs.readFile(req.files['manifest'][0].path, 'utf8');
+    } else if (!manifestText && files.has('manifest.json')) {
+      manifestText = await fs.readFile(files.get('manifest.json'), 'utf8');
+    }
+    if (!manifestText) {
+      throw new RenderError('Send a manifest field or file, or an archive containing manifest.json.');
+    }
+
+    let plan;
+    try {
+      plan = parseBatchManifest(JSON.parse(manifestText), files);
+    } catch (error) {
+      throw new RenderError(`Invalid manifest: ${error.message}`);
+    }
+    for (const frame of plan.frames) {
+      if (frame.frameId) frame.file = await resolveFrameFile(null, frame.frameId);
+    }
+
+    // Invalid settings fail their own renders only
+    const report = plan.items.map(item => {
+      const entry = { name: item.name, page: item.page, frame: item.frame.name, settings: item.settings };
+      try {
+        item.renderOptions = parseRenderOptions(item.fields, item.pageFiles.length);
+        entry.status = 'pending';
+      } catch (error) {
+        Object.assign(entry, { status: 'failed', error: error.message });
+      }
+      return entry;
+    });
+
+    const useCache = usesRenderCache(req.body);
+    const valid = plan.items.filter(item => item.renderOptions);
+    // Meters the batch's server CPU time and cache hits; a render that misses the cache reserves its own seconds
+    // and records its FFmpeg time
+    meter = await meterRender(req.apiKey, 0);
+    renderTicket = requestRenderSlot(jobLabel);
+    if (!await renderTicket.ready || isRequestCancelled) return;
+    meter.begin();
+
+    console.log(`📦 Batch ${jobLabel}: ${plan.items.length} renders (${plan.items.length - valid.length} invalid)`);
+    const itemsDir = path.join(sessionDir, 'items');
+    await fs.mkdir(itemsDir, { recursive: true });
+    const zip = new yazl.ZipFile();
+
+    for (const [index, item] of plan.items.entries()) {
+      const entry = report[index];
+      if (!item.renderOptions) continue;
+      if (isRequestCancelled) return;
+
+      const { encoding, duration } = item.renderOptions;
+      const extension = OUTPUT_FORMATS[encoding.format].extension;
+      const outputPath = path.join(itemsDir, `${index}.${extension}`);
+      const startedAt = Date.now();
+      let pacing = null;
+      let itemMeter = null;
+      try {
+        const frameFiles = [item.frame.file, ...item.extraFrameFiles];
+        const inputs = { frameFile: item.frame.file, pageFiles: item.pageFiles, backgroundFile: item.backgroundFile,
+          audioFile: item.audioFile };
+        inputs.deviceFrameFiles = await resolveDeviceFrames(item.renderOptions.devices, frameFiles,
+          SERVER_RENDER_OPTIONS.resolveFrameId);
+        const cacheKey = useCache ? await renderCacheKey(inputs, item.renderOptions) : null;
+        const cached = cacheKey ? await lookupRenderCache(cacheKey) : null;
+
+        if (cached) {
+          // Copy, so a later item evicting the entry cannot pull the file from under the zip
+          await fs.copyFile(cached.path, outputPath);
+          usage.cacheHits++;
+          pacing = cached.pacing;
+        } else {
+          // A render that does not fit in the remaining quota fails on its own, like invalid settings
+          itemMeter = await meterRender(req.apiKey, duration);
+          render = renderScrollVideo({
+            ...item.fields,
+            ...SERVER_RENDER_OPTIONS,
+            page: item.pageFiles,
+            frame: frameFiles,
+            backgroundImage: item.backgroundFile,
+            audio: item.audioFile,
+            workDir: itemsDir,
+            output: outputPath,
+            jobLabel: `${jobLabel} ${item.name}`
+          });
+          itemMeter.track(render);
+          if (!await render) return; // Cancelled
+          pacing = render.pacing;
+          await itemMeter.finish({ renders: 1, outputSeconds: duration });
+          if (cacheKey) {
+            await storeRenderCache(cacheKey, outputPath, encoding.format, pacing).catch((error) => {
+              console.warn(`⚠️ Could not cache render for ${jobLabel} ${item.name}: ${error.message}`);
+            });
+          }
+        }
+
+        const file = `${item.name}.${extension}`;
+        zip.addFile(outputPath, file, { compress: false }); // Video formats are already compressed
+        Object.assign(entry, {
+          status: 'succeeded',
+          file,
+          format: encoding.format,
+          duration,
+          cached: Boolean(cached),
+          renderSeconds: Number(((Date.now() - startedAt) / 1000).toFixed(1)),
+          ...(pacing ? { pacing } : {})
+        });
+      } catch (error) {
+        if (isRequestCancelled) return;
+        console.warn(`⚠️ Batch item ${item.name} of ${jobLabel} failed: ${error.message}`);
+        Object.assign(entry, {
+          status: 'failed',
+          error: error instanceof RenderError ? error.message : `Render failed: ${String(error)}`
+        });
+      } finally {
+        render = null;
+        if (itemMeter) await itemMeter.finish(); // Gives back the seconds of a failed or cancelled render
+      }
+    }
+
+    renderTicket.release();
+    await meter.finish(usage);
+
+    const succeeded = report.filter(entry => entry.status === 'succeeded').length;
+    const failed = report.length - succeeded;
+    console.log(`📦 Batch ${jobLabel} finished: ${succeeded} succeeded, ${failed} failed`);
+    zip.addBuffer(Buffer.from(JSON.stringify({ succeeded, failed, items: report }, null, 2)), 'report.json');
+    zip.end();
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch_${Date.now()}.zip"`);
+    res.setHeader('X-Batch-Succeeded', String(succeeded));
+    res.setHeader('X-Batch-Failed', String(failed));
+    await pipeline(zip.outputStream, res);
+  } catch (error) {
+    if (res.headersSent || isRequestCancelled) {
+      console.warn(`⚠️ Batch ${jobLabel} was not fully delivered: ${error.message}`);
+      cleanupReason = 'client-disconnect';
+      return;
+    }
+    if (error instanceof RenderError) {
+      cleanupReason = 'invalid-input';
+      console.warn(`⚠️ Rejected ${jobLabel}: ${error.message}`);
+      if (error.details.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    cleanupReason = 'batch-error';
+    console.error(`❌ Batch error for ${jobLabel}:`, error);
+    res.status(500).json({ error: 'Batch failed', details: String(error) });
+  } finally {
+    if (renderTicket) renderTicket.release();
+    if (meter) await meter.finish(usage); // Cache hits before a cancellation still count
+    await performJobCleanup(cleanupData, cleanupReason);
+  }
 });
 
+// Frame library entries, loaded from FRAME_LIBRARY_FILE on first use
+let frameLibrary = null;
+
+/**
+ * Returns the frame library, loading it from disk on first use
+ *
+ * @returns {Promise<Array<Object>>} Library entries (mutated in place by the /frames routes)
+ */
+async function loadFrameLibrary() {
+  if (!frameLibrary) {
+    frameLibrary = await readJsonFile(FRAME_LIBRARY_FILE, []);
+  }
+  return frameLibrary;
+}
+
+/**
+ * Builds the public JSON representation of a library frame
+ *
+ * @param {Object} frame - Library entry
+ * @returns {Object} Frame metadata, detected cutout and resource links
+ */
+function serializeFrame(frame) {
+  return {
+    id: frame.id,
+    name: frame.name,
+    width: frame.width,
+    height: frame.height,
+    cutout: frame.cutout,
+    hash: frame.hash,
+    createdAt: frame.createdAt,
+    links: {
+      self: `/frames/${frame.id}`,
+      thumbnail: `/frames/${frame.id}/thumbnail`
+    }
+  };
+}
+
+/**
+ * Resolves the frame image to render with when a library frame is requested
+ *
+ * @param {string|null} frameFile - Uploaded or default frame path from {@link collectUploads}
+ * @param {string} [frameId] - Library frame id from the request
+ * @returns {Promise<string>} Path to the frame image
+ * @throws {RenderError} If both a frame upload and a frameId are given, or the id is unknown
+ */
+async function resolveFrameFile(frameFile, frameId) {
+  if (!frameId) return frameFile;
+  if (frameFile) {
+    throw new RenderError('Send either a frame file or a frameId, not both.');
+  }
+
+  const frame = (await loadFrameLibrary()).find(entry => entry.id === frameId);
+  if (!frame) {
+    throw new RenderError(`Unknown frameId "${frameId}"`, 404);
+  }
+
+  console.log(`Using library frame "${frame.name}" (${frame.id})`);
+  return path.join(framesDir, frame.file);
+}
+
+/**
+ * Adds a frame to the library
+ *
+ * The frame is analysed immediately so it can be rejected if no cutout is found;
+ * the result lands in the cutout cache and later renders with this frame skip detection.
+ *
+ * @route POST /frames
+ * @param {File} frame - Required. PNG frame with transparent cutout
+ * @param {string} [name] - Display name (defaults to the uploaded file name)
+ * @returns {Object} 201 with the library frame (see {@link serializeFrame}), or 400 if it is unusable
+ */
+app.post('/frames', rateLimit, upload.single('frame'), async(req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Please upload a frame image.' });
+  }
+
+  const uploadPath = req.file.path;
+  try {
+    const name = String(req.body.name || path.parse(req.file.originalname).name).trim().slice(0, 100);
+    if (!name) {
+      await fs.unlink(uploadPath).catch(() => {});
+      return res.status(400).json({ error: 'Frame name must not be empty.' });
+    }
+
+    let cutout;
+    try {
+      cutout = await detectCutoutCached(uploadPath, {}, SERVER_RENDER_OPTIONS.cacheDir);
+    } catch (error) {
+      await fs.unlink(uploadPath).catch(() => {});
+      return res.status(400).json({ error: `Auto-detection failed: ${error.message}` });
+    }
+
+    if (cutout.width === 0 || cutout.height === 0) {
+      await fs.unlink(uploadPath).catch(() => {});
+      return res.status(400).json({ error: 'Could not detect a transparent cutout in the frame image.' });
+    }
+
+    const { width, height } = await sharp(uploadPath).metadata();
+    const id = `frame_${crypto.randomBytes(6).toString('hex')}`;
+    const file = `${id}${path.extname(req.file.originalname).toLowerCase() || '.png'}`;
+
+    await fs.mkdir(framesDir, { recursive: true });
+    await fs.copyFile(uploadPath, path.join(framesDir, file));
+    await fs.unlink(uploadPath).catch(() => {});
+
+    await sharp(path.join(framesDir, file))
+      .resize({ width: FRAME_THUMBNAIL_WIDTH })
+      .png()
+      .toFile(path.join(framesDir, `${id}_thumb.png`));
+
+    const frame = {
+      id,
+      name,
+      file,
+      width,
+      height,
+      cutout,
+      hash: await hashFile(path.join(framesDir, file)),
+      owner: req.apiKey ? req.apiKey.name : null,
+      createdAt: new Date().toISOString()
+    };
+
+    const library = await loadFrameLibrary();
+    library.push(frame);
+    await writeJsonFile(FRAME_LIBRARY_FILE, library);
+
+    console.log(`🖼️ Added frame "${name}" (${id}) with cutout ${cutout.width}x${cutout.height}`);
+    res.status(201).location(`/frames/${id}`).json(serializeFrame(frame));
+  } catch (error) {
+    console.error('❌ Failed to add frame:', error);
+    await fs.unlink(uploadPath).catch(() => {});
+    res.status(500).json({ error: 'Failed to add frame', details: String(error) });
+  }
+});
+
+/**
+ * Lists the frames in the library
+ *
+ * @route GET /frames
+ * @returns {Object} `{frames: [...]}` with each frame's detected cutout and thumbnail link
+ */
+app.get('/frames', async(_req, res) => {
+  const library = await loadFrameLibrary();
+  res.json({ frames: library.map(serializeFrame) });
+});
+
+/**
+ * Returns a single library frame
+ *
+ * @route GET /frames/:id
+ * @returns {Object} Library frame (see {@link serializeFrame}), or 404 if unknown
+ */
+app.get('/frames/:id', async(req, res) => {
+  const frame = (await loadFrameLibrary()).find(entry => entry.id === req.params.id);
+  if (!frame) {
+    return res.status(404).json({ error: 'Frame not found' });
+  }
+  res.json(serializeFrame(frame));
+});
+
+/**
+ * Returns the PNG thumbnail of a library frame
+ *
+ * @route GET /frames/:id/thumbnail
+ * @returns {File} PNG thumbnail, or 404 if unknown
+ */
+app.get('/frames/:id/thumbnail', async(req, res) => {
+  const frame = (await loadFrameLibrary()).find(entry => entry.id === req.params.id);
+  if (!frame) {
+    return res.status(404).json({ error: 'Frame not found' });
+  }
+  res.type('png').sendFile(path.join(framesDir, `${frame.id}_thumb.png`));
+});
+
+/**
+ * Removes a frame and its thumbnail from the library
+ *
+ * Cached detection results are kept, so re-adding the same image is instant. Every key can render
+ * with every library frame, but only the key that added a frame, or an admin key, may remove it.
+ *
+ * @route DELETE /frames/:id
+ * @returns {Object} `{id, deleted: true}`, 404 if unknown, or 403 for another key's frame
+ */
+app.delete('/frames/:id', rateLimit, async(req, res) => {
+  const library = await loadFrameLibrary();
+  const index = library.findIndex(entry => entry.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Frame not found' });
+  }
+  if (req.apiKey && !req.apiKey.admin && library[index].owner !== req.apiKey.name) {
+    return res.status(403).json({ error: 'Only the key that added a frame, or an admin key, can remove it' });
+  }
+
+  const [frame] = library.splice(index, 1);
+  await writeJsonFile(FRAME_LIBRARY_FILE, library);
+  await fs.unlink(path.join(framesDir, frame.file)).catch(() => {});
+  await fs.unlink(path.join(framesDir, `${frame.id}_thumb.png`)).catch(() => {});
+
+  console.log(`🗑️ Removed frame "${frame.name}" (${frame.id})`);
+  res.json({ id: frame.id, deleted: true });
+});
+
+/**
+ * Cutout detection diagnostics for a frame
+ *
+ * Runs the same detection as `/render` and returns the result together with a debug
+ * image: transparent pixels tinted green, the transparent bounding box outlined in yellow,
+ * the chosen cutout outlined in red and the fitted screen corners in cyan. Use it to check
+ * new frames before rendering.
+ *
+ * @route POST /detect
+ * @param {File} [frame] - Frame to analyse (defaults to defaultFrame.png)
+ * @param {string} [frameId] - Library frame to analyse instead of an upload
+ * @param {string} [aspectRatio] - Constrain the cutout to an aspect ratio, e.g. `9:19.5`
+ * @param {string} [keyColor] - Detect an opaque screen of this hex colour instead of transparency
+ * @param {number} [keyTolerance=15] - Chroma-key colour distance in percent
+ * @param {string} [output=json] - `json` for the cutout with a base64 `debugImage` data URL,
+ *   or `png` for the debug image alone with the cutout in the `X-Cutout` header
+ * @returns {Object|File} Detection result, or 400 if the frame cannot be analysed
+ */
+app.post('/detect', rateLimit, upload.single('frame'), async(req, res) => {
+  const uploadPath = req.file ? req.file.path : null;
+  let keyedFrame = null;
+  try {
+    let frameFile = await resolveFrameFile(uploadPath, req.body.frameId) ||
+      path.join(__dirname, DEFAULT_FRAME);
+
+    let aspectRatio, chromaKey;
+    try {
+      aspectRatio = req.body.aspectRatio ? parseAspectRatio(req.body.aspectRatio) : undefined;
+      chromaKey = parseChromaKey(req.body);
+    } catch (error) {
+      throw new RenderError(error.message);
+    }
+
+    if (chromaKey) {
+      await ensureTmp();
+      keyedFrame = path.join(tmpRoot, `detect_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.png`);
+      await applyChromaKey(frameFile, chromaKey, keyedFrame);
+      frameFile = keyedFrame;
+    }
+
+    let analysis;
+    try {
+      analysis = await analyzeTransparentCutout(frameFile, { aspectRatio });
+    } catch (error) {
+      throw new RenderError(`Auto-detection failed: ${error.message}`);
+    }
+
+    const { cutout, boundingBox, frameType, transparentPixels, width, height } = analysis;
+
+    // Four-corner fit of the screen, as used by screenFit=perspective
+    let corners = null;
+    if (cutout.width > 0 && cutout.height > 0) {
+      const { data: framePixels } = await sharp(frameFile).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      const { region, box } = findScreenRegion(framePixels, width, height, cutout);
+      corners = fitScreenQuad(region, width, box);
+    }
+
+    const debugImage = await renderDetectionDebugImage(frameFile, analysis, corners);
+    const result = {
+      frame: { width, height },
+      frameType,
+      boundingBox,
+      cutout,
+      corners,
+      transparentPixels,
+      coverage: transparentPixels ? Number(((cutout.width * cutout.height) / transparentPixels).toFixed(4)) : 0,
+      aspectRatio: aspectRatio || null
+    };
+
+    if (req.body.output === 'png' || req.query.output === 'png') {
+      res.setHeader('X-Cutout', JSON.stringify(result));
+      return res.type('png').send(debugImage);
+    }
+
+    res.json({ ...result, debugImage: `data:image/png;base64,${debugImage.toString('base64')}` });
+  } catch (error) {
+    if (error instanceof RenderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Detection error:', error);
+    res.status(500).json({ error: 'Detection failed', details: String(error) });
+  } finally {
+    for (const file of [uploadPath, keyedFrame]) {
+      if (file) await fs.unlink(file).catch(() => {});
+    }
+  }
+});
+
+/**
+ * Reports usage per API key: today's and total renders, output seconds and CPU time
+ *
+ * Keys that were removed from the configuration keep their recorded usage. While authentication
+ * is off, everything is recorded under `anonymous` and this endpoint is open like the rest.
+ *
+ * @route GET /admin/usage
+ * @returns {Object} `{date, authentication, keys: [...]}` with limits, current rate-limit window,
+ *   remaining quota and daily history for each key, or 403 for a non-admin key
+ */
+app.get('/admin/usage', async(req, res) => {
+  if (req.apiKey && !req.apiKey.admin) {
+    return res.status(403).json({ error: 'Usage reports need an admin API key' });
+  }
+
+  const keys = await loadApiKeys();
+  const ledger = await loadUsageLedger();
+  const configured = new Map([...keys.values()].map(apiKey => [apiKey.name, apiKey]));
+  const names = [...new Set([...configured.keys(), ...Object.keys(ledger)])].sort();
+  const today = usageDay();
+
+  const report = [];
+  for (const name of names) {
+    const apiKey = configured.get(name);
+    const usage = ledger[name] || { total: {}, days: {} };
+    const remaining = apiKey ? await remainingRenderSeconds(apiKey) : null;
+    const windowStart = Date.now() - 60000;
+    report.push({
+      name,
+      configured: Boolean(apiKey),
+      admin: apiKey ? apiKey.admin : null,
+      disabled: apiKey ? apiKey.disabled : null,
+      limits: apiKey
+        ? { requestsPerMinute: apiKey.rateLimit, dailyRenderSeconds: apiKey.dailyRenderSeconds || null }
+        : null,
+      requestsLastMinute: apiKey ? apiKey.recentRequests.filter(time => time > windowStart).length : null,
+      reservedSeconds: apiKey ? apiKey.reservedSeconds : null,
+      remainingRenderSeconds: remaining === null || remaining === Infinity ? null : Number(remaining.toFixed(3)),
+      today: usage.days[today] || {},
+      total: usage.total,
+      days: usage.days
+    });
+  }
+
+  res.json({ date: today, authentication: keys.size > 0, keys: report });
+});
+
+// Translate upload limit violations (too many pages, oversized files) into JSON errors
+app.use((err, _req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const message = err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'page'
+      ? `Too many pages. Maximum allowed: ${MAX_PAGES}`
+      : err.message;
+    return res.status(400).json({ error: `Upload rejected: ${message}`, field: err.field });
+  }
+  next(err);
+});
+
+/**
+ * Last-resort handler for uncaught exceptions: removes every job directory and upload, then exits
+ *
+ * Installed only when the server is started directly, so scripts and tests that require this
+ * module keep their own error handling and tmp/ contents.
+ *
+ * @param {Error} error - The uncaught exception
+ */
+async function emergencyCleanup(error) {
+  console.error('❌ Uncaught Exception:', error);
+  console.log('🧹 Performing emergency cleanup...');
+
+  try {
+    // Clean up any remaining job directories
+    const entries = await fs.readdir(tmpRoot).catch(() => []);
+    for (const entry of entries) {
+      if (entry.startsWith('job_')) {
+        const jobPath = path.join(tmpRoot, entry);
+        console.log(`Emergency cleanup: ${entry}`);
+        await rimraf(jobPath).catch(() => {});
+      }
+    }
+
+    // Clean up uploads directory
+    const uploadsDir = path.join(tmpRoot, 'uploads');
+    const uploadEntries = await fs.readdir(uploadsDir).catch(() => []);
+    for (const entry of uploadEntries) {
+      const filePath = path.join(uploadsDir, entry);
+      console.log(`Emergency cleanup upload: ${entry}`);
+      await fs.unlink(filePath).catch(() => {});
+    }
+
+    console.log('✅ Emergency cleanup completed');
+  } catch (cleanupError) {
+    console.error('❌ Emergency cleanup failed:', cleanupError.message);
+  }
+
+  process.exit(1);
+}
+
+// Only configure the process and listen when started directly, so scripts and tests can require the app
+if (require.main === module) {
+  // Running renders share the CPUs instead of each sizing its thread pools for the whole machine
+  sharp.concurrency(THREADS_PER_RENDER);
+
+  // Global error handlers for comprehensive cleanup
+  process.on('uncaughtException', emergencyCleanup);
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    // Don't exit on unhandled rejection, just log it
+  });
+
+  const port = process.env.PORT || 3000;
+  app.listen(port, async() => {
+    await ensureTmp();
+    try {
+      const keys = await loadApiKeys();
+      console.log(keys.size
+        ? `🔑 API key authentication enabled for ${keys.size} key${keys.size === 1 ? '' : 's'}`
+        : '🔓 No API keys configured - the server is open to every caller');
+    } catch (error) {
+      console.error('❌ Invalid API key configuration:', error.message);
+      process.exit(1);
+    }
+    console.log(`🚀 Scroll Video Generator server listening on http://localhost:${port}`);
+    console.log('✅ Comprehensive cleanup enabled - handles success, errors, and exceptions');
+  });
+}
+
+module.exports = { app, renderCacheKey, parseBatchManifest, parsePreviewOptions };
+
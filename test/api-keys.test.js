@@ -0,0 +1,163 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+let dir, server, baseUrl, page;
+
+before(async() => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-test-'));
+
+  // A stand-in encoder that swallows the frames and reports CPU time the way `ffmpeg -benchmark` does
+  const bin = path.join(dir, 'bin');
+  await fs.mkdir(bin);
+  await fs.writeFile(path.join(bin, 'ffmpeg'),
+    '#!/bin/sh\ncat > /dev/null\necho "bench: utime=1.250s stime=0.250s rtime=2.000s" >&2\n', { mode: 0o755 });
+
+  const keysFile = path.join(dir, 'keys.json');
+  await fs.writeFile(keysFile, JSON.stringify([
+    { name: 'limited', key: 'limited-key', rateLimit: 2 },
+    { name: 'quota', key: 'quota-key', dailyRenderSeconds: 5 },
+    { name: 'off', key: 'off-key', disabled: true }
+  ]));
+
+  Object.assign(process.env, {
+    PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+    DATA_DIR: path.join(dir, 'data'),
+    API_KEYS_FILE: keysFile,
+    API_KEYS: 'admin:admin-key:admin'
+  });
+  const { app } = require('../server');
+
+  // The test runner reads its reports from stdout, where late request logs could interleave with them
+  console.log = console.error;
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  page = await sharp({ create: { width: 400, height: 3000, channels: 3, background: '#3366cc' } }).png().toBuffer();
+});
+
+after(async() => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends a request with the given headers and returns the status, headers and parsed JSON body
+ */
+async function request(method, url, headers = {}, body) {
+  const response = await fetch(baseUrl + url, { method, headers, body });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Submits a job for the test page as the given key
+ */
+function submitJob(key, duration) {
+  const form = new FormData();
+  form.append('page', new Blob([page], { type: 'image/png' }), 'page.png');
+  form.append('duration', String(duration));
+  form.append('fps', '12');
+  form.append('cache', 'bypass');
+  return request('POST', '/jobs', { 'X-API-Key': key }, form);
+}
+
+/**
+ * Polls a job until it has finished
+ */
+async function waitForJob(id, key) {
+  const deadline = Date.now() + 60000;
+  for (;;) {
+    const { body } = await request('GET', `/jobs/${id}`, { 'X-API-Key': key });
+    if (!['queued', 'processing'].includes(body.state)) return body;
+    assert.ok(Date.now() < deadline, `job ${id} stuck in ${body.state}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * The usage report entry of a key
+ */
+async function usageOf(name) {
+  const { body } = await request('GET', '/admin/usage', { 'X-API-Key': 'admin-key' });
+  return body.keys.find(entry => entry.name === name);
+}
+
+test('requests without a valid, enabled key are refused', async() => {
+  const missing = await request('GET', '/frames');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+  const unknown = await request('GET', '/frames', { 'X-API-Key': 'guess' });
+  assert.equal(unknown.status, 401);
+  assert.match(unknown.headers.get('www-authenticate'), /invalid_token/);
+
+  const disabled = await request('GET', '/frames', { Authorization: 'Bearer off-key' });
+  assert.equal(disabled.status, 403);
+  assert.match(disabled.body.error, /"off" is disabled/);
+
+  assert.equal((await request('GET', '/frames', { Authorization: 'Bearer limited-key' })).status, 200);
+  assert.equal((await request('GET', '/health')).status, 200);
+});
+
+test('usage reports need an admin key', async() => {
+  assert.equal((await request('GET', '/admin/usage', { 'X-API-Key': 'quota-key' })).status, 403);
+
+  const { status, body } = await request('GET', '/admin/usage', { 'X-API-Key': 'admin-key' });
+  assert.equal(status, 200);
+  assert.equal(body.authentication, true);
+  assert.deepEqual(body.keys.map(entry => entry.name), ['admin', 'limited', 'off', 'quota']);
+});
+
+test('uploads beyond the per-minute rate limit are refused, polling is not', async() => {
+  const headers = { 'X-API-Key': 'limited-key' };
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await request('POST', '/jobs', headers, new FormData())).status, 400); // Counted, but no page
+  }
+
+  const limited = await request('POST', '/jobs', headers, new FormData());
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.limit, 2);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  assert.equal((await request('GET', '/jobs/job_unknown', headers)).status, 404);
+});
+
+test('renders are admitted against the daily quota and charged their own CPU time', async() => {
+  const tooLong = await submitJob('quota-key', 8);
+  assert.equal(tooLong.status, 429);
+  assert.equal(tooLong.body.remaining, 5);
+  assert.equal(tooLong.body.requested, 8);
+  assert.ok(Number(tooLong.headers.get('retry-after')) > 0);
+
+  const admitted = await submitJob('quota-key', 4);
+  assert.equal(admitted.status, 202);
+  // The running render's seconds are reserved, so they cannot be spent twice
+  assert.equal((await submitJob('quota-key', 2)).status, 429);
+  assert.equal((await waitForJob(admitted.body.id, 'quota-key')).state, 'completed');
+  await request('DELETE', `/jobs/${admitted.body.id}`, { 'X-API-Key': 'quota-key' });
+
+  const usage = await usageOf('quota');
+  assert.equal(usage.remainingRenderSeconds, 1);
+  assert.equal(usage.today.renders, 1);
+  assert.equal(usage.today.outputSeconds, 4);
+  assert.ok(usage.today.cpuSeconds >= 1.5, `${usage.today.cpuSeconds}s includes the encoder's 1.5s`);
+  assert.ok(usage.today.cpuSeconds < 60);
+
+  const last = await submitJob('quota-key', 1);
+  await waitForJob(last.body.id, 'quota-key');
+  await request('DELETE', `/jobs/${last.body.id}`, { 'X-API-Key': 'quota-key' });
+
+  // With nothing left, uploads are refused before they are read
+  const usedUp = await submitJob('quota-key', 1);
+  assert.equal(usedUp.status, 429);
+  assert.match(usedUp.body.error, /Daily render quota of 5s used up/);
+  assert.equal(usedUp.body.remaining, 0);
+});
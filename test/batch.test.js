@@ -0,0 +1,96 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBatchManifest } = require('../server');
+
+const files = new Map([
+  ['home.png', '/uploads/a'],
+  ['pricing.png', '/uploads/b'],
+  ['iphone.png', '/uploads/c'],
+  ['pixel.png', '/uploads/d'],
+  ['bg.png', '/uploads/e']
+]);
+
+test('parseBatchManifest renders every page in every frame with every settings entry', () => {
+  const { frames, items } = parseBatchManifest({
+    pages: ['home.png', { name: 'pricing', files: ['pricing.png', 'home.png'] }],
+    frames: ['iphone.png', { name: 'pixel', file: 'pixel.png' }],
+    settings: [{ name: 'short', duration: 4 }, { format: 'gif', backgroundImage: 'bg.png' }],
+    defaults: { fps: 24, duration: 8 }
+  }, files);
+
+  assert.deepEqual(frames.map(frame => frame.name), ['iphone', 'pixel']);
+  assert.equal(items.length, 8);
+  assert.deepEqual(items.slice(0, 2).map(item => item.name), ['home_iphone_short', 'home_iphone_settings2']);
+
+  const [short, gif] = items;
+  assert.deepEqual(short.pageFiles, ['/uploads/a']);
+  assert.equal(short.frame.file, '/uploads/c');
+  assert.deepEqual(short.fields, { fps: '24', duration: '4' });
+  assert.equal(short.backgroundFile, null);
+  assert.deepEqual(gif.fields, { fps: '24', duration: '8', format: 'gif' });
+  assert.equal(gif.backgroundFile, '/uploads/e');
+
+  const pricing = items.find(item => item.page === 'pricing');
+  assert.deepEqual(pricing.pageFiles, ['/uploads/b', '/uploads/a']);
+});
+
+test('parseBatchManifest names outputs after the listed dimensions only', () => {
+  const { frames, items } = parseBatchManifest({ pages: ['home.png', 'pricing.png'] }, files);
+
+  assert.deepEqual(items.map(item => item.name), ['home', 'pricing']);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].name, 'default');
+});
+
+test('parseBatchManifest keeps library frames for the caller to resolve', () => {
+  const { frames } = parseBatchManifest({ pages: ['home.png'], frames: [{ frameId: 'frame_abc' }] }, files);
+
+  assert.deepEqual(frames, [{ name: 'frame_abc', frameId: 'frame_abc' }]);
+});
+
+test('parseBatchManifest applies an outputName template', () => {
+  const { items } = parseBatchManifest({
+    pages: ['home.png'],
+    frames: ['iphone.png', 'pixel.png'],
+    outputName: '{frame}/{page}'
+  }, files);
+
+  assert.deepEqual(items.map(item => item.name), ['iphone/home', 'pixel/home']);
+});
+
+test('parseBatchManifest numbers device frames named by file after the item frame', () => {
+  const { items } = parseBatchManifest({
+    pages: ['home.png'],
+    frames: ['iphone.png'],
+    settings: [{ devices: [{}, { frame: 'pixel.png' }, { frame: 'bg.png', scale: 0.5 }, { frame: 'pixel.png' }] }]
+  }, files);
+
+  assert.deepEqual(items[0].extraFrameFiles, ['/uploads/d', '/uploads/e']);
+  assert.deepEqual(JSON.parse(items[0].fields.devices), [{}, { frame: 2 }, { frame: 3, scale: 0.5 }, { frame: 2 }]);
+  assert.throws(() => parseBatchManifest({ pages: ['home.png'], settings: [{ devices: '[{"frame": "ipad.png"}]' }] },
+    files), /settings "settings1" devices refers to "ipad.png"/);
+});
+
+test('parseBatchManifest rejects malformed manifests', () => {
+  assert.throws(() => parseBatchManifest([], files), /must be a JSON object/);
+  assert.throws(() => parseBatchManifest({ pages: [] }, files), /"pages" must be a non-empty array/);
+  assert.throws(() => parseBatchManifest({ pages: ['missing.png'] }, files), /which was not uploaded/);
+  assert.throws(() => parseBatchManifest({ pages: ['home.png', { name: 'home', file: 'pricing.png' }] }, files),
+    /two pages are named "home"/);
+  assert.throws(() => parseBatchManifest({ pages: [{ name: 'a b', file: 'home.png' }] }, files),
+    /may only contain letters/);
+  assert.throws(() => parseBatchManifest({ pages: ['home.png'], settings: [[]] }, files), /must be an object/);
+  assert.throws(() => parseBatchManifest({ pages: ['home.png'], outputName: '../{page}' }, files),
+    /"outputName" may only use/);
+  assert.throws(() => parseBatchManifest({ pages: ['home.png', 'pricing.png'], outputName: 'same' }, files),
+    /several renders the name "same"/);
+});
+
+test('parseBatchManifest limits the number of renders', () => {
+  const settings = Array.from({ length: 51 }, () => ({}));
+
+  assert.throws(() => parseBatchManifest({ pages: ['home.png', 'pricing.png'], settings }, files),
+    /make 102 renders; the maximum is 100/);
+});
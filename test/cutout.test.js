@@ -0,0 +1,48 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findLargestRectangle } = require('../lib/pipeline');
+
+/**
+ * Builds a row-major mask from rows of `#` (usable) and `.` (blocked)
+ */
+function mask(rows) {
+  return {
+    mask: Uint8Array.from(rows.join('').split(''), cell => (cell === '#' ? 1 : 0)),
+    width: rows[0].length,
+    height: rows.length
+  };
+}
+
+test('findLargestRectangle finds the largest block of usable pixels', () => {
+  const { mask: pixels, width, height } = mask([
+    '#.....',
+    '.####.',
+    '.####.',
+    '.###..',
+    '......'
+  ]);
+
+  assert.deepEqual(findLargestRectangle(pixels, width, height), { x: 1, y: 1, width: 3, height: 3 });
+});
+
+test('findLargestRectangle prefers a wide rectangle over a taller, smaller one', () => {
+  const { mask: pixels, width, height } = mask([
+    '#.....',
+    '#.....',
+    '#.....',
+    '######',
+    '######'
+  ]);
+
+  assert.deepEqual(findLargestRectangle(pixels, width, height), { x: 0, y: 3, width: 6, height: 2 });
+});
+
+test('findLargestRectangle covers a full mask and returns a zero-sized rectangle for an empty one', () => {
+  const full = mask(['###', '###']);
+  const empty = mask(['...', '...']);
+
+  assert.deepEqual(findLargestRectangle(full.mask, full.width, full.height), { x: 0, y: 0, width: 3, height: 2 });
+  assert.deepEqual(findLargestRectangle(empty.mask, empty.width, empty.height), { x: 0, y: 0, width: 0, height: 0 });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_DEVICES, parseDeviceOptions, arrangeDevices } = require('../lib/pipeline');
+
+test('parseDeviceOptions fills in the defaults', () => {
+  const devices = parseDeviceOptions({ devices: '[{}, {"frameId": "laptop", "page": [2, 3], "scale": 0.5}, {}]' }, 3);
+
+  assert.equal(devices.arrangement, 'row');
+  assert.equal(devices.gap, 40);
+  assert.equal(devices.columns, 2);
+  assert.deepEqual(devices.items[0], { frame: null, frameId: null, pages: [0, 1, 2], scale: 1, x: 0, y: 0 });
+  assert.deepEqual(devices.items[1], { frame: null, frameId: 'laptop', pages: [1, 2], scale: 0.5, x: 0, y: 0 });
+});
+
+test('parseDeviceOptions rejects invalid layouts', () => {
+  const parse = (devices, fields = {}) => () => parseDeviceOptions({ devices: JSON.stringify(devices), ...fields }, 2);
+
+  assert.throws(() => parseDeviceOptions({ devices: 'nope' }, 1), /devices must be a JSON array/);
+  assert.throws(parse([{}]), /2 to 6 devices/);
+  assert.throws(parse(Array(MAX_DEVICES + 1).fill({})), /2 to 6 devices/);
+  assert.throws(parse([{}, {}], { deviceLayout: 'stack' }), /Invalid deviceLayout "stack"/);
+  assert.throws(parse([{}, {}], { deviceGap: '-1' }), /deviceGap/);
+  assert.throws(parse([{}, {}], { deviceColumns: '1.5' }), /deviceColumns/);
+  assert.throws(parse([{}, []]), /Device 2 must be an object/);
+  assert.throws(parse([{ frame: 0 }, {}]), /Device 1: frame must be/);
+  assert.throws(parse([{ frame: 1, frameId: 'phone' }, {}]), /cannot be combined with frame/);
+  assert.throws(parse([{}, { page: 3 }]), /between 1 and 2/);
+  assert.throws(parse([{ scale: 5 }, {}]), /scale must be above 0 and at most 4/);
+  assert.throws(parse([{ x: 0, y: 0 }, { x: 10 }], { deviceLayout: 'custom' }), /Device 2: x and y are required/);
+  assert.throws(parse([{ x: -1 }, {}]), /non-negative numbers/);
+});
+
+test('a row stands devices side by side on a common baseline', () => {
+  const devices = parseDeviceOptions({ devices: '[{}, {"scale": 0.5}]', deviceGap: '10' }, 1);
+  const { width, height, boxes } = arrangeDevices(devices, [{ width: 100, height: 200 }, { width: 61, height: 101 }]);
+
+  assert.deepEqual(boxes, [
+    { x: 0, y: 0, width: 100, height: 200 },
+    { x: 110, y: 149.5, width: 30.5, height: 50.5 }
+  ]);
+  assert.equal(width, 142); // 140.5, rounded up to an even size
+  assert.equal(height, 200);
+});
+
+test('a grid centres each device in cells as large as the largest device', () => {
+  const devices = parseDeviceOptions({ devices: '[{}, {}, {}]', deviceLayout: 'grid', deviceGap: '20' }, 1);
+  const { width, height, boxes } = arrangeDevices(devices,
+    [{ width: 100, height: 200 }, { width: 60, height: 100 }, { width: 100, height: 200 }]);
+
+  assert.deepEqual(boxes.map(({ x, y }) => [x, y]), [[0, 0], [140, 50], [0, 220]]);
+  assert.equal(width, 200); // Ends at the right edge of the narrower device, not of its cell
+  assert.equal(height, 420);
+});
+
+test('a custom layout places devices where they were asked to go', () => {
+  const devices = parseDeviceOptions({
+    devices: '[{"x": 0, "y": 100}, {"x": 300, "y": 0, "scale": 2}]', deviceLayout: 'custom'
+  }, 1);
+  const { width, height, boxes } = arrangeDevices(devices, [{ width: 400, height: 300 }, { width: 50, height: 75 }]);
+
+  assert.deepEqual(boxes[1], { x: 300, y: 0, width: 100, height: 150 });
+  assert.equal(width, 400);
+  assert.equal(height, 400);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEncodingOptions, buildEncoderArgs, buildPalettePassArgs } = require('../lib/pipeline');
+
+/**
+ * Value following a flag in an FFmpeg argument list
+ */
+function argValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+test('parseEncodingOptions fills in the defaults of each format', () => {
+  assert.deepEqual(parseEncodingOptions({}),
+    { format: 'mp4', crf: 23, preset: 'medium', maxBitrate: null, targetSize: null, quality: 80 });
+  assert.deepEqual(parseEncodingOptions({ format: 'WEBM' }),
+    { format: 'webm', crf: 32, preset: 'good', maxBitrate: null, targetSize: null, quality: 80 });
+  assert.deepEqual(parseEncodingOptions({ format: 'webp', quality: '60' }),
+    { format: 'webp', crf: null, preset: null, maxBitrate: null, targetSize: null, quality: 60 });
+  assert.deepEqual(parseEncodingOptions({ format: 'mp4', maxBitrate: '2.5M', targetSize: '8MB' }).maxBitrate, 2500000);
+});
+
+test('parseEncodingOptions rejects settings the format does not support', () => {
+  assert.throws(() => parseEncodingOptions({ format: 'avi' }), /Unsupported format "avi"/);
+  assert.throws(() => parseEncodingOptions({ format: 'gif', crf: '20' }), /"crf" is not supported for gif/);
+  assert.throws(() => parseEncodingOptions({ format: 'webp', targetSize: '1MB' }), /"targetSize" is not supported/);
+  assert.throws(() => parseEncodingOptions({ quality: '50' }), /"quality" is not supported for mp4/);
+  assert.throws(() => parseEncodingOptions({ crf: '52' }), /between 0 and 51/);
+  assert.throws(() => parseEncodingOptions({ format: 'webm', preset: 'medium' }), /realtime, good, best/);
+  assert.throws(() => parseEncodingOptions({ maxBitrate: 'fast' }), /Invalid bitrate/);
+});
+
+test('mp4 encodes H.264 at the requested quality', () => {
+  const args = buildEncoderArgs(parseEncodingOptions({ crf: '18', preset: 'slow', maxBitrate: '4M' }), 8);
+
+  assert.equal(argValue(args, '-c:v'), 'libx264');
+  assert.equal(argValue(args, '-pix_fmt'), 'yuv420p');
+  assert.equal(argValue(args, '-preset'), 'slow');
+  assert.equal(argValue(args, '-crf'), '18');
+  assert.equal(argValue(args, '-maxrate'), '4000000');
+  assert.equal(argValue(args, '-bufsize'), '8000000');
+  assert.equal(argValue(args, '-movflags'), '+faststart');
+});
+
+test('a target size turns into an average bitrate that leaves room for audio', () => {
+  const encoding = parseEncodingOptions({ targetSize: '1MB' });
+
+  assert.equal(argValue(buildEncoderArgs(encoding, 8), '-b:v'), '996147');
+  assert.equal(argValue(buildEncoderArgs(encoding, 8, true), '-b:v'), '804147');
+  assert.equal(argValue(buildEncoderArgs(encoding, 8), '-crf'), undefined);
+  assert.equal(argValue(buildEncoderArgs({ ...encoding, maxBitrate: 500000 }, 8), '-b:v'), '500000');
+  assert.throws(() => buildEncoderArgs(parseEncodingOptions({ targetSize: '10KB' }), 60, true), /targetSize is too small/);
+});
+
+test('webm encodes VP9 in constant-quality mode', () => {
+  const args = buildEncoderArgs(parseEncodingOptions({ format: 'webm', crf: '40', preset: 'realtime' }), 8);
+
+  assert.equal(argValue(args, '-c:v'), 'libvpx-vp9');
+  assert.equal(argValue(args, '-deadline'), 'realtime');
+  assert.equal(argValue(args, '-crf'), '40');
+  assert.equal(argValue(args, '-b:v'), '0');
+});
+
+test('webp encodes a looping lossy animation', () => {
+  const args = buildEncoderArgs(parseEncodingOptions({ format: 'webp', quality: '55' }), 8);
+
+  assert.equal(argValue(args, '-c:v'), 'libwebp');
+  assert.equal(argValue(args, '-lossless'), '0');
+  assert.equal(argValue(args, '-quality'), '55');
+  assert.equal(argValue(args, '-loop'), '0');
+});
+
+test('gif collects the palette in a first pass and dithers against it in the second', () => {
+  const firstPass = buildPalettePassArgs('/work/frames.mkv', '/work/palette.png', 2);
+
+  assert.match(argValue(firstPass, '-filter_complex'), /palettegen/);
+  assert.doesNotMatch(argValue(firstPass, '-filter_complex'), /paletteuse/);
+  assert.deepEqual(firstPass.slice(firstPass.indexOf('-map')),
+    ['-map', '[frames]', '-c:v', 'ffv1', '-threads', '2', '/work/frames.mkv',
+      '-map', '[palette]', '-frames:v', '1', '-update', '1', '/work/palette.png']);
+
+  const secondPass = buildEncoderArgs(parseEncodingOptions({ format: 'gif' }), 8);
+  assert.equal(argValue(secondPass, '-filter_complex'), '[0:v][1:v]paletteuse=dither=sierra2_4a');
+  assert.equal(argValue(secondPass, '-loop'), '0');
+});
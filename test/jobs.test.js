@@ -0,0 +1,146 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+let dir, server, baseUrl, page;
+
+before(async() => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-test-'));
+
+  // A stand-in encoder that swallows the frames, so renders stay in progress until they are cancelled
+  const bin = path.join(dir, 'bin');
+  await fs.mkdir(bin);
+  await fs.writeFile(path.join(bin, 'ffmpeg'), '#!/bin/sh\nexec cat > /dev/null\n', { mode: 0o755 });
+
+  Object.assign(process.env, {
+    PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+    DATA_DIR: path.join(dir, 'data'),
+    API_KEYS: 'alice:alice-key,bob:bob-key,root:root-key:admin',
+    MAX_CONCURRENT_RENDERS: '1',
+    MAX_QUEUED_RENDERS: '1'
+  });
+  const { app } = require('../server');
+
+  // The test runner reads its reports from stdout, where late request logs could interleave with them
+  console.log = console.error;
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  page = await sharp({ create: { width: 400, height: 3000, channels: 3, background: '#3366cc' } }).png().toBuffer();
+});
+
+after(async() => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends a request as the given key and returns the status and parsed JSON body
+ */
+async function request(method, url, key, body) {
+  const response = await fetch(baseUrl + url, { method, headers: { 'X-API-Key': key }, body });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Submits a job for the test page with the given fields
+ */
+function submitJob(key, fields = {}, pageData = page) {
+  const form = new FormData();
+  form.append('page', new Blob([pageData], { type: 'image/png' }), 'page.png');
+  for (const [name, value] of Object.entries({ duration: '30', cache: 'bypass', ...fields })) {
+    form.append(name, value);
+  }
+  return request('POST', '/jobs', key, form);
+}
+
+/**
+ * Polls a job until `done` accepts its status
+ */
+async function waitForJob(id, key, done) {
+  const deadline = Date.now() + 30000;
+  for (;;) {
+    const { body } = await request('GET', `/jobs/${id}`, key);
+    if (done(body)) return body;
+    assert.ok(Date.now() < deadline, `job ${id} stuck in ${body.state}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('jobs queue behind the running render and can be cancelled', async() => {
+  const running = await submitJob('alice-key');
+  assert.equal(running.status, 202);
+  assert.match(running.body.id, /^job_/);
+  assert.equal(running.body.links.self, `/jobs/${running.body.id}`);
+  await waitForJob(running.body.id, 'alice-key', job => job.state === 'processing');
+
+  const queued = await submitJob('alice-key');
+  assert.equal(queued.status, 202);
+  assert.equal(queued.body.state, 'queued');
+  assert.equal(queued.body.queuePosition, 1);
+
+  const full = await submitJob('alice-key');
+  assert.equal(full.status, 429);
+  assert.match(full.body.error, /render queue is full/);
+
+  const result = await request('GET', `/jobs/${running.body.id}/result`, 'alice-key');
+  assert.equal(result.status, 409);
+  assert.equal(result.body.state, 'processing');
+
+  for (const { body: job } of [queued, running]) {
+    const cancelled = await request('DELETE', `/jobs/${job.id}`, 'alice-key');
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.state, 'cancelled');
+    assert.ok(cancelled.body.completedAt);
+  }
+
+  const deleted = await request('DELETE', `/jobs/${running.body.id}`, 'alice-key');
+  assert.deepEqual(deleted.body, { id: running.body.id, state: 'deleted' });
+  assert.equal((await request('GET', `/jobs/${running.body.id}`, 'alice-key')).status, 404);
+});
+
+test('a job whose render fails reports the error', async() => {
+  const submitted = await submitJob('alice-key', {}, Buffer.from('not an image'));
+  assert.equal(submitted.status, 202);
+
+  const failed = await waitForJob(submitted.body.id, 'alice-key', job => job.state === 'failed');
+  assert.ok(failed.error);
+  assert.equal(failed.links.result, null);
+
+  const result = await request('GET', `/jobs/${failed.id}/result`, 'alice-key');
+  assert.equal(result.status, 409);
+  assert.equal(result.body.details, failed.error);
+  await request('DELETE', `/jobs/${failed.id}`, 'alice-key');
+});
+
+test('jobs are only visible to their owner and admins', async() => {
+  const { body: job } = await submitJob('alice-key', {}, Buffer.from('not an image'));
+
+  assert.equal((await request('GET', `/jobs/${job.id}`, 'bob-key')).status, 404);
+  assert.equal((await request('DELETE', `/jobs/${job.id}`, 'bob-key')).status, 404);
+  assert.equal((await request('GET', `/jobs/${job.id}`, 'root-key')).status, 200);
+
+  await waitForJob(job.id, 'alice-key', status => status.state === 'failed');
+  await request('DELETE', `/jobs/${job.id}`, 'root-key');
+});
+
+test('job submissions need a page and valid fields', async() => {
+  const form = new FormData();
+  form.append('duration', '4');
+  const missing = await request('POST', '/jobs', 'alice-key', form);
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /upload a page/);
+
+  const invalid = await submitJob('alice-key', { format: 'avi' });
+  assert.equal(invalid.status, 400);
+
+  assert.equal((await request('GET', '/jobs/job_unknown', 'alice-key')).status, 404);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePacingOptions, findSectionBoundaries, detectSections, createPacingTimeline, parseTimeline, createScrollTimeline
+} = require('../lib/pipeline');
+
+const WHITE = () => [255, 255, 255];
+const STRIPES = x => x % 2 ? [0, 0, 0] : [255, 255, 255]; // Busy content, never one flat colour
+const INVERTED = x => x % 2 ? [255, 255, 255] : [0, 0, 0]; // The same content with every pixel flipped
+
+/**
+ * Builds a decoded page 40 pixels wide from bands of rows, each painting pixels by column
+ */
+function createPage(bands) {
+  const width = 40;
+  const height = bands.reduce((sum, [rows]) => sum + rows, 0);
+  const pixels = Buffer.alloc(width * height * 4, 255);
+  let y = 0;
+  for (const [rows, paint] of bands) {
+    for (const end = y + rows; y < end; y++) {
+      for (let x = 0; x < width; x++) pixels.set(paint(x), (y * width + x) * 4);
+    }
+  }
+  return { pixels, width, height };
+}
+
+// Content, a whitespace gap at 280-320, more content, then a banner starting with a hard edge at 600
+// that has a shorter gap at 640-660
+const PAGE = createPage([[280, STRIPES], [40, WHITE], [280, STRIPES], [40, INVERTED], [20, WHITE], [240, INVERTED]]);
+
+test('parsePacingOptions defaults to linear pacing', () => {
+  assert.equal(parsePacingOptions({}, 1), null);
+  assert.deepEqual(parsePacingOptions({ pacing: 'auto' }, 1), { hold: null, sections: null });
+  assert.deepEqual(parsePacingOptions({ pacing: 'auto', sectionHold: '0.5' }, 1), { hold: 0.5, sections: null });
+});
+
+test('parsePacingOptions sorts requested sections and implies auto pacing', () => {
+  const { sections } = parsePacingOptions({ sections: '[{"page": 2, "top": 0}, {"top": 900, "bottom": 1200}, {"top": 0}]' }, 2);
+
+  assert.deepEqual(sections, [
+    { page: 0, top: 0, bottom: null },
+    { page: 0, top: 900, bottom: 1200 },
+    { page: 1, top: 0, bottom: null }
+  ]);
+});
+
+test('parsePacingOptions rejects invalid settings', () => {
+  assert.throws(() => parsePacingOptions({ pacing: 'fast' }, 1), /Invalid pacing "fast"/);
+  assert.throws(() => parsePacingOptions({ sectionHold: '1' }, 1), /need pacing=auto/);
+  assert.throws(() => parsePacingOptions({ pacing: 'auto', sectionHold: '-1' }, 1), /sectionHold must be/);
+  assert.throws(() => parsePacingOptions({ sections: '{' }, 1), /sections must be a JSON array/);
+  assert.throws(() => parsePacingOptions({ sections: '[]' }, 1), /1 to 12 sections/);
+  assert.throws(() => parsePacingOptions({ sections: '[{"page": 2, "top": 0}]' }, 1), /Section 1: page must be between 1 and 1/);
+  assert.throws(() => parsePacingOptions({ sections: '[{"top": 50, "bottom": 50}]' }, 1), /bottom one below it/);
+});
+
+test('section boundaries fall in whitespace gaps and at full-width edges', () => {
+  const boundaries = findSectionBoundaries(PAGE, false, 300);
+
+  assert.deepEqual(boundaries, [
+    { offset: 300, score: 40 }, // Middle of the gap, scored by its size
+    { offset: 600, score: 150 }, // Hard edge
+    { offset: 650, score: 20 }
+  ]);
+});
+
+test('section boundaries fall where one flat band meets another', () => {
+  const page = createPage([[10, WHITE], [10, () => [30, 60, 200]]]);
+
+  assert.ok(findSectionBoundaries(page, false, 300).some(({ offset, score }) => offset === 10 && score === 300));
+});
+
+test('sections keep the clearest boundaries that leave room for a third of the window', () => {
+  const continuation = createPage([[500, STRIPES]]);
+
+  assert.deepEqual(detectSections([PAGE, continuation], false, 300), [
+    { start: 0, end: 300 },
+    { start: 300, end: 600 },
+    { start: 600, end: 900 }, // The gap at 650 is too close to the edge at 600
+    { start: 900, end: 1400 } // Page joins always start a section
+  ]);
+});
+
+test('the pacing timeline settles on each section and fills the duration', () => {
+  const sections = [{ start: 0, end: 300 }, { start: 300, end: 600 }, { start: 600, end: 900 }];
+  const timeline = createPacingTimeline(sections,
+    { viewport: 300, maxScroll: 600, duration: 10, hold: null, reversed: false });
+
+  assert.deepEqual(timeline, [
+    { time: 0, position: '0%', easing: 'linear', hold: 1.333 },
+    { time: 4.334, position: '50%', easing: 'ease-in-out', hold: 1.333 },
+    { time: 8.668, position: '100%', easing: 'ease-in-out', hold: 1.333 }
+  ]);
+
+  const { positionAt } = createScrollTimeline(parseTimeline(timeline), 600);
+  assert.equal(positionAt(1), 0);
+  assert.equal(positionAt(5), 300);
+  assert.equal(positionAt(10), 600);
+});
+
+test('the pacing timeline centres short sections and can run backwards', () => {
+  const sections = [{ start: 0, end: 400 }, { start: 400, end: 500 }];
+  const options = { viewport: 300, maxScroll: 600, duration: 4, hold: 0.5 };
+
+  assert.deepEqual(createPacingTimeline(sections, { ...options, reversed: false }).map(keyframe => keyframe.position),
+    ['0%', '50%']); // 400-500 shown from 300, in the middle of the window
+  assert.deepEqual(createPacingTimeline(sections, { ...options, reversed: true }).map(keyframe => keyframe.position),
+    ['50%', '100%']);
+  assert.equal(createPacingTimeline(sections, { ...options, reversed: false })[0].hold, 0.5);
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePageOptions, createWindowReader, createPageSequence } = require('../lib/pipeline');
+
+/**
+ * Builds a decoded page whose red channel is `base` plus the row number
+ */
+function page(width, height, base) {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[(y * width + x) * 4] = base + y;
+    }
+  }
+  return { pixels, width, height };
+}
+
+/**
+ * Red channel of each pixel of a raw RGBA window
+ */
+function reds(window) {
+  return Array.from({ length: window.length / 4 }, (_, index) => window[index * 4]);
+}
+
+/**
+ * A two-page sequence of 10-row pages (red 10+ and 100+) on a 2x2 screen at 10 fps, one second per page
+ */
+function sequence(transition, transitionDuration = 0.2) {
+  return createPageSequence([page(2, 10, 10), page(2, 10, 100)], {
+    screenWidth: 2,
+    screenHeight: 2,
+    reader: createWindowReader(2, 2, 'down'),
+    fps: 10,
+    durations: [1, 1],
+    transition,
+    transitionDuration,
+    keyframes: null,
+    loop: false
+  });
+}
+
+test('parsePageOptions stacks pages and splits the duration evenly by default', () => {
+  assert.deepEqual(parsePageOptions({}, 3, 9), { mode: 'stack', transition: 'cut', transitionDuration: 0.5,
+    durations: [3, 3, 3] });
+});
+
+test('parsePageOptions reads one page duration or one per page', () => {
+  const body = { pageMode: 'Sequence', transition: 'slide', transitionDuration: '0' };
+
+  assert.deepEqual(parsePageOptions({ ...body, pageDuration: '2' }, 3, 9),
+    { mode: 'sequence', transition: 'slide', transitionDuration: 0, durations: [2, 2, 2] });
+  assert.deepEqual(parsePageOptions({ ...body, pageDuration: '1,2.5,3' }, 3, 9).durations, [1, 2.5, 3]);
+});
+
+test('parsePageOptions rejects unknown modes, transitions and durations', () => {
+  assert.throws(() => parsePageOptions({ pageMode: 'grid' }, 2, 8), /Unknown pageMode "grid"/);
+  assert.throws(() => parsePageOptions({ transition: 'wipe' }, 2, 8), /Unknown transition "wipe"/);
+  assert.throws(() => parsePageOptions({ transitionDuration: '-1' }, 2, 8), /non-negative/);
+  assert.throws(() => parsePageOptions({ pageDuration: '1,2,3' }, 2, 8), /one value or 2 comma-separated values/);
+  assert.throws(() => parsePageOptions({ pageDuration: '1,0' }, 2, 8), /positive numbers/);
+});
+
+test('a cut sequence scrolls each page end to end in its own slot', () => {
+  const { windowAt, viewportAt } = sequence('cut');
+
+  assert.deepEqual(reds(windowAt(0)), [10, 10, 11, 11]);
+  assert.deepEqual(reds(windowAt(9)), [18, 18, 19, 19]);
+  assert.deepEqual(reds(windowAt(10)), [100, 100, 101, 101]);
+  assert.deepEqual(reds(windowAt(19)), [108, 108, 109, 109]);
+  assert.deepEqual(viewportAt(10), { page: 1, x: 0, y: 0 });
+});
+
+test('a crossfade blends the resting outgoing page into the next page', () => {
+  const { windowAt, viewportAt } = sequence('crossfade');
+
+  // The first page reaches its end two frames early, leaving them for the transition
+  assert.deepEqual(reds(windowAt(7)), [18, 18, 19, 19]);
+  assert.deepEqual(reds(windowAt(8)), [45, 45, 46, 46]);
+  assert.deepEqual(reds(windowAt(9)), [73, 73, 74, 74]);
+  assert.equal(viewportAt(8), null);
+  assert.deepEqual(reds(windowAt(10)), [100, 100, 101, 101]);
+});
+
+test('a slide pushes the outgoing page out to the left', () => {
+  const { windowAt } = sequence('slide');
+
+  // A third of the way through, one of the two columns has moved over
+  assert.deepEqual(reds(windowAt(8)), [18, 100, 19, 101]);
+  assert.deepEqual(reds(windowAt(10)), [100, 100, 101, 101]);
+});
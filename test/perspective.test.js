@@ -0,0 +1,96 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitScreenQuad, parseScreenCorners, solveHomography, createPerspectiveWarp } = require('../lib/pipeline');
+
+const TILTED = [[20, 30], [90, 20], [100, 90], [30, 100]];
+
+/**
+ * Maps a point through a row-major 3x3 homography
+ */
+function project(h, [x, y]) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+}
+
+/**
+ * Rasterizes a convex, clockwise quad into a frame-sized mask and its bounding box
+ */
+function quadRegion(corners, width, height) {
+  const region = new Uint8Array(width * height);
+  const inside = (x, y) => corners.every((point, index) => {
+    const next = corners[(index + 1) % 4];
+    return (next[0] - point[0]) * (y - point[1]) - (next[1] - point[1]) * (x - point[0]) >= 0;
+  });
+
+  let minX = width, minY = height, maxX = 0, maxY = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!inside(x + 0.5, y + 0.5)) continue;
+      region[y * width + x] = 1;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+  }
+  return { region, box: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } };
+}
+
+test('parseScreenCorners accepts a clockwise convex quad', () => {
+  assert.deepEqual(parseScreenCorners(JSON.stringify(TILTED)), TILTED);
+});
+
+test('parseScreenCorners rejects malformed, counter-clockwise and concave corners', () => {
+  assert.throws(() => parseScreenCorners('[[0,0]'), /must be a JSON array/);
+  assert.throws(() => parseScreenCorners('[[0,0],[10,0],[10,10]]'), /four \[x, y\] points/);
+  assert.throws(() => parseScreenCorners('[[0,0],[0,10],[10,10],[10,0]]'), /convex quadrilateral listed clockwise/);
+  assert.throws(() => parseScreenCorners('[[0,0],[10,0],[2,2],[0,10]]'), /convex quadrilateral/);
+});
+
+test('solveHomography maps each corner onto its target', () => {
+  const target = [[0, 0], [400, 0], [400, 800], [0, 800]];
+  const h = solveHomography(TILTED, target);
+
+  assert.equal(h.length, 9);
+  assert.equal(h[8], 1);
+  TILTED.forEach((corner, index) => {
+    const [x, y] = project(h, corner);
+    assert.ok(Math.abs(x - target[index][0]) < 1e-6 && Math.abs(y - target[index][1]) < 1e-6);
+  });
+});
+
+test('solveHomography refuses degenerate corners', () => {
+  assert.throws(() => solveHomography([[0, 0], [5, 5], [10, 10], [0, 10]], [[0, 0], [1, 0], [1, 1], [0, 1]]),
+    /degenerate/);
+});
+
+test('fitScreenQuad recovers the corners of a tilted screen', () => {
+  const { region, box } = quadRegion(TILTED, 120, 120);
+
+  fitScreenQuad(region, 120, box).forEach((corner, index) => {
+    assert.ok(Math.hypot(corner[0] - TILTED[index][0], corner[1] - TILTED[index][1]) < 1.5,
+      `corner ${index} at ${corner} instead of ${TILTED[index]}`);
+  });
+});
+
+test('an axis-aligned warp copies the window into the quad unchanged', () => {
+  const { sourceWidth, sourceHeight, box, warp } = createPerspectiveWarp([[2, 2], [6, 2], [6, 6], [2, 6]], 10, 10);
+  const window = Buffer.from(Array.from({ length: 4 * 4 * 4 }, (_, index) => (index % 4 === 3 ? 255 : index)));
+
+  assert.deepEqual([sourceWidth, sourceHeight], [4, 4]);
+  assert.deepEqual(box, { x: 2, y: 2, width: 4, height: 4 });
+  assert.deepEqual(warp(window), window);
+});
+
+test('a tilted warp leaves the canvas outside the quad transparent', () => {
+  const { sourceWidth, sourceHeight, box, warp } = createPerspectiveWarp(TILTED, 120, 120);
+  const out = warp(Buffer.alloc(sourceWidth * sourceHeight * 4, 255));
+  const alphaAt = (x, y) => out[((y - box.y) * box.width + (x - box.x)) * 4 + 3];
+
+  assert.deepEqual(box, { x: 20, y: 20, width: 80, height: 80 });
+  assert.equal(alphaAt(60, 60), 255); // Centre of the screen
+  assert.equal(alphaAt(21, 21), 0); // Outside the top-left corner
+  assert.equal(alphaAt(98, 98), 0); // Outside the bottom-right corner
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePreviewOptions } = require('../server');
+
+test('parsePreviewOptions picks the first frame by default', () => {
+  assert.deepEqual(parsePreviewOptions({}, 2, 30), { frames: [0], sheet: false });
+});
+
+test('parsePreviewOptions maps t and progress to frame indices', () => {
+  assert.deepEqual(parsePreviewOptions({ t: '1' }, 2, 30), { frames: [30], sheet: false });
+  assert.deepEqual(parsePreviewOptions({ t: '2' }, 2, 30), { frames: [59], sheet: false });
+  assert.deepEqual(parsePreviewOptions({ progress: '0.5' }, 2, 30), { frames: [30], sheet: false });
+  assert.deepEqual(parsePreviewOptions({ progress: '1' }, 2, 30), { frames: [59], sheet: false });
+});
+
+test('parsePreviewOptions spreads contact sheet frames from the first to the last', () => {
+  assert.deepEqual(parsePreviewOptions({ sheet: '4' }, 2, 30), { frames: [0, 20, 39, 59], sheet: true });
+  assert.deepEqual(parsePreviewOptions({ sheet: '1' }, 2, 30), { frames: [0], sheet: true });
+});
+
+test('parsePreviewOptions rejects conflicting or out-of-range fields', () => {
+  assert.throws(() => parsePreviewOptions({ t: '1', sheet: '4' }, 2, 30), /Use only one of t, progress or sheet/);
+  assert.throws(() => parsePreviewOptions({ t: '3' }, 2, 30), /between 0 and the 2s duration/);
+  assert.throws(() => parsePreviewOptions({ progress: '1.5' }, 2, 30), /progress must be between 0 and 1/);
+  assert.throws(() => parsePreviewOptions({ sheet: '37' }, 2, 30), /between 1 and 36/);
+  assert.throws(() => parsePreviewOptions({ sheet: '2.5' }, 2, 30), /whole number/);
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const { parseRenderOptions } = require('../lib/pipeline');
+const { renderCacheKey } = require('../server');
+
+let dir, files;
+
+before(async() => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-cache-test-'));
+  files = { frameFile: path.join(dir, 'frame.png'), pageFiles: [path.join(dir, 'page.png')] };
+  await fs.writeFile(files.frameFile, 'frame');
+  await fs.writeFile(files.pageFiles[0], 'page');
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+/**
+ * Cache key of a render of the test inputs with the given request fields
+ */
+function keyFor(body) {
+  return renderCacheKey(files, parseRenderOptions(body));
+}
+
+test('timelines that differ only in easing get different keys', async() => {
+  const timeline = easing => JSON.stringify([{ position: 0 }, { time: 2, position: '100%', easing }]);
+
+  const keys = await Promise.all(['linear', 'ease-in', 'ease-out', 'cubic-bezier(0.1, 0.7, 0.9, 0.2)']
+    .map(easing => keyFor({ timeline: timeline(easing) })));
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('an easing preset and its cubic-bezier spelling share a key', async() => {
+  const timeline = easing => JSON.stringify([{ position: 0 }, { time: 2, position: '100%', easing }]);
+
+  assert.equal(await keyFor({ timeline: timeline('ease-in') }),
+    await keyFor({ timeline: timeline('cubic-bezier(0.42, 0, 1, 1)') }));
+});
+
+test('defaults spelled out share the key of omitted fields', async() => {
+  assert.equal(await keyFor({}), await keyFor({ duration: '8', fps: '30', format: 'mp4' }));
+});
+
+test('different input contents get different keys', async() => {
+  const other = path.join(dir, 'other.png');
+  await fs.writeFile(other, 'other page');
+
+  assert.notEqual(await keyFor({}), await renderCacheKey({ ...files, pageFiles: [other] }, parseRenderOptions({})));
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RenderError, parseStickyOptions, detectStickyBand, splitStickyBars } = require('../lib/pipeline');
+
+const BLUE = () => [20, 40, 120];
+const LABEL = x => x % 2 ? [255, 255, 255] : [20, 40, 120]; // Text on the app bar
+const WHITE = () => [255, 255, 255];
+const STRIPES = x => x % 2 ? [0, 0, 0] : [255, 255, 255]; // Busy content, never one flat colour
+const DIVIDER = () => [200, 200, 200];
+const GRAY = () => [240, 240, 240];
+
+/**
+ * Builds a decoded page 40 pixels wide from bands of rows, each painting pixels by column
+ */
+function createPage(bands) {
+  const width = 40;
+  const height = bands.reduce((sum, [rows]) => sum + rows, 0);
+  const pixels = Buffer.alloc(width * height * 4, 255);
+  let y = 0;
+  for (const [rows, paint] of bands) {
+    for (const end = y + rows; y < end; y++) {
+      for (let x = 0; x < width; x++) pixels.set(paint(x), (y * width + x) * 4);
+    }
+  }
+  return { pixels, width, height };
+}
+
+// A 60px app bar with a label over a white page, and a 50px tab bar below a divider
+const PAGE = createPage([[20, BLUE], [20, LABEL], [20, BLUE], [20, WHITE], [240, STRIPES], [1, DIVIDER], [50, GRAY]]);
+
+test('parseStickyOptions reads bar heights and auto', () => {
+  assert.equal(parseStickyOptions({}), null);
+  assert.equal(parseStickyOptions({ stickyTop: '0', stickyBottom: '' }), null);
+  assert.deepEqual(parseStickyOptions({ stickyTop: '88' }), { top: 88, bottom: 0 });
+  assert.deepEqual(parseStickyOptions({ stickyTop: 'AUTO', stickyBottom: 'auto' }), { top: 'auto', bottom: 'auto' });
+  assert.throws(() => parseStickyOptions({ stickyBottom: '12.5' }), /stickyBottom must be a whole number/);
+  assert.throws(() => parseStickyOptions({ stickyTop: '-1' }), /stickyTop must be a whole number/);
+});
+
+test('a bar ends where a different flat colour starts, not at its own content', () => {
+  assert.equal(detectStickyBand(PAGE, false, 100), 60);
+  assert.equal(detectStickyBand(PAGE, true, 100), 50);
+});
+
+test('no bar is found when nothing ends within the limit', () => {
+  assert.equal(detectStickyBand(PAGE, false, 40), 0);
+  assert.equal(detectStickyBand(createPage([[200, STRIPES]]), false, 100), 0);
+});
+
+test('bars are cut off every page at its own scale and the first page keeps them', () => {
+  const second = createPage([[300, STRIPES]]);
+  // The first page was decoded at half its width, the second at full size
+  const split = splitStickyBars([PAGE, second], [{ width: 80 }, { width: 40 }], { top: 'auto', bottom: 20 }, 400);
+
+  assert.deepEqual(split.original, { top: 120, bottom: 20 });
+  assert.deepEqual(split.insets, [{ top: 60, bottom: 10 }, { top: 120, bottom: 20 }]);
+  assert.equal(split.topHeight, 60);
+  assert.equal(split.bottomHeight, 10);
+  assert.deepEqual(split.top, PAGE.pixels.subarray(0, 60 * 40 * 4));
+  assert.deepEqual(split.bottom, PAGE.pixels.subarray((PAGE.height - 10) * 40 * 4));
+
+  assert.deepEqual(split.pages.map(page => page.height), [PAGE.height - 70, 160]);
+  assert.deepEqual([...split.pages[0].pixels.subarray(0, 4)], [255, 255, 255, 255]); // The white page below the bar
+  assert.equal(split.pages[1].pixels.length, 160 * 40 * 4);
+});
+
+test('bars that leave nothing to scroll are rejected', () => {
+  const pageMetas = [{ width: 40 }];
+
+  assert.throws(() => splitStickyBars([PAGE], pageMetas, { top: 300, bottom: 71 }, 1000),
+    error => error instanceof RenderError && /cover a whole page/.test(error.message));
+  assert.throws(() => splitStickyBars([PAGE], pageMetas, { top: 60, bottom: 10 }, 80),
+    /leave less than 25% of the screen/);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimeline, createScrollTimeline } = require('../lib/pipeline');
+
+test('parseTimeline normalizes keyframes', () => {
+  const keyframes = parseTimeline('[{"position": 0, "hold": 1}, {"time": 3, "position": "50%", "easing": "ease-in"}]');
+
+  assert.equal(keyframes.length, 2);
+  assert.deepEqual(keyframes[0].position, { value: 0, unit: 'px' });
+  assert.equal(keyframes[0].time, 0);
+  assert.equal(keyframes[0].hold, 1);
+  assert.deepEqual(keyframes[0].bezier, [0, 0, 1, 1]);
+  assert.deepEqual(keyframes[1].position, { value: 50, unit: '%' });
+  assert.deepEqual(keyframes[1].bezier, [0.42, 0, 1, 1]);
+});
+
+test('parseTimeline easings run from 0 to 1', () => {
+  const [, keyframe] = parseTimeline([{ position: 0 }, { time: 1, position: 100, easing: 'cubic-bezier(0.1, 0.7, 0.9, 0.2)' }]);
+
+  assert.equal(keyframe.easing(0), 0);
+  assert.equal(keyframe.easing(1), 1);
+  const middle = keyframe.easing(0.5);
+  assert.ok(middle > 0 && middle < 1);
+});
+
+test('parseTimeline accepts an already parsed array', () => {
+  assert.deepEqual(parseTimeline([{ position: 10 }]).map(keyframe => keyframe.position.value), [10]);
+});
+
+test('parseTimeline rejects malformed timelines', () => {
+  assert.throws(() => parseTimeline('not json'), /not valid JSON/);
+  assert.throws(() => parseTimeline([]), /non-empty array/);
+  assert.throws(() => parseTimeline([null]), /Keyframe 0 must be an object/);
+  assert.throws(() => parseTimeline([{ position: 0 }, { position: 10 }]), /Keyframe 1 needs a non-negative "time"/);
+  assert.throws(() => parseTimeline([{ position: 'top' }]), /numeric "position"/);
+  assert.throws(() => parseTimeline([{ position: 0, hold: -1 }]), /invalid "hold"/);
+  assert.throws(() => parseTimeline([{ position: 0, easing: 'bounce' }]), /Keyframe 0: Unknown easing "bounce"/);
+  assert.throws(() => parseTimeline([{ position: 0, easing: 'cubic-bezier(2, 0, 1, 1)' }]), /X values/);
+});
+
+test('parseTimeline rejects keyframes that start before the previous one finishes', () => {
+  assert.throws(() => parseTimeline([{ position: 0, hold: 2 }, { time: 1, position: 100 }]),
+    /Keyframe 1 starts before keyframe 0 finishes/);
+});
+
+test('createScrollTimeline dwells on holds and moves between keyframes', () => {
+  const keyframes = parseTimeline([{ position: 0, hold: 1 }, { time: 3, position: '100%' }, { time: 4, position: 200 }]);
+  const { duration, positionAt } = createScrollTimeline(keyframes, 1000);
+
+  assert.equal(duration, 4);
+  assert.equal(positionAt(0), 0);
+  assert.equal(positionAt(0.9), 0); // Still holding the first keyframe
+  assert.equal(positionAt(2), 500); // Halfway through the linear move to 100%
+  assert.equal(positionAt(3), 1000);
+  assert.equal(positionAt(3.5), 600); // Scrolling back up
+  assert.equal(positionAt(10), 200); // Rests at the last keyframe
+});
+
+test('createScrollTimeline clamps positions to the scrollable range', () => {
+  const { positionAt } = createScrollTimeline(parseTimeline([{ position: -50 }, { time: 1, position: 5000 }]), 800);
+
+  assert.equal(positionAt(0), 0);
+  assert.equal(positionAt(1), 800);
+});
+
+test('createScrollTimeline repeats a looping timeline', () => {
+  const { positionAt } = createScrollTimeline(parseTimeline([{ position: 0 }, { time: 2, position: 100 }]), 100,
+    { loop: true });
+
+  assert.equal(positionAt(1), 50);
+  assert.equal(positionAt(3), 50);
+});
+
+test('createScrollTimeline applies the easing of the keyframe it moves towards', () => {
+  const keyframes = parseTimeline([{ position: 0 }, { time: 1, position: 100, easing: 'ease-in' }]);
+  const { positionAt } = createScrollTimeline(keyframes, 100);
+
+  assert.ok(positionAt(0.5) < 50);
+});